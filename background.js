@@ -1,6 +1,189 @@
 // Background script para la extensión Prestamype Analyzer
 console.log('🚀 Prestamype Analyzer background script iniciado');
 
+// Motor de scoring y tipo de cambio compartidos con el popup; tipos de cambio del modo vigilancia
+importScripts('scoring.js', 'currency.js', 'watcher.js');
+
+const SCAN_ALARM_NAME = 'prestamype_scan';
+const SCAN_DEFAULTS = {
+    scanEnabled: false,
+    scanIntervalMinutes: 15,
+    notifyMinScore: 80,
+    budgets: { PEN: 200, USD: 0 },
+    minReturn: 8,
+    maxRisk: 'B'
+};
+
+// Subastas ya vistas por el escaneo (scanner_seen): clave → último escaneo en que apareció
+const SCAN_SEEN = {
+    RETENTION_DAYS: 30,   // Una subasta que no aparece en este plazo ya cerró
+    MAX_ENTRIES: 2000
+};
+
+// Escaneo periódico de oportunidades en una pestaña abierta de Prestamype
+class BackgroundScanner {
+    constructor() {
+        this.isScanning = false;
+        this.currencyService = new CurrencyService();
+    }
+
+    async getConfig() {
+        const result = await chrome.storage.local.get(['analyzer_config']);
+        return { ...SCAN_DEFAULTS, ...(result.analyzer_config || {}) };
+    }
+
+    // Programar o cancelar la alarma según la configuración guardada
+    async syncAlarm() {
+        const config = await this.getConfig();
+
+        if (!config.scanEnabled) {
+            await chrome.alarms.clear(SCAN_ALARM_NAME);
+            console.log('⏹️ Escaneo programado desactivado');
+            return;
+        }
+
+        const periodInMinutes = Math.max(1, parseFloat(config.scanIntervalMinutes) || SCAN_DEFAULTS.scanIntervalMinutes);
+        const existing = await chrome.alarms.get(SCAN_ALARM_NAME);
+        if (existing && existing.periodInMinutes === periodInMinutes) {
+            return;
+        }
+
+        await chrome.alarms.create(SCAN_ALARM_NAME, { delayInMinutes: periodInMinutes, periodInMinutes });
+        console.log(`⏰ Escaneo programado cada ${periodInMinutes} minutos`);
+    }
+
+    // Ejecutar un escaneo completo
+    async scan() {
+        if (this.isScanning) return;
+        this.isScanning = true;
+
+        try {
+            const config = await this.getConfig();
+            const tab = await this._findPrestamypeTab();
+            if (!tab) {
+                console.log('🔎 No hay una pestaña de Prestamype abierta, se omite el escaneo');
+                return;
+            }
+
+            const response = await this._extractFromTab(tab.id);
+            if (!response || !response.success) {
+                console.warn('⚠️ Escaneo sin datos:', response?.error);
+                return;
+            }
+
+            const opportunities = await this._scoreOpportunities(response.data || [], config);
+            await this._notifyNewOpportunities(opportunities, config, tab);
+        } catch (error) {
+            console.error('❌ Error en escaneo programado:', error);
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    // Subastas nuevas que detectó el modo vigilancia en una pestaña (watcher.js)
+    async handleGridChanges(changes, tab) {
+        const added = changes
+            .filter(change => change.type === GRID_CHANGE.NEW)
+            .map(change => change.opportunity);
+        if (added.length === 0 || !tab) return;
+
+        try {
+            const config = await this.getConfig();
+            const opportunities = await this._scoreOpportunities(added, config);
+            await this._notifyNewOpportunities(opportunities, config, tab);
+        } catch (error) {
+            console.error('❌ Error procesando cambios del grid:', error);
+        }
+    }
+
+    // Detener la vigilancia en las pestañas abiertas cuando el usuario la desactiva
+    async stopWatching() {
+        const tabs = await chrome.tabs.query({ url: 'https://prestamype.com/*' });
+        await Promise.all(tabs.map(tab =>
+            // La pestaña puede no tener el content script cargado
+            chrome.tabs.sendMessage(tab.id, { action: 'stopWatch' }).catch(() => {})
+        ));
+    }
+
+    async _scoreOpportunities(opportunities, config) {
+        await this.currencyService.load();
+        return opportunities.map(opp => {
+            const normalized = this.currencyService.normalizeOpportunity(opp, config.currency || 'PEN');
+            return { ...normalized, score: ScoringEngine.scoreOpportunity(normalized, config).score };
+        });
+    }
+
+    async _findPrestamypeTab() {
+        const tabs = await chrome.tabs.query({ url: 'https://prestamype.com/*' });
+        return tabs.find(tab => tab.active) || tabs[0] || null;
+    }
+
+    async _extractFromTab(tabId) {
+        try {
+            return await chrome.tabs.sendMessage(tabId, { action: 'extractData' });
+        } catch (error) {
+            // El content script puede no estar cargado en la pestaña
+            console.log('🔄 Inyectando content script:', error.message);
+            await chrome.scripting.executeScript({ target: { tabId }, files: ['dates.js', 'diagnostics.js', 'schema.js', 'overlay.js', 'watcher.js', 'content.js'] });
+            return chrome.tabs.sendMessage(tabId, { action: 'extractData' });
+        }
+    }
+
+    // Notificar subastas nuevas que superan el umbral del usuario
+    async _notifyNewOpportunities(opportunities, config, tab) {
+        const result = await chrome.storage.local.get(['scanner_seen']);
+        const isFirstScan = !result.scanner_seen;
+        const now = Date.now();
+        // Las versiones anteriores guardaban solo la lista de claves
+        const seen = new Map(Array.isArray(result.scanner_seen)
+            ? result.scanner_seen.map(key => [key, now])
+            : Object.entries(result.scanner_seen || {}));
+        const threshold = parseFloat(config.notifyMinScore) || SCAN_DEFAULTS.notifyMinScore;
+        const keyOf = opp => opp.auctionCode || opp.title;
+
+        const newOpportunities = opportunities.filter(opp => {
+            const key = keyOf(opp);
+            return key && !seen.has(key);
+        });
+
+        opportunities.forEach(opp => {
+            const key = keyOf(opp);
+            if (key) seen.set(key, now);
+        });
+        await chrome.storage.local.set({ scanner_seen: this._pruneSeen(seen, now) });
+
+        // En el primer escaneo solo se registran las subastas existentes
+        if (isFirstScan) {
+            console.log(`📋 Primer escaneo: ${newOpportunities.length} subastas registradas`);
+            return;
+        }
+
+        newOpportunities
+            .filter(opp => opp.score >= threshold)
+            .forEach(opp => {
+                chrome.notifications.create(`${SCAN_ALARM_NAME}:${tab.id}:${opp.auctionCode || opp.id}`, {
+                    type: 'basic',
+                    iconUrl: 'icons/icon-48.png',
+                    title: `Nueva oportunidad: ${opp.score} pts`,
+                    message: `${opp.title} · ${opp.return ?? '-'}% · Riesgo ${opp.risk} · ${opp.currency}`,
+                    priority: 2
+                });
+            });
+    }
+
+    // Quitar las subastas que no aparecen hace más de RETENTION_DAYS y acotar el total
+    _pruneSeen(seen, now) {
+        const cutoff = now - SCAN_SEEN.RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        const kept = Array.from(seen.entries())
+            .filter(([, lastSeen]) => lastSeen >= cutoff)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, SCAN_SEEN.MAX_ENTRIES);
+        return Object.fromEntries(kept);
+    }
+}
+
+const scanner = new BackgroundScanner();
+
 // Instalación de la extensión
 chrome.runtime.onInstalled.addListener((details) => {
     console.log('📦 Extensión instalada:', details.reason);
@@ -12,12 +195,49 @@ chrome.runtime.onInstalled.addListener((details) => {
         // Configurar valores por defecto
         chrome.storage.local.set({
             analyzer_config: {
-                budget: 10000,
+                budgets: { PEN: 10000, USD: 0 },
                 minReturn: 8,
                 maxRisk: 'C'
             }
         });
     }
+
+    scanner.syncAlarm();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    scanner.syncAlarm();
+});
+
+// Reprogramar el escaneo (y detener la vigilancia si se desactivó) cuando cambia la configuración
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.analyzer_config) {
+        scanner.syncAlarm();
+
+        const { oldValue = {}, newValue = {} } = changes.analyzer_config;
+        if (oldValue.watchEnabled && !newValue.watchEnabled) {
+            scanner.stopWatching();
+        }
+    }
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === SCAN_ALARM_NAME) {
+        console.log('⏰ Ejecutando escaneo programado');
+        scanner.scan();
+    }
+});
+
+// Abrir la pestaña de Prestamype al hacer click en la notificación
+chrome.notifications.onClicked.addListener((notificationId) => {
+    if (!notificationId.startsWith(`${SCAN_ALARM_NAME}:`)) return;
+
+    const tabId = parseInt(notificationId.split(':')[1]);
+    chrome.tabs.update(tabId, { active: true }, (tab) => {
+        if (chrome.runtime.lastError || !tab) return;
+        chrome.windows.update(tab.windowId, { focused: true });
+    });
+    chrome.notifications.clear(notificationId);
 });
 
 // Manejo de clics en el icono de la extensión
@@ -46,6 +266,10 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'log') {
         console.log('📝 Log desde content script:', request.message);
     }
+
+    if (request.action === 'gridChanges') {
+        scanner.handleGridChanges(request.changes || [], sender.tab);
+    }
     
     // No necesitamos responder a estos mensajes
     return false;
@@ -0,0 +1,115 @@
+// Calendario de cobros y proyección de reinversión
+//
+// Cada cobro es capital + ganancia al vencimiento (yield.js) en su fecha estimada de pago:
+//   - inversiones del portafolio aún no pagadas (expectedPaymentDate)
+//   - filas de la distribución recomendada (estimatedPayment de la subasta)
+// La proyección parte del presupuesto total: el dinero libre y cada cobro se reinvierten
+// apenas quedan libres a la tasa de reinversión (TEA, misma convención), y mientras una
+// posición no se cobra vale su capital más lo devengado. Un mes son dayCount / 12 días,
+// así 12 meses al 12% hacen exactamente un 12%.
+const CASHFLOW_DEFAULTS = {
+    REINVESTMENT_RATE: 12,  // TEA (%) a la que se reinvierte lo cobrado
+    PROJECTION_MONTHS: 12,
+    MIN_PROJECTION_MONTHS: 6,
+    MAX_PROJECTION_MONTHS: 12
+};
+
+const CashFlowProjection = {
+    // Tasa de reinversión y horizonte en rango (los campos vacíos toman el valor por defecto)
+    normalizeSettings({ reinvestmentRate, projectionMonths } = {}) {
+        const rate = parseFloat(reinvestmentRate);
+        const months = parseInt(projectionMonths, 10);
+
+        return {
+            reinvestmentRate: isNaN(rate) ? CASHFLOW_DEFAULTS.REINVESTMENT_RATE : Math.min(100, Math.max(0, rate)),
+            projectionMonths: isNaN(months)
+                ? CASHFLOW_DEFAULTS.PROJECTION_MONTHS
+                : Math.min(CASHFLOW_DEFAULTS.MAX_PROJECTION_MONTHS, Math.max(CASHFLOW_DEFAULTS.MIN_PROJECTION_MONTHS, months))
+        };
+    },
+
+    // Cobros agrupados por semana (lunes a domingo) y por mes, en hora de Lima
+    // flows: [{ title, currency, amount, payout, paymentDate }] (fecha en ms)
+    // Cada grupo: { key, count, late, totals: { PEN, USD } } con montos en la moneda de cada cobro
+    calendar(flows) {
+        return {
+            weeks: this._group(flows, flow => this.weekStart(flow.paymentDate)),
+            months: this._group(flows, flow => SpanishDateParser.toLimaDate(flow.paymentDate).slice(0, 7))
+        };
+    },
+
+    // Lunes ("YYYY-MM-DD") de la semana de una fecha, en hora de Lima
+    weekStart(timestamp) {
+        const day = new Date(`${SpanishDateParser.toLimaDate(timestamp)}T00:00:00.000Z`);
+        day.setUTCDate(day.getUTCDate() - (day.getUTCDay() + 6) % 7);
+        return day.toISOString().slice(0, 10);
+    },
+
+    // Valor del presupuesto mes a mes reinvirtiendo cada cobro
+    // flows: [{ amount, payout, startDate, paymentDate }] en una misma moneda
+    // Devuelve { capital, idle, points: [{ month, date, value, collected }], finalValue, growthPct }
+    project(flows, { capital, reinvestmentRate, projectionMonths, now = Date.now() }) {
+        const invested = flows.reduce((sum, flow) => sum + flow.amount, 0);
+        const idle = Math.max(0, capital - invested);
+        const startCapital = idle + invested;
+        const monthDays = YIELD_CONVENTION.dayCount / 12;
+        const grow = (amount, fromDate, toDate) =>
+            amount * (1 + YieldModel.periodRate(reinvestmentRate, (toDate - fromDate) / DATE_DEFAULTS.MS_PER_DAY));
+
+        const points = [];
+        for (let month = 0; month <= projectionMonths; month++) {
+            const date = now + month * monthDays * DATE_DEFAULTS.MS_PER_DAY;
+            let value = grow(idle, now, date);
+            let collected = 0;
+
+            flows.forEach(flow => {
+                if (flow.paymentDate <= date) {
+                    collected += flow.payout;
+                    value += grow(flow.payout, flow.paymentDate, date);
+                } else {
+                    value += this._accruedValue(flow, date);
+                }
+            });
+
+            points.push({ month, date, value, collected });
+        }
+
+        const finalValue = points[points.length - 1].value;
+        return {
+            capital: startCapital,
+            idle,
+            points,
+            finalValue,
+            growthPct: startCapital > 0 ? (finalValue / startCapital - 1) * 100 : 0
+        };
+    },
+
+    // Capital más lo devengado de una posición aún no cobrada (crecimiento geométrico hasta el cobro)
+    _accruedValue(flow, date) {
+        const span = flow.paymentDate - flow.startDate;
+        if (flow.amount <= 0 || span <= 0) return flow.amount;
+
+        const elapsed = Math.min(1, Math.max(0, (date - flow.startDate) / span));
+        return flow.amount * Math.pow(flow.payout / flow.amount, elapsed);
+    },
+
+    _group(flows, keyOf) {
+        const groups = {};
+
+        flows.forEach(flow => {
+            const key = keyOf(flow);
+            groups[key] = groups[key] || { key, count: 0, late: 0, totals: {} };
+
+            const group = groups[key];
+            group.count++;
+            if (flow.late) group.late++;
+            group.totals[flow.currency] = (group.totals[flow.currency] || 0) + flow.payout;
+        });
+
+        return Object.values(groups).sort((a, b) => a.key.localeCompare(b.key));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CashFlowProjection, CASHFLOW_DEFAULTS };
+}
@@ -3,13 +3,20 @@ class PrestamypeExtractor {
     constructor() {
         this.opportunities = [];
         this.isExtracting = false;
+        this._runningWalk = null;       // Recorrido del marketplace en curso (promesa)
+        this._cancelRequested = false;
+        this._fieldSources = null;
+        this.schema = DEFAULT_EXTRACTION_SCHEMA;
+        this.schemaSource = 'default';
 
         // Constantes
         this.EXTRACTION_TIMEOUT = 15000;
+        this.FULL_EXTRACTION_TIMEOUT = 120000;
         this.MIN_INVESTMENT_DEFAULT = 100;
         this.MAX_PROGRESS = 100;
         this.MIN_PROGRESS = 0;
         this.DAYS_IN_YEAR = 365;
+        this.DEFAULT_TERM_DAYS = 90;
     }
 
     // Función principal para extraer datos de la tabla (versión simplificada)
@@ -17,12 +24,15 @@ class PrestamypeExtractor {
         console.log('🔍 Iniciando extracción de datos de Prestamype...');
 
         try {
+            // Mientras se recorre el marketplace la página visible cambia en cualquier momento
+            if (this.isExtracting) {
+                throw new Error('Hay una extracción del marketplace en curso. Espera a que termine.');
+            }
+
             this._validatePageState();
 
             // Extraer datos solo de la página actual por ahora
-            this.opportunities = [];
-            const pageOpportunities = this._extractCurrentPageDataSync();
-            this.opportunities.push(...pageOpportunities);
+            this.opportunities = this._extractCurrentPageDataSync();
 
             console.log(`✅ Extraídas ${this.opportunities.length} oportunidades de la página actual`);
 
@@ -40,55 +50,149 @@ class PrestamypeExtractor {
 
     // Validar estado de la página
     _validatePageState() {
-        const loadingMessage = document.querySelector('.loadingMessage');
-        if (loadingMessage && loadingMessage.style.display !== 'none') {
+        if (this.isPageLoading()) {
             throw new Error('La página aún está cargando oportunidades. Espera unos segundos e intenta nuevamente.');
         }
 
-        const noDataMessage = document.querySelector('.notFoundMessage');
+        const noDataMessage = ExtractionSchema.queryFirst(document, this.schema.page.noData);
         if (noDataMessage && noDataMessage.parentElement.style.display !== 'none') {
             throw new Error('No hay oportunidades disponibles en este momento.');
         }
     }
 
-    // Extraer datos de todas las páginas disponibles
-    async _extractAllPages() {
-        const initialPage = this._getCurrentPageNumber();
-        console.log(`📄 Página inicial: ${initialPage}`);
+    // Extraer datos de todas las páginas del marketplace
+    // Un segundo pedido mientras tanto (reintento del popup, escaneo del background) recibe
+    // el mismo recorrido en lugar de empezar otro que haga clic en la paginación
+    async extractAllPagesData(onProgress) {
+        if (this._runningWalk) {
+            if (this._cancelRequested) {
+                throw new Error('Se está cancelando la extracción anterior. Intenta nuevamente en unos segundos.');
+            }
+            console.log('⏳ Ya hay un recorrido del marketplace en curso, se espera ese resultado');
+            return this._runningWalk;
+        }
 
-        let currentPage = 1;
-        let hasMorePages = true;
+        this._runningWalk = this._walkAllPages(onProgress);
+        try {
+            return await this._runningWalk;
+        } finally {
+            this._runningWalk = null;
+        }
+    }
 
-        while (hasMorePages) {
-            console.log(`📄 Extrayendo página ${currentPage}...`);
+    // Detener el recorrido en curso en la próxima página (p. ej. tras un timeout)
+    cancelExtraction() {
+        if (this._runningWalk) {
+            this._cancelRequested = true;
+        }
+    }
+
+    async _walkAllPages(onProgress) {
+        console.log('🔍 Iniciando extracción completa del marketplace...');
+
+        this._validatePageState();
+
+        const initialPage = this.getCurrentPageNumber();
+        const opportunities = [];
+        this.isExtracting = true; // El watcher (watcher.js) ignora la paginación mientras tanto
+        this._cancelRequested = false;
 
-            // Navegar a la página si no es la primera
-            if (currentPage > 1) {
-                const navigated = await this._navigateToPage(currentPage);
-                if (!navigated) {
-                    console.log(`⚠️ No se pudo navegar a la página ${currentPage}`);
-                    break;
+        try {
+            // Sin la página 1 se perderían en silencio las anteriores a la actual
+            if (initialPage !== 1 && !(await this._navigateToPage(1))) {
+                throw new Error(`No se pudo ir a la página 1 del marketplace desde la página ${initialPage}. Vuelve a la primera página e intenta nuevamente.`);
+            }
+
+            await this._extractAllPages(opportunities, onProgress);
+        } finally {
+            // Volver a la página en la que estaba el usuario
+            if (this.getCurrentPageNumber() !== initialPage) {
+                const restored = await this._navigateToPage(initialPage);
+                if (!restored) {
+                    console.warn(`⚠️ No se pudo volver a la página ${initialPage}`);
                 }
             }
+            this.isExtracting = false;
+            this._cancelRequested = false;
+        }
+
+        const unique = this._deduplicateByAuctionCode(opportunities);
+        console.log(`✅ Extraídas ${unique.length} oportunidades únicas del marketplace`);
+
+        if (unique.length === 0) {
+            throw new Error('No se pudieron extraer datos válidos del marketplace.');
+        }
+
+        this.opportunities = unique;
+        return unique;
+    }
+
+    // Eliminar oportunidades repetidas entre páginas
+    _deduplicateByAuctionCode(opportunities) {
+        const seen = new Set();
+        return opportunities.filter(opportunity => {
+            // Sin código de subasta el ID es solo la posición en la página: no sirve para comparar
+            const key = opportunity.auctionCode;
+            if (!key) {
+                return true;
+            }
+            if (seen.has(key)) {
+                return false;
+            }
+            seen.add(key);
+            return true;
+        });
+    }
+
+    // Extraer datos de todas las páginas disponibles, acumulando en `opportunities`
+    async _extractAllPages(opportunities, onProgress) {
+        let currentPage = this.getCurrentPageNumber();
+        let pagesProcessed = 0;
+        console.log(`📄 Página inicial: ${currentPage}`);
+
+        while (true) {
+            if (this._cancelRequested) {
+                throw new Error('Extracción del marketplace cancelada');
+            }
+
+            console.log(`📄 Extrayendo página ${currentPage}...`);
 
             // Extraer datos de la página actual
             const pageOpportunities = await this._extractCurrentPageData();
-            this.opportunities.push(...pageOpportunities);
+            opportunities.push(...pageOpportunities);
+            pagesProcessed++;
 
             console.log(`✅ Página ${currentPage}: ${pageOpportunities.length} oportunidades`);
 
+            if (onProgress) {
+                onProgress({
+                    page: currentPage,
+                    pageOpportunities: pageOpportunities.length,
+                    totalOpportunities: opportunities.length
+                });
+            }
+
             // Verificar si hay más páginas
-            hasMorePages = this._hasNextPage();
-            currentPage++;
+            if (!this._hasNextPage()) {
+                break;
+            }
 
             // Límite de seguridad para evitar loops infinitos
-            if (currentPage > 50) {
+            if (pagesProcessed >= 50) {
                 console.warn('⚠️ Límite de páginas alcanzado (50)');
                 break;
             }
+
+            const navigated = await this._navigateToPage(currentPage + 1);
+            if (!navigated) {
+                console.log(`⚠️ No se pudo navegar a la página ${currentPage + 1}`);
+                break;
+            }
+            currentPage++;
         }
 
-        console.log(`📊 Total de páginas procesadas: ${currentPage - 1}`);
+        console.log(`📊 Total de páginas procesadas: ${pagesProcessed}`);
+        return pagesProcessed;
     }
 
     // Extraer datos de la página actual
@@ -121,25 +225,31 @@ class PrestamypeExtractor {
 
     // Encontrar filas de la tabla
     _findTableRows(table) {
-        let rows = table.querySelectorAll('.wct-grid-box-row');
+        let rows = ExtractionSchema.queryAll(table, this.schema.page.rows);
 
         if (rows.length === 0) {
-            rows = table.querySelectorAll('.grid-table-row[style*="grid-template-columns"]');
+            rows = ExtractionSchema.queryAll(document, [this.schema.page.rows.join(', ')]);
         }
 
-        if (rows.length === 0) {
-            rows = document.querySelectorAll('.wct-grid-box-row, .grid-table-row[style*="grid-template-columns"]');
-        }
+        return rows;
+    }
+
+    // Filas de oportunidades visibles, en el mismo orden que usa la extracción
+    findOpportunityRows() {
+        return this._findTableRows(this.findMainTable() || document);
+    }
 
-        return Array.from(rows);
+    // Verificar si el indicador de carga está visible
+    isPageLoading() {
+        const loadingElement = ExtractionSchema.queryFirst(document, this.schema.page.loading);
+        return loadingElement !== null && loadingElement.style.display !== 'none';
     }
 
     // Esperar a que cargue la página
     async _waitForPageLoad() {
         return new Promise((resolve) => {
             const checkLoading = () => {
-                const loadingElement = document.querySelector('.loadingMessage, .loading');
-                if (!loadingElement || loadingElement.style.display === 'none') {
+                if (!this.isPageLoading()) {
                     setTimeout(resolve, 500); // Esperar un poco más para asegurar carga completa
                 } else {
                     setTimeout(checkLoading, 200);
@@ -150,8 +260,8 @@ class PrestamypeExtractor {
     }
 
     // Obtener número de página actual
-    _getCurrentPageNumber() {
-        const pageIndicator = document.querySelector('.pagination .active, .current-page');
+    getCurrentPageNumber() {
+        const pageIndicator = ExtractionSchema.queryFirst(document, this.schema.page.currentPage);
         if (pageIndicator) {
             const pageText = pageIndicator.textContent.trim();
             const pageNumber = parseInt(pageText);
@@ -162,7 +272,7 @@ class PrestamypeExtractor {
 
     // Navegar a una página específica
     async _navigateToPage(pageNumber) {
-        const paginationContainer = document.querySelector('.pagination, .pager');
+        const paginationContainer = ExtractionSchema.queryFirst(document, this.schema.page.pagination);
         if (!paginationContainer) {
             return false;
         }
@@ -176,69 +286,107 @@ class PrestamypeExtractor {
         }
 
         // Buscar botón "Siguiente" si es la página siguiente
-        const nextButton = paginationContainer.querySelector('.next, .page-next, [aria-label*="next"]');
-        if (nextButton && pageNumber === this._getCurrentPageNumber() + 1) {
+        const nextButton = ExtractionSchema.queryFirst(paginationContainer, this.schema.page.nextPage);
+        if (nextButton && pageNumber === this.getCurrentPageNumber() + 1) {
             nextButton.click();
             await this._waitForPageLoad();
             return true;
         }
 
+        // Buscar botón "Anterior" si es la página anterior
+        const prevButton = ExtractionSchema.queryFirst(paginationContainer, this.schema.page.prevPage);
+        if (prevButton && pageNumber === this.getCurrentPageNumber() - 1) {
+            prevButton.click();
+            await this._waitForPageLoad();
+            return true;
+        }
+
         return false;
     }
 
     // Verificar si hay página siguiente
     _hasNextPage() {
-        const paginationContainer = document.querySelector('.pagination, .pager');
+        const paginationContainer = ExtractionSchema.queryFirst(document, this.schema.page.pagination);
         if (!paginationContainer) {
             return false;
         }
 
-        const nextButton = paginationContainer.querySelector('.next:not(.disabled), .page-next:not(.disabled)');
-        return nextButton !== null;
+        return ExtractionSchema.queryFirst(paginationContainer, this.schema.page.nextPageEnabled) !== null;
     }
 
     // Extraer tipo de inversión
     extractInvestmentType(row, cells) {
-        const typeCell = row.querySelector('[data-name="Tipo de inversión"]');
-        if (typeCell) {
-            const badge = typeCell.querySelector('.badge');
-            if (badge) {
-                const type = badge.textContent.trim().toLowerCase();
-                return type;
-            }
-        }
-
-        // Fallback: buscar badges en cualquier parte
-        const badges = row.querySelectorAll('.badge');
-        for (const badge of badges) {
-            const text = badge.textContent.trim().toLowerCase();
-            if (['factoring', 'confirming', 'pagaré', 'prestamo'].includes(text)) {
-                return text;
+        return this._extractField('category', row, () => {
+            // Fallback: buscar badges en cualquier parte
+            const badges = row.querySelectorAll('.badge');
+            for (const badge of badges) {
+                const text = badge.textContent.trim().toLowerCase();
+                if (['factoring', 'confirming', 'pagaré', 'prestamo'].includes(text)) {
+                    return text;
+                }
             }
-        }
-
-        return 'factoring'; // Default
+            return null;
+        });
     }
 
     // Extraer moneda
     extractPrestamypeCurrency(row, cells) {
-        const amountCell = row.querySelector('[data-name="Monto total"]');
-        if (amountCell) {
-            const currencySpan = amountCell.querySelector('.currency');
-            if (currencySpan) {
-                return currencySpan.textContent.trim();
+        return this._extractField('currency', row, () => {
+            // Buscar texto que contenga moneda
+            for (const cell of cells) {
+                const text = cell.textContent;
+                if (text.includes('PEN')) return 'PEN';
+                if (text.includes('USD')) return 'USD';
+                if (text.includes('EUR')) return 'EUR';
+            }
+            return null;
+        });
+    }
+
+    // Valor de un campo según el esquema: primero sus reglas declaradas (selector principal),
+    // luego la búsqueda alternativa del extractor y por último el valor por defecto del esquema
+    _extractField(field, row, fallback = null) {
+        const spec = this.schema.fields[field] || { rules: [] };
+
+        for (const rule of spec.rules) {
+            const value = ExtractionSchema.applyRule(row, rule);
+            if (value !== null) {
+                return this._withSource(field, FIELD_SOURCE.PRIMARY, value);
             }
         }
 
-        // Buscar texto que contenga moneda
-        for (const cell of cells) {
-            const text = cell.textContent;
-            if (text.includes('PEN')) return 'PEN';
-            if (text.includes('USD')) return 'USD';
-            if (text.includes('EUR')) return 'EUR';
+        const fallbackValue = fallback ? fallback() : null;
+        if (fallbackValue !== null && fallbackValue !== undefined) {
+            return this._withSource(field, FIELD_SOURCE.FALLBACK, fallbackValue);
         }
 
-        return 'PEN'; // Default para Perú
+        if (spec.default !== undefined && spec.default !== null) {
+            return this._withSource(field, FIELD_SOURCE.DEFAULT, spec.default);
+        }
+        return this._withSource(field, FIELD_SOURCE.MISSING, null);
+    }
+
+    // Cargar el esquema de extracción vigente (incluido o importado por el usuario)
+    // Nunca rechaza: si no se puede leer el esquema importado se usa el incluido en la extensión
+    async loadSchema() {
+        let loaded;
+        try {
+            loaded = await ExtractionSchema.load();
+        } catch (error) {
+            loaded = {
+                schema: DEFAULT_EXTRACTION_SCHEMA,
+                source: 'default',
+                warning: `No se pudo cargar el esquema importado: ${error.message}`
+            };
+        }
+
+        const { schema, source, warning } = loaded;
+        if (warning) {
+            console.warn(`⚠️ ${warning}`);
+        }
+        this.schema = schema;
+        this.schemaSource = source;
+        return schema;
     }
 
     // Extraer datos de la página actual de manera síncrona
@@ -269,36 +417,11 @@ class PrestamypeExtractor {
 
     // Encontrar la tabla principal
     findMainTable() {
-        // Primero buscar el grid-table específico de Prestamype
-        const gridTable = document.querySelector('.wct-grid-table');
-        if (gridTable && this.isValidOpportunityTable(gridTable)) {
-            return gridTable;
-        }
-
-        // Buscar por el contenedor de la tabla
-        const tableContent = document.querySelector('.table-content');
-        if (tableContent) {
-            const gridTableInContent = tableContent.querySelector('.wct-grid-table');
-            if (gridTableInContent && this.isValidOpportunityTable(gridTableInContent)) {
-                return gridTableInContent;
-            }
-        }
-
-        // Posibles selectores para la tabla de oportunidades
-        const selectors = [
-            '.grid-table-body',
-            '.content-table-oportunity .wct-grid-table',
-            'table[class*="opportunities"]',
-            'table[class*="prestamos"]',
-            'table[class*="inversiones"]',
-            '.table-responsive table',
-            '[data-testid="opportunities-table"]'
-        ];
-
-        for (const selector of selectors) {
+        // Selectores del esquema, en orden de preferencia
+        for (const selector of this.schema.page.table) {
             const element = document.querySelector(selector);
             if (element) {
-                const table = element.tagName === 'TABLE' ? element : element.closest('.wct-grid-table') || element;
+                const table = element.tagName === 'TABLE' ? element : element.closest(this.schema.page.table[0]) || element;
                 if (table && this.isValidOpportunityTable(table)) {
                     return table;
                 }
@@ -306,7 +429,7 @@ class PrestamypeExtractor {
         }
 
         // Buscar por contenido típico de Prestamype
-        const tables = document.querySelectorAll('table, .wct-grid-table, .grid-table-body');
+        const tables = document.querySelectorAll(['table', ...this.schema.page.tableMarkers].join(', '));
         for (const table of tables) {
             if (this.isValidOpportunityTable(table)) {
                 return table;
@@ -336,22 +459,16 @@ class PrestamypeExtractor {
         const generalFound = generalKeywords.filter(keyword => text.includes(keyword));
         
         // También verificar si tiene la estructura de grid de Prestamype
-        const hasGridStructure = table.classList.contains('wct-grid-table') || 
-                                 table.querySelector('.grid-table-head') ||
-                                 table.querySelector('.grid-table-body');
+        const hasGridStructure = this.schema.page.tableMarkers
+            .some(selector => table.matches(selector) || table.querySelector(selector));
         
         return generalFound.length >= 3 || hasGridStructure;
     }
 
     // Extraer datos de una fila
     extractRowData(row, index) {
-        // Para grid de Prestamype, las "celdas" son divs con clase grid-table-cell
-        let cells = row.querySelectorAll('.grid-table-cell');
-        
-        // Fallback a celdas tradicionales
-        if (cells.length === 0) {
-            cells = row.querySelectorAll('td, th, div[class*="cell"], div[class*="column"]');
-        }
+        // Para grid de Prestamype, las "celdas" son divs con clase grid-table-cell (ver schema.js)
+        const cells = ExtractionSchema.queryAll(row, this.schema.page.cells);
 
         console.log(`📝 Procesando fila ${index} con ${cells.length} celdas`);
 
@@ -361,6 +478,7 @@ class PrestamypeExtractor {
         }
 
         // Extraer datos básicos adaptado a la estructura de Prestamype
+        this._fieldSources = {};
         const opportunity = {
             id: this.generateId(row, index),
             title: this.extractPrestamypeTitle(row, cells),
@@ -386,6 +504,16 @@ class PrestamypeExtractor {
             rawData: Array.from(cells).map(cell => cell.textContent.trim())
         };
 
+        // Campos adicionales declarados solo en un esquema importado
+        Object.keys(this.schema.fields)
+            .filter(field => !(field in opportunity))
+            .forEach(field => {
+                opportunity[field] = this._extractField(field, row);
+            });
+
+        opportunity.fieldSources = this._fieldSources;
+        this._fieldSources = null;
+
         console.log(`📊 Oportunidad extraída:`, opportunity);
 
         // Validar datos mínimos - más flexible para Prestamype
@@ -399,291 +527,126 @@ class PrestamypeExtractor {
 
     // Extraer título específico de Prestamype
     extractPrestamypeTitle(row, cells) {
-        // Buscar específicamente la celda del cliente por data-name
-        const clientCell = row.querySelector('[data-name="Cliente"]');
-        if (clientCell) {
-            // Buscar el título del cliente en la estructura específica
-            const titleElement = clientCell.querySelector('.title');
-            if (titleElement) {
-                return titleElement.textContent.trim();
-            }
-            
-            // Fallback a texto general de la celda
-            const text = clientCell.textContent.trim();
-            if (text && text.length > 3) {
-                // Limpiar texto de espacios extras
-                return text.replace(/\s+/g, ' ').trim();
-            }
-        }
-
-        // Fallback: buscar en celdas por posición (segunda celda típicamente)
-        if (cells.length > 1) {
-            const secondCell = cells[1];
-            const text = secondCell.textContent.trim();
-            if (text && text.length > 3 && !this.isNumericValue(text)) {
-                return text.replace(/\s+/g, ' ').trim();
+        const title = this._extractField('title', row, () => {
+            // Fallback: buscar en celdas por posición (segunda celda típicamente)
+            if (cells.length > 1) {
+                const text = cells[1].textContent.trim();
+                if (text && text.length > 3 && !this.isNumericValue(text)) {
+                    return text.replace(/\s+/g, ' ').trim();
+                }
             }
-        }
+            return null;
+        });
 
-        return `Oportunidad #${Date.now()}`;
+        return title !== null ? title : this._withSource('title', FIELD_SOURCE.DEFAULT, `Oportunidad #${Date.now()}`);
     }
 
     // Extraer monto específico de Prestamype
     extractPrestamypeAmount(row, cells) {
-        // Buscar específicamente la celda del monto total por data-name
-        const amountCell = row.querySelector('[data-name="Monto total"]');
-        if (amountCell) {
-            // Buscar el elemento .mount que contiene el monto
-            const mountElement = amountCell.querySelector('.mount p');
-            if (mountElement) {
-                const amountText = mountElement.textContent.trim();
-                const amount = parseFloat(amountText.replace(/,/g, ''));
-                if (!isNaN(amount) && amount > 0) {
-                    return amount;
-                }
-            }
-            
-            // Fallback: buscar en todo el texto de la celda
-            const text = amountCell.textContent.trim();
-            const numberMatch = text.match(/(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
-            if (numberMatch) {
-                const amount = parseFloat(numberMatch[1].replace(/,/g, ''));
-                if (!isNaN(amount) && amount > 1000) {
-                    return amount;
-                }
-            }
-        }
-
-        // Fallback: buscar en todas las celdas
-        for (const cell of cells) {
-            const text = cell.textContent.trim();
-            
-            // Buscar números con formato de miles (con comas)
-            const amountMatch = text.match(/(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
-            if (amountMatch) {
-                const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
-                if (!isNaN(amount) && amount > 10000) { // Montos típicos de factoring
-                    return amount;
+        return this._extractField('amount', row, () => {
+            // Fallback: buscar en todas las celdas
+            for (const cell of cells) {
+                const text = cell.textContent.trim();
+
+                // Buscar números con formato de miles (con comas)
+                const amountMatch = text.match(/(\d{1,3}(?:,\d{3})*(?:\.\d{2})?)/);
+                if (amountMatch) {
+                    const amount = parseFloat(amountMatch[1].replace(/,/g, ''));
+                    if (!isNaN(amount) && amount > 10000) { // Montos típicos de factoring
+                        return amount;
+                    }
                 }
             }
-        }
-        return null;
+            return null;
+        });
     }
 
     // Extraer retorno específico de Prestamype
     extractPrestamypeReturn(row, cells) {
-        // Buscar específicamente la celda del retorno anualizado por data-name
-        const returnCell = row.querySelector('[data-name="Retorno anualizado"]');
-        if (returnCell) {
-            const text = returnCell.textContent.trim();
-            const returnMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%/);
-            if (returnMatch) {
-                const returnValue = parseFloat(returnMatch[1].replace(',', '.'));
-                if (!isNaN(returnValue) && returnValue > 0 && returnValue < 50) {
-                    return returnValue;
-                }
-            }
-        }
-
-        // Fallback: buscar en todas las celdas
-        for (const cell of cells) {
-            const text = cell.textContent.trim();
-            
-            // Buscar "XX.X%" o "XX,X%"
-            const returnMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%/);
-            if (returnMatch) {
-                const returnValue = parseFloat(returnMatch[1].replace(',', '.'));
-                // Filtrar valores que parecen ser retornos realistas
-                if (returnValue > 1 && returnValue < 50) {
-                    return returnValue;
+        return this._extractField('return', row, () => {
+            // Fallback: buscar en todas las celdas
+            for (const cell of cells) {
+                const text = cell.textContent.trim();
+
+                // Buscar "XX.X%" o "XX,X%"
+                const returnMatch = text.match(/(\d+(?:[.,]\d+)?)\s*%/);
+                if (returnMatch) {
+                    const returnValue = parseFloat(returnMatch[1].replace(',', '.'));
+                    // Filtrar valores que parecen ser retornos realistas
+                    if (returnValue > 1 && returnValue < 50) {
+                        return returnValue;
+                    }
                 }
             }
-        }
-        return null;
+            return null;
+        });
     }
 
-    // Extraer término/plazo específico de Prestamype
+    // Extraer término/plazo específico de Prestamype (en días, ver yield.js)
     extractPrestamypeTerm(row, cells) {
-        // Buscar la fecha de pago estimado para calcular el plazo
-        const paymentCell = row.querySelector('[data-name="Pago estimado"]');
-        if (paymentCell) {
-            const titleElement = paymentCell.querySelector('.title');
-            if (titleElement) {
-                const dateText = titleElement.textContent.trim();
-                // Formato: "31 dic. 2025"
-                const term = this.calculateTermFromSpanishDate(dateText);
-                if (term > 0) {
-                    return term;
-                }
-            }
+        // El plazo va desde el cierre de la subasta hasta la fecha de pago estimado
+        const term = this.calculateTermDays(
+            this.extractEstimatedPayment(row, cells),
+            this.extractAuctionClose(row, cells)
+        );
+        if (term > 0) {
+            // Es tan confiable como la fecha de pago de la que se calcula
+            const source = (this._fieldSources && this._fieldSources.estimatedPayment) || FIELD_SOURCE.FALLBACK;
+            return this._withSource('term', source, term);
         }
 
-        // También revisar cierre de subasta como referencia adicional
-        const auctionCell = row.querySelector('[data-name="Cierre de subasta"]');
-        if (auctionCell) {
-            const subtitleElement = auctionCell.querySelector('.subtitle');
-            if (subtitleElement) {
-                const text = subtitleElement.textContent.toLowerCase().trim();
-                // Extraer días restantes: "Faltan 11 horas" o "Faltan 109 días"
-                const daysMatch = text.match(/faltan\s+(\d+)\s+días/);
-                if (daysMatch) {
-                    const days = parseInt(daysMatch[1]);
-                    return Math.round(days / 30); // Convertir a meses aproximados
-                }
-                
-                const hoursMatch = text.match(/faltan\s+(\d+)\s+horas/);
-                if (hoursMatch) {
-                    return 1; // Menos de un mes
-                }
-            }
-        }
-
-        // Fallback: buscar en todas las celdas por fechas
-        for (const cell of cells) {
-            const text = cell.textContent.toLowerCase().trim();
-            
-            // Buscar "Faltan X días"
-            const daysMatch = text.match(/faltan\s+(\d+)\s+días/);
-            if (daysMatch) {
-                const days = parseInt(daysMatch[1]);
-                if (days > 0 && days < 365) {
-                    return Math.round(days / 30);
-                }
-            }
-        }
-        
         // Valor por defecto para factoring (típicamente corto plazo)
-        return 3;
+        return this._withSource('term', FIELD_SOURCE.DEFAULT, this.DEFAULT_TERM_DAYS);
     }
 
-    // Calcular término desde fecha en español
-    calculateTermFromSpanishDate(dateText) {
-        try {
-            // Mapear meses en español a números
-            const monthsES = {
-                'ene': 0, 'feb': 1, 'mar': 2, 'abr': 3, 'may': 4, 'jun': 5,
-                'jul': 6, 'ago': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dic': 11
-            };
-
-            // Extraer componentes: "31 dic. 2025"
-            const match = dateText.match(/(\d+)\s+(\w+)\.?\s+(\d{4})/);
-            if (match) {
-                const day = parseInt(match[1]);
-                const monthStr = match[2].toLowerCase().substring(0, 3);
-                const year = parseInt(match[3]);
-                
-                if (monthsES.hasOwnProperty(monthStr)) {
-                    const targetDate = new Date(year, monthsES[monthStr], day);
-                    const today = new Date();
-                    const diffTime = targetDate - today;
-                    const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-                    
-                    if (diffDays > 0 && diffDays < 365) {
-                        return Math.round(diffDays / 30);
-                    }
-                }
-            }
-        } catch (error) {
-            console.warn('Error calculando término desde fecha:', error);
-        }
-        
-        return 0;
+    // Días entre el cierre de subasta (o hoy si no se conoce) y el pago estimado
+    calculateTermDays(paymentDate, closeDate = null) {
+        const days = SpanishDateParser.diffDays(closeDate || Date.now(), paymentDate);
+        return days > 0 ? Math.ceil(days) : 0;
     }
 
     // Extraer riesgo específico de Prestamype
     extractPrestamypeRisk(row, cells) {
-        // Buscar específicamente la celda del riesgo por data-name
-        const riskCell = row.querySelector('[data-name="Riesgo"]');
-        if (riskCell) {
-            // Buscar el elemento con clase risk
-            const riskElement = riskCell.querySelector('[class*="risk-"]');
-            if (riskElement) {
-                const classes = riskElement.className;
-                // Extraer la clase de riesgo: risk-A, risk-B, etc.
-                const riskMatch = classes.match(/risk-([A-E])/);
+        return this._extractField('risk', row, () => {
+            // Fallback: buscar por clases CSS en toda la fila
+            const riskElements = row.querySelectorAll('[class*="risk-"]');
+            for (const elem of riskElements) {
+                const riskMatch = elem.className.match(/risk-([A-E])/);
                 if (riskMatch) {
                     return riskMatch[1];
                 }
             }
-            
-            // Fallback: buscar texto dentro de la celda
-            const text = riskCell.textContent.trim();
-            const riskMatch = text.match(/\b([A-E])\b/);
-            if (riskMatch) {
-                return riskMatch[1];
-            }
-        }
 
-        // Fallback: buscar por clases CSS en toda la fila
-        const riskElements = row.querySelectorAll('[class*="risk-"]');
-        for (const elem of riskElements) {
-            const classes = elem.className;
-            const riskMatch = classes.match(/risk-([A-E])/);
-            if (riskMatch) {
-                return riskMatch[1];
-            }
-        }
-
-        // Fallback adicional: buscar en todas las celdas
-        for (const cell of cells) {
-            const text = cell.textContent.trim();
-            const riskMatch = text.match(/\b([A-E])\b/);
-            if (riskMatch && text.toLowerCase().includes('riesgo')) {
-                return riskMatch[1];
+            // Fallback adicional: buscar en todas las celdas
+            for (const cell of cells) {
+                const text = cell.textContent.trim();
+                const riskMatch = text.match(/\b([A-E])\b/);
+                if (riskMatch && text.toLowerCase().includes('riesgo')) {
+                    return riskMatch[1];
+                }
             }
-        }
-        
-        return 'B'; // Riesgo por defecto para factoring
+            return null;
+        });
     }
 
-    // Extraer cierre de subasta
+    // Extraer cierre de subasta (timestamp ISO)
     extractAuctionClose(row, cells) {
-        const auctionCell = row.querySelector('[data-name="Cierre de subasta"]');
-        if (auctionCell) {
-            const titleElement = auctionCell.querySelector('.title');
-            if (titleElement) {
-                return titleElement.textContent.trim();
-            }
-        }
-
-        // Fallback
-        for (const cell of cells) {
-            const text = cell.textContent.trim();
-            if (text.toLowerCase().includes('cierre') || text.toLowerCase().includes('subasta')) {
-                const spanishDateMatch = text.match(/(\d+\s+\w+\.?\s+\d{4})/);
-                if (spanishDateMatch) {
-                    return spanishDateMatch[1];
-                }
-                const dateMatch = text.match(/(\d{1,2}\/\d{1,2}\/\d{4})/);
-                if (dateMatch) {
-                    return dateMatch[1];
-                }
-            }
-        }
-        return null;
+        return this._extractField('auctionClose', row, () => this._extractDateFromCells(cells, ['cierre', 'subasta']));
     }
 
-    // Extraer pago estimado
+    // Extraer pago estimado (timestamp ISO)
     extractEstimatedPayment(row, cells) {
-        const paymentCell = row.querySelector('[data-name="Pago estimado"]');
-        if (paymentCell) {
-            const titleElement = paymentCell.querySelector('.title');
-            if (titleElement) {
-                return titleElement.textContent.trim();
-            }
-        }
+        return this._extractField('estimatedPayment', row, () => this._extractDateFromCells(cells, ['pago', 'estimado']));
+    }
 
-        // Fallback
+    // Buscar la primera fecha reconocible en celdas que mencionen alguna palabra clave
+    _extractDateFromCells(cells, keywords) {
         for (const cell of cells) {
             const text = cell.textContent.trim();
-            if (text.toLowerCase().includes('pago') || text.toLowerCase().includes('estimado')) {
-                const spanishDateMatch = text.match(/(\d+\s+\w+\.?\s+\d{4})/);
-                if (spanishDateMatch) {
-                    return spanishDateMatch[1];
-                }
-                const dateMatch = text.match(/(\d{1,2}\/\d{1,2}\/\d{4})/);
-                if (dateMatch) {
-                    return dateMatch[1];
+            if (keywords.some(keyword => text.toLowerCase().includes(keyword))) {
+                const date = SpanishDateParser.toISO(text);
+                if (date) {
+                    return date;
                 }
             }
         }
@@ -692,23 +655,13 @@ class PrestamypeExtractor {
 
     // Extraer progreso de financiación
     extractProgress(row, cells) {
-        const progressValue = this._extractProgressFromAmountCell(row) ||
-                             this._extractProgressFromProgressBar(cells) ||
-                             this._extractProgressFromText(cells);
+        const progressValue = this._extractField('progress', row, () =>
+            this._extractProgressFromProgressBar(cells) || this._extractProgressFromText(cells)
+        );
 
         return Math.min(Math.max(progressValue || 0, this.MIN_PROGRESS), this.MAX_PROGRESS);
     }
 
-    _extractProgressFromAmountCell(row) {
-        const amountCell = row.querySelector('[data-name="Monto total"]');
-        const percentageElement = amountCell?.querySelector('.percentage-number');
-        if (!percentageElement) return null;
-
-        const percentText = percentageElement.textContent.trim();
-        const percentMatch = percentText.match(/(\d+(?:\.\d+)?)/);
-        return percentMatch ? parseFloat(percentMatch[1]) : null;
-    }
-
     _extractProgressFromProgressBar(cells) {
         for (const cell of cells) {
             const progressBar = cell.querySelector('[class*="progress"], .bar, [style*="width"]');
@@ -735,14 +688,33 @@ class PrestamypeExtractor {
     }
 
 
-    // Generar ID único para la oportunidad
+    // Registrar de dónde salió un campo de la fila en curso (ver diagnostics.js)
+    _withSource(field, source, value) {
+        if (this._fieldSources) {
+            this._fieldSources[field] = value === null || value === undefined ? FIELD_SOURCE.MISSING : source;
+        }
+        return value;
+    }
+
+    // Generar ID de la oportunidad. Es estable entre extracciones para que el overlay
+    // (overlay.js) encuentre la misma fila después de que el grid se vuelva a pintar.
+    // Sin enlace ni código el ID es la posición con su página (opp_<página>_<fila>): el
+    // recorrido multipágina repite las mismas posiciones en cada página.
     generateId(row, index) {
         const link = row.querySelector('a[href]');
         if (link) {
             const match = link.href.match(/\/(\d+)/) || link.href.match(/id=(\d+)/);
             if (match) return match[1];
         }
-        return `opp_${index}_${Date.now()}`;
+
+        const auctionCode = this._findAuctionCode(row);
+        return auctionCode ? `opp_${auctionCode}` : `opp_${this.getCurrentPageNumber()}_${index}`;
+    }
+
+    // Código de subasta de 8 caracteres en el texto de la fila
+    _findAuctionCode(row) {
+        const codeMatch = row.textContent.match(/[A-Z0-9]{8}/);
+        return codeMatch ? codeMatch[0] : null;
     }
 
     // Extraer título
@@ -793,7 +765,7 @@ class PrestamypeExtractor {
         return null;
     }
 
-    // Extraer plazo
+    // Extraer plazo (en días)
     extractTerm(row, cells) {
         for (const cell of cells) {
             const text = cell.textContent.toLowerCase().trim();
@@ -801,17 +773,17 @@ class PrestamypeExtractor {
             // Buscar patrones de tiempo
             const monthMatch = text.match(/(\d+)\s*mes(?:es)?/);
             if (monthMatch) {
-                return parseInt(monthMatch[1]);
+                return parseInt(monthMatch[1]) * 30;
             }
             
             const yearMatch = text.match(/(\d+)\s*año(?:s)?/);
             if (yearMatch) {
-                return parseInt(yearMatch[1]) * 12;
+                return parseInt(yearMatch[1]) * this.DAYS_IN_YEAR;
             }
             
             const dayMatch = text.match(/(\d+)\s*día(?:s)?/);
             if (dayMatch) {
-                return Math.round(parseInt(dayMatch[1]) / 30);
+                return parseInt(dayMatch[1]);
             }
         }
         return null;
@@ -843,14 +815,16 @@ class PrestamypeExtractor {
 
     // Extraer inversión mínima
     extractMinInvestment(row, cells) {
-        for (const cell of cells) {
-            const text = cell.textContent.toLowerCase().trim();
-            if (text.includes('mín') || text.includes('min')) {
-                const amount = this.parseAmount(cell.textContent);
-                if (amount > 0) return amount;
+        return this._extractField('minInvestment', row, () => {
+            for (const cell of cells) {
+                const text = cell.textContent.toLowerCase().trim();
+                if (text.includes('mín') || text.includes('min')) {
+                    const amount = this.parseAmount(cell.textContent);
+                    if (amount > 0) return amount;
+                }
             }
-        }
-        return 50; // Mínimo por defecto
+            return null;
+        });
     }
 
 
@@ -898,30 +872,23 @@ class PrestamypeExtractor {
     }
 
     // Abrir modal de detalle y extraer información adicional
-    async openModalAndExtract(opportunityId) {
+    async openModalAndExtract(opportunityId, auctionCode = null) {
         return new Promise((resolve, reject) => {
             try {
                 console.log(`🔍 Abriendo modal para oportunidad: ${opportunityId}`);
                 
                 // Buscar el enlace de la oportunidad por diferentes métodos
                 let link = document.querySelector(`a[href*="${opportunityId}"]`);
+                const row = link ? null : this._findOpportunityRow(opportunityId, auctionCode);
                 
-                if (!link) {
-                    // Buscar por texto o posición en la tabla
-                    const rows = document.querySelectorAll('tbody tr');
-                    for (let i = 0; i < rows.length; i++) {
-                        const row = rows[i];
-                        if (row.textContent.includes(opportunityId) || i.toString() === opportunityId.replace('opp_', '').split('_')[0]) {
-                            link = row.querySelector('a[href]');
-                            break;
-                        }
-                    }
+                if (!link && row) {
+                    link = row.querySelector('a[href]');
                 }
                 
-                if (!link) {
+                if (!link && row) {
                     console.warn(`⚠️ No se encontró enlace para ${opportunityId}, intentando método alternativo`);
-                    // Intentar encontrar botones de "Ver más", "Detalles", etc.
-                    const buttons = document.querySelectorAll('button, .btn, [role="button"]');
+                    // Intentar encontrar botones de "Ver más", "Detalles", etc. dentro de la fila
+                    const buttons = row.querySelectorAll('button, .btn, [role="button"]');
                     for (const button of buttons) {
                         const text = button.textContent.toLowerCase();
                         if (text.includes('ver') || text.includes('detail') || text.includes('más')) {
@@ -929,37 +896,34 @@ class PrestamypeExtractor {
                             break;
                         }
                     }
+
+                    // La fila completa abre el detalle en el grid de Prestamype
+                    link = link || row;
                 }
 
+                // Sin detalle no hay datos que devolver: el popup cuenta la subasta como fallida
                 if (!link) {
-                    resolve({
-                        description: 'No se pudo acceder a detalles adicionales',
-                        investorInfo: {},
-                        financialDetails: {},
-                        documents: []
-                    });
+                    reject(new Error('No se pudo acceder a detalles adicionales'));
                     return;
                 }
 
                 // No necesitamos guardar todo el contenido del body, es inseguro e ineficiente
                 
+                let timeout = null;
+
                 // Configurar observer para detectar cambios en el DOM
                 const observer = new MutationObserver(() => {
                     const modal = this.findModal();
                     if (modal) {
                         observer.disconnect();
+                        clearTimeout(timeout);
                         setTimeout(() => {
                             try {
                                 const modalData = this.extractModalData(modal);
                                 resolve(modalData);
                             } catch (error) {
                                 console.error('Error extrayendo datos del modal:', error);
-                                resolve({
-                                    description: 'Error extrayendo datos del modal',
-                                    investorInfo: {},
-                                    financialDetails: {},
-                                    documents: []
-                                });
+                                reject(new Error('Error extrayendo datos del modal'));
                             }
                         }, 1000);
                     }
@@ -977,17 +941,10 @@ class PrestamypeExtractor {
                 link.click();
 
                 // Timeout de seguridad
-                setTimeout(() => {
+                timeout = setTimeout(() => {
                     observer.disconnect();
-                    if (!link.clicked) {
-                        console.warn('⏰ Timeout esperando modal');
-                        resolve({
-                            description: 'Timeout esperando modal',
-                            investorInfo: {},
-                            financialDetails: {},
-                            documents: []
-                        });
-                    }
+                    console.warn('⏰ Timeout esperando modal');
+                    reject(new Error('Timeout esperando modal'));
                 }, 8000);
 
             } catch (error) {
@@ -997,20 +954,46 @@ class PrestamypeExtractor {
         });
     }
 
+    // Encontrar la fila del grid que corresponde a una oportunidad
+    // Un ID posicional (opp_<página>_<fila>) solo vale en su página: en otra, esa fila es otra subasta
+    _findOpportunityRow(opportunityId, auctionCode) {
+        const rows = this.findOpportunityRows();
+
+        if (auctionCode) {
+            const row = rows.find(r => r.textContent.includes(auctionCode));
+            if (row) return row;
+        }
+
+        const indexMatch = String(opportunityId).match(/^opp_(\d+)_(\d+)$/);
+        if (indexMatch) {
+            const page = parseInt(indexMatch[1]);
+            if (page !== this.getCurrentPageNumber()) {
+                throw new Error(`La subasta no tiene código y está en la página ${page} del marketplace: no se puede ubicar su detalle desde esta página`);
+            }
+            return rows[parseInt(indexMatch[2])] || null;
+        }
+
+        return rows.find(r => r.textContent.includes(opportunityId)) || null;
+    }
+
+    // Cerrar el modal de detalle para poder abrir el siguiente
+    async closeModal() {
+        const modal = this.findModal();
+        if (!modal) return;
+
+        const closeButton = ExtractionSchema.queryFirst(modal, this.schema.page.modalClose);
+        if (closeButton) {
+            closeButton.click();
+        } else {
+            document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
     // Encontrar modal en el DOM
     findModal() {
-        const selectors = [
-            '.modal:not(.hidden)',
-            '[role="dialog"]',
-            '.popup:not(.hidden)',
-            '.overlay:not(.hidden)',
-            '.lightbox',
-            '[data-modal="true"]',
-            '.modal-content',
-            '.dialog'
-        ];
-
-        for (const selector of selectors) {
+        for (const selector of this.schema.page.modal) {
             const modal = document.querySelector(selector);
             if (modal && this.isVisibleModal(modal)) {
                 return modal;
@@ -1107,22 +1090,26 @@ class PrestamypeExtractor {
         return additionalData;
     }
 
-    // Extraer fechas del modal
+    // Extraer fechas del modal (timestamps ISO)
     extractDatesFromModal(modal) {
         const dates = {};
         const text = modal.textContent;
         
-        // Buscar patrones de fechas
+        // Buscar el texto que sigue a cada etiqueta y pasarlo por el parser de fechas
         const datePatterns = [
-            { key: 'startDate', pattern: /inicio[:\s]*(\d{1,2}\/\d{1,2}\/\d{4})/i },
-            { key: 'endDate', pattern: /vencimiento[:\s]*(\d{1,2}\/\d{1,2}\/\d{4})/i },
-            { key: 'publishDate', pattern: /publicado[:\s]*(\d{1,2}\/\d{1,2}\/\d{4})/i }
+            { key: 'startDate', pattern: /inicio[:\s]*([^\n]{1,40})/i },
+            { key: 'endDate', pattern: /vencimiento[:\s]*([^\n]{1,40})/i },
+            { key: 'publishDate', pattern: /publicado[:\s]*([^\n]{1,40})/i }
         ];
+        // Sin saltos de línea el texto sigue con la próxima etiqueta ("14/10/2026Vencimiento: ..."):
+        // el valor termina donde empieza otra etiqueta o una palabra en mayúscula pegada a un número
+        const nextLabel = /[Ii]nicio|[Vv]encimiento|[Pp]ublicado|[A-Za-zÁÉÍÓÚáéíóúÑñ]+\s*:|(?<=\d)(?=[A-ZÁÉÍÓÚÑ])/;
 
         datePatterns.forEach(({ key, pattern }) => {
             const match = text.match(pattern);
-            if (match) {
-                dates[key] = match[1];
+            const date = match && SpanishDateParser.toISO(match[1].split(nextLabel)[0]);
+            if (date) {
+                dates[key] = date;
             }
         });
 
@@ -1159,6 +1146,14 @@ class PrestamypeExtractor {
                 info.income = this.parseAmount(value) || null;
             }
         });
+
+        // Número de inversionistas: "25 inversionistas" o "Inversores: 25"
+        const text = modal.textContent;
+        const investorsMatch = text.match(/(\d+)\s*(?:inversionistas|inversores)/i) ||
+                               text.match(/(?:inversionistas|inversores)[:\s]*(\d+)/i);
+        if (investorsMatch) {
+            info.totalInvestors = parseInt(investorsMatch[1]);
+        }
         
         return info;
     }
@@ -1174,6 +1169,13 @@ class PrestamypeExtractor {
         
         const taeMatch = text.match(/TAE[:\s]*(\d+(?:[.,]\d+)?)%/i);
         if (taeMatch) details.tae = parseFloat(taeMatch[1].replace(',', '.'));
+
+        // Montos de inversión: "Inversión máxima: S/ 5,000.00"
+        const maxMatch = text.match(/(?:inversi[oó]n m[aá]xima|mayor inversi[oó]n|monto m[aá]ximo)[:\s]*(?:S\/|\$|PEN|USD)?\s*(\d[\d,]*(?:\.\d+)?)/i);
+        if (maxMatch) details.maxInvestment = parseFloat(maxMatch[1].replace(/,/g, ''));
+
+        const minMatch = text.match(/(?:inversi[oó]n m[ií]nima|monto m[ií]nimo)[:\s]*(?:S\/|\$|PEN|USD)?\s*(\d[\d,]*(?:\.\d+)?)/i);
+        if (minMatch) details.minInvestment = parseFloat(minMatch[1].replace(/,/g, ''));
         
         return details;
     }
@@ -1188,22 +1190,48 @@ class PrestamypeExtractor {
     }
 }
 
-// Instancia global del extractor
+// Instancia global del extractor, del overlay y del modo vigilancia sobre el grid
 const extractor = new PrestamypeExtractor();
+const gridOverlay = new GridOverlay(extractor);
+const gridWatcher = new GridWatcher(extractor, notifyGridChanges);
+
+// Enviar progreso de la extracción multipágina al popup
+function notifyExtractionProgress(progress) {
+    chrome.runtime.sendMessage({ action: 'extractionProgress', ...progress })
+        .catch(() => {
+            // El popup puede estar cerrado, no es un error
+        });
+}
+
+// Enviar los cambios del grid al popup (si está abierto) y al background
+function notifyGridChanges(changes) {
+    chrome.runtime.sendMessage({
+        action: 'gridChanges',
+        changes,
+        url: window.location.href,
+        timestamp: Date.now()
+    }).catch(() => {
+        // Sin receptores activos, no es un error
+    });
+}
 
 // Listener para mensajes del popup
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     console.log('📨 Mensaje recibido:', request);
     
     if (request.action === 'extractData') {
+        const fullMarketplace = request.fullMarketplace === true;
+
         // Usar timeout para evitar bloqueos
         const extractionTimeout = setTimeout(() => {
+            // Que el recorrido no siga haciendo clic en la paginación después de responder
+            extractor.cancelExtraction();
             sendResponse({ 
                 success: false, 
                 error: 'Timeout en extracción de datos',
                 url: window.location.href
             });
-        }, 15000); // 15 segundos timeout
+        }, fullMarketplace ? extractor.FULL_EXTRACTION_TIMEOUT : extractor.EXTRACTION_TIMEOUT);
 
         try {
             // Verificar que estamos en la página correcta
@@ -1219,14 +1247,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
             // Esperar a que la página esté completamente cargada
             const waitForPage = () => {
-                const hasGridTable = document.querySelector('.wct-grid-table') !== null;
-                const hasTableContent = document.querySelector('.table-content') !== null;
-                const isLoading = document.querySelector('.loadingMessage')?.style.display !== 'none';
+                const hasGridTable = ExtractionSchema.queryFirst(document, extractor.schema.page.table) !== null;
+                const hasTableContent = ExtractionSchema.queryFirst(document, extractor.schema.page.tableContainer) !== null;
+                const isLoading = extractor.isPageLoading();
 
                 if ((document.readyState === 'complete' || hasGridTable || hasTableContent) && !isLoading) {
-                    try {
-                        console.log('🔄 Intentando extraer datos...');
-                        const opportunities = extractor.extractTableData();
+                    console.log('🔄 Intentando extraer datos...');
+                    const extraction = fullMarketplace
+                        ? extractor.extractAllPagesData(notifyExtractionProgress)
+                        : new Promise(resolve => resolve(extractor.extractTableData()));
+
+                    extraction.then(opportunities => {
                         clearTimeout(extractionTimeout);
                         sendResponse({
                             success: true,
@@ -1234,14 +1265,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                             url: window.location.href,
                             timestamp: Date.now(),
                             pageTitle: document.title,
+                            fullMarketplace: fullMarketplace,
                             debug: {
-                                gridTablesFound: document.querySelectorAll('.wct-grid-table').length,
+                                gridTablesFound: ExtractionSchema.queryAll(document, extractor.schema.page.table).length,
                                 tablesFound: document.querySelectorAll('table').length,
                                 hasTableContent: hasTableContent,
-                                isLoading: isLoading
+                                isLoading: isLoading,
+                                schemaVersion: extractor.schema.version,
+                                schemaSource: extractor.schemaSource
                             }
                         });
-                    } catch (error) {
+                    }).catch(error => {
                         clearTimeout(extractionTimeout);
                         console.error('❌ Error en extracción:', error);
                         sendResponse({ 
@@ -1249,15 +1283,17 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                             error: error.message,
                             url: window.location.href,
                             debug: {
-                                gridTablesFound: document.querySelectorAll('.wct-grid-table').length,
+                                gridTablesFound: ExtractionSchema.queryAll(document, extractor.schema.page.table).length,
                                 tablesFound: document.querySelectorAll('table').length,
                                 hasTableContent: hasTableContent,
                                 isLoading: isLoading,
+                                schemaVersion: extractor.schema.version,
+                                schemaSource: extractor.schemaSource,
                                 bodyText: document.body.textContent.slice(0, 300),
-                                gridTableHTML: document.querySelector('.wct-grid-table')?.innerHTML?.slice(0, 500) || 'No encontrado'
+                                gridTableHTML: ExtractionSchema.queryFirst(document, extractor.schema.page.table)?.innerHTML?.slice(0, 500) || 'No encontrado'
                             }
                         });
-                    }
+                    });
                 } else {
                     // Esperar un poco más
                     console.log('⏳ Esperando que la página termine de cargar...', {
@@ -1270,7 +1306,11 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
                 }
             };
 
-            waitForPage();
+            extractor.loadSchema().then(waitForPage).catch(error => {
+                clearTimeout(extractionTimeout);
+                console.error('❌ Error general:', error);
+                sendResponse({ success: false, error: error.message, url: window.location.href });
+            });
             
         } catch (error) {
             clearTimeout(extractionTimeout);
@@ -1285,14 +1325,50 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         return true; // Indica respuesta asíncrona
         
     } else if (request.action === 'extractModal') {
-        extractor.openModalAndExtract(request.opportunityId)
-            .then(modalData => {
+        extractor.loadSchema()
+            .then(() => extractor.openModalAndExtract(request.opportunityId, request.auctionCode))
+            .then(async modalData => {
+                await extractor.closeModal();
                 sendResponse({ success: true, data: modalData });
             })
+            .catch(async error => {
+                // El modal puede haber quedado abierto si falló la lectura
+                await extractor.closeModal();
+                sendResponse({ success: false, error: error.message });
+            });
+        return true; // Indica respuesta asíncrona
+
+    } else if (request.action === 'showOverlay') {
+        // Insignias con el resultado del análisis sobre las filas del grid
+        extractor.loadSchema()
+            .then(() => {
+                const decorated = gridOverlay.show(request.items || []);
+                sendResponse({ success: true, decorated });
+            })
             .catch(error => {
                 sendResponse({ success: false, error: error.message });
             });
         return true; // Indica respuesta asíncrona
+
+    } else if (request.action === 'clearOverlay') {
+        gridOverlay.clear();
+        sendResponse({ success: true });
+
+    } else if (request.action === 'startWatch') {
+        // Vigilar el grid y reportar subastas nuevas, saltos de progreso y cierres
+        extractor.loadSchema()
+            .then(() => {
+                const rows = gridWatcher.start();
+                sendResponse({ success: true, watching: true, rows });
+            })
+            .catch(error => {
+                sendResponse({ success: false, error: error.message });
+            });
+        return true; // Indica respuesta asíncrona
+
+    } else if (request.action === 'stopWatch') {
+        gridWatcher.stop();
+        sendResponse({ success: true, watching: false });
     }
     
     // Ping para verificar que el content script está vivo
@@ -1308,9 +1384,8 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 
 // Métodos adicionales para extraer información detallada de los paneles
 PrestamypeExtractor.prototype.extractAuctionCode = function(row, cells) {
-    // Buscar código de subasta en celdas o usar ID de la fila
-    const codeMatch = row.textContent.match(/[A-Z0-9]{8}/);
-    return codeMatch ? codeMatch[0] : null;
+    // Buscar código de subasta en el texto de la fila
+    return this._withSource('auctionCode', FIELD_SOURCE.FALLBACK, this._findAuctionCode(row));
 };
 
 PrestamypeExtractor.prototype.extractRaisedAmount = function(row, cells) {
@@ -0,0 +1,117 @@
+// Servicio de tipo de cambio y conversión de montos entre monedas
+const CURRENCY_DEFAULTS = {
+    RATE: 3.7, // PEN por USD aproximado
+    STORAGE_KEY: 'exchange_rate',
+    STALE_AFTER_MS: 7 * 24 * 60 * 60 * 1000, // Una semana
+    MIN_VALID_RATE: 0.5,
+    MAX_VALID_RATE: 20
+};
+
+// Campos monetarios de una oportunidad que se normalizan a la moneda del presupuesto
+const MONETARY_FIELDS = ['amount', 'raisedAmount', 'remainingAmount', 'minInvestment', 'maxInvestment'];
+
+class CurrencyService {
+    constructor(storage = chrome.storage.local) {
+        this.storage = storage;
+        this.rate = {
+            rate: CURRENCY_DEFAULTS.RATE,
+            source: 'default',
+            updatedAt: null
+        };
+    }
+
+    async load() {
+        const result = await this.storage.get([CURRENCY_DEFAULTS.STORAGE_KEY]);
+        if (result[CURRENCY_DEFAULTS.STORAGE_KEY]) {
+            this.rate = { ...this.rate, ...result[CURRENCY_DEFAULTS.STORAGE_KEY] };
+        }
+        return this.getRate();
+    }
+
+    getRate() {
+        return { ...this.rate };
+    }
+
+    isStale(now = Date.now()) {
+        return !this.rate.updatedAt || now - this.rate.updatedAt > CURRENCY_DEFAULTS.STALE_AFTER_MS;
+    }
+
+    // Guardar un tipo de cambio ingresado por el usuario
+    async setManualRate(rate) {
+        return this._saveRate(rate, 'manual');
+    }
+
+    // Importar tipo de cambio desde un archivo local (JSON o texto)
+    async importFromFile(file) {
+        const text = await file.text();
+        const rate = this.parseRateFile(text);
+        return this._saveRate(rate, `archivo: ${file.name}`);
+    }
+
+    // Formatos aceptados: {"rate": 3.75}, {"USD": 3.75}, {"USD_PEN": 3.75} o un número en texto plano
+    parseRateFile(text) {
+        let rate = null;
+
+        try {
+            const data = JSON.parse(text);
+            rate = typeof data === 'number' ? data : (data.rate ?? data.USD ?? data.USD_PEN ?? data.usdPen);
+        } catch {
+            const numberMatch = text.match(/(\d+(?:[.,]\d+)?)/);
+            rate = numberMatch ? numberMatch[1].replace(',', '.') : null;
+        }
+
+        const parsed = parseFloat(rate);
+        if (!this._isValidRate(parsed)) {
+            throw new Error('Archivo de tipo de cambio inválido');
+        }
+        return parsed;
+    }
+
+    // Convertir un monto entre PEN y USD
+    convert(amount, fromCurrency, toCurrency) {
+        if (amount === null || amount === undefined || isNaN(amount)) return amount;
+        if (!fromCurrency || !toCurrency || fromCurrency === toCurrency) return amount;
+
+        if (fromCurrency === 'USD' && toCurrency === 'PEN') return amount * this.rate.rate;
+        if (fromCurrency === 'PEN' && toCurrency === 'USD') return amount / this.rate.rate;
+
+        console.warn(`⚠️ Conversión no soportada ${fromCurrency} → ${toCurrency}, se usa el monto original`);
+        return amount;
+    }
+
+    // Expresar los montos de una oportunidad en la moneda del presupuesto
+    normalizeOpportunity(opportunity, targetCurrency) {
+        const sourceCurrency = opportunity.currency || targetCurrency;
+        const normalized = {
+            ...opportunity,
+            normalizedCurrency: targetCurrency,
+            originalAmounts: {}
+        };
+
+        MONETARY_FIELDS.forEach(field => {
+            normalized.originalAmounts[field] = opportunity[field] ?? null;
+            normalized[field] = this.convert(opportunity[field], sourceCurrency, targetCurrency);
+        });
+
+        return normalized;
+    }
+
+    async _saveRate(rate, source) {
+        const parsed = parseFloat(rate);
+        if (!this._isValidRate(parsed)) {
+            throw new Error('Tipo de cambio inválido');
+        }
+
+        this.rate = { rate: parsed, source, updatedAt: Date.now() };
+        await this.storage.set({ [CURRENCY_DEFAULTS.STORAGE_KEY]: this.rate });
+        return this.getRate();
+    }
+
+    _isValidRate(rate) {
+        return isFinite(rate) && rate >= CURRENCY_DEFAULTS.MIN_VALID_RATE && rate <= CURRENCY_DEFAULTS.MAX_VALID_RATE;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CurrencyService, CURRENCY_DEFAULTS, MONETARY_FIELDS };
+}
@@ -0,0 +1,181 @@
+// Interpretación de fechas en español de Prestamype (hora de Lima)
+// Lo usan el content script, el popup y el portafolio: sin APIs de Chrome ni del DOM
+const DATE_DEFAULTS = {
+    LIMA_UTC_OFFSET_HOURS: -5, // Perú no usa horario de verano
+    MS_PER_MINUTE: 60 * 1000,
+    MS_PER_HOUR: 60 * 60 * 1000,
+    MS_PER_DAY: 24 * 60 * 60 * 1000
+};
+
+// Meses por sus tres primeras letras: sirve para abreviaturas ("dic.") y nombres completos ("diciembre")
+const SPANISH_MONTH_INDEX = {
+    'ene': 0, 'feb': 1, 'mar': 2, 'abr': 3, 'may': 4, 'jun': 5,
+    'jul': 6, 'ago': 7, 'sep': 8, 'set': 8, 'oct': 9, 'nov': 10, 'dic': 11
+};
+
+const RELATIVE_UNITS_MS = {
+    'minuto': DATE_DEFAULTS.MS_PER_MINUTE,
+    'min': DATE_DEFAULTS.MS_PER_MINUTE,
+    'hora': DATE_DEFAULTS.MS_PER_HOUR,
+    'hr': DATE_DEFAULTS.MS_PER_HOUR,
+    'h': DATE_DEFAULTS.MS_PER_HOUR,
+    'dia': DATE_DEFAULTS.MS_PER_DAY,
+    'd': DATE_DEFAULTS.MS_PER_DAY,
+    'semana': 7 * DATE_DEFAULTS.MS_PER_DAY
+};
+
+const RELATIVE_DAY_OFFSETS = { 'ayer': -1, 'hoy': 0, 'manana': 1, 'pasado manana': 2 };
+
+const SpanishDateParser = {
+    // Interpretar un texto de fecha. Devuelve Date o null si no se reconoce.
+    // Formatos: ISO, "31 dic. 2025", "31 de diciembre de 2025", "31/12/2025",
+    // "hoy 5:00 pm", "mañana", "Faltan 3 horas", "faltan 2 días"
+    // Las fechas explícitas van primero: en "31 dic. 10:00 de la mañana" la mañana es la hora
+    parse(value, now = Date.now()) {
+        if (value === null || value === undefined || value === '') return null;
+        if (value instanceof Date) return isNaN(value.getTime()) ? null : new Date(value.getTime());
+        if (typeof value === 'number') return isFinite(value) ? new Date(value) : null;
+
+        const raw = String(value).trim();
+        const text = this._normalize(raw);
+        const reference = typeof now === 'number' ? now : new Date(now).getTime();
+
+        return this._parseISO(raw) ||
+               this._parseMonthName(text, reference) ||
+               this._parseNumeric(text) ||
+               this._parseRelative(text, reference) ||
+               this._parseRelativeDay(text, reference);
+    },
+
+    // Fecha y hora en formato ISO (UTC) o null
+    toISO(value, now = Date.now()) {
+        const date = this.parse(value, now);
+        return date ? date.toISOString() : null;
+    },
+
+    // Fecha calendario de Lima "YYYY-MM-DD" (para inputs type="date") o null
+    toLimaDate(value, now = Date.now()) {
+        const date = this.parse(value, now);
+        if (!date) return null;
+
+        const { year, month, day } = this._limaParts(date.getTime());
+        return `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    },
+
+    // Días (con decimales) entre dos fechas; null si alguna no se reconoce
+    diffDays(from, to, now = Date.now()) {
+        const start = this.parse(from, now);
+        const end = this.parse(to, now);
+        if (!start || !end) return null;
+        return (end.getTime() - start.getTime()) / DATE_DEFAULTS.MS_PER_DAY;
+    },
+
+    // "2025-12-31" se toma como medianoche de Lima; con hora se respeta la zona indicada
+    _parseISO(raw) {
+        const match = raw.match(/^(\d{4})-(\d{2})-(\d{2})(T.*)?$/);
+        if (!match) return null;
+
+        if (match[4]) {
+            const date = new Date(raw);
+            return isNaN(date.getTime()) ? null : date;
+        }
+        return this._limaDate(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+    },
+
+    // "Faltan 3 horas", "falta 1 día", "en 2 semanas"
+    _parseRelative(text, now) {
+        const match = text.match(/\b(?:faltan?|quedan?|en)\s+(\d+)\s*(minutos?|min|horas?|hrs?|h|dias?|d|semanas?)\b/);
+        if (!match) return null;
+
+        const unit = match[2].replace(/s$/, '');
+        const unitMs = RELATIVE_UNITS_MS[unit] || RELATIVE_UNITS_MS[match[2]];
+        if (!unitMs) return null;
+
+        return new Date(now + parseInt(match[1]) * unitMs);
+    },
+
+    // "hoy", "mañana 10:00 am", "ayer" como palabras sueltas ("de la mañana" es una hora, no un día)
+    _parseRelativeDay(text, now) {
+        const match = text.match(/(?<![a-z])(?<!(?:de|por|en) la )(pasado manana|manana|hoy|ayer)(?![a-z])/);
+        if (!match) return null;
+
+        const { year, month, day } = this._limaParts(now);
+        const time = this._parseTime(text);
+        return this._limaDate(year, month, day + RELATIVE_DAY_OFFSETS[match[1]], time.hours, time.minutes);
+    },
+
+    // "31 dic. 2025", "31 de diciembre de 2025 5:00 pm", "31 dic." (próxima vez que llega esa fecha)
+    _parseMonthName(text, now) {
+        const pattern = /(\d{1,2})\s*(?:de\s+)?([a-z]{3,})\.?,?(?:\s+(?:de\s+|del\s+)?(\d{4}))?/g;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const month = SPANISH_MONTH_INDEX[match[2].substring(0, 3)];
+            if (month === undefined) continue;
+
+            const day = parseInt(match[1]);
+            const time = this._parseTime(text.substring(match.index + match[0].length));
+            if (match[3]) {
+                return this._limaDate(parseInt(match[3]), month, day, time.hours, time.minutes);
+            }
+
+            // Sin año son fechas de cierre o de pago: si el día ya pasó en Lima, es el del año siguiente
+            const today = this._limaParts(now);
+            const passed = month < today.month || (month === today.month && day < today.day);
+            return this._limaDate(today.year + (passed ? 1 : 0), month, day, time.hours, time.minutes);
+        }
+        return null;
+    },
+
+    // "31/12/2025", "31-12-2025", "31.12.25" (día primero)
+    _parseNumeric(text) {
+        const match = text.match(/(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})/);
+        if (!match) return null;
+
+        const day = parseInt(match[1]);
+        const month = parseInt(match[2]) - 1;
+        const year = match[3].length === 2 ? 2000 + parseInt(match[3]) : parseInt(match[3]);
+        if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+
+        const time = this._parseTime(text.substring(match.index + match[0].length));
+        return this._limaDate(year, month, day, time.hours, time.minutes);
+    },
+
+    // "5:00 pm", "17:30", "10:00 a. m.", "8:00 de la noche"; medianoche si no hay hora
+    _parseTime(text) {
+        const match = text.match(/(\d{1,2}):(\d{2})\s*(a\.?\s*m\.?|p\.?\s*m\.?|de la (?:manana|tarde|noche))?/);
+        if (!match) return { hours: 0, minutes: 0 };
+
+        let hours = parseInt(match[1]);
+        const meridiem = match[3] ? match[3].replace(/[\s.]/g, '').replace(/^delamanana$/, 'am').replace(/^dela(?:tarde|noche)$/, 'pm') : null;
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+
+        return { hours, minutes: parseInt(match[2]) };
+    },
+
+    // Minúsculas y sin tildes ("Mañana" → "manana", "días" → "dias")
+    _normalize(text) {
+        return text.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    },
+
+    // Construir un instante a partir de fecha y hora de Lima
+    _limaDate(year, month, day, hours = 0, minutes = 0) {
+        const date = new Date(Date.UTC(year, month, day, hours - DATE_DEFAULTS.LIMA_UTC_OFFSET_HOURS, minutes));
+        return isNaN(date.getTime()) ? null : date;
+    },
+
+    // Año, mes y día calendario en Lima de un instante
+    _limaParts(timestamp) {
+        const shifted = new Date(timestamp + DATE_DEFAULTS.LIMA_UTC_OFFSET_HOURS * DATE_DEFAULTS.MS_PER_HOUR);
+        return {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth(),
+            day: shifted.getUTCDate()
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SpanishDateParser, SPANISH_MONTH_INDEX, DATE_DEFAULTS };
+}
@@ -0,0 +1,106 @@
+// Concentración por deudor: subastas del grid e inversiones del portafolio del mismo cliente/pagador
+//
+// El deudor se identifica por el nombre que extrae el grid (extractPrestamypeTitle), normalizado:
+// sin tildes, mayúsculas, puntuación ni forma societaria ("Inversiones Andinas S.A.C." e
+// "INVERSIONES ANDINAS SAC" son el mismo deudor).
+// La exposición se mide por moneda: capital aún no cobrado del portafolio + lo recomendado ahora,
+// contra un máximo por deudor expresado como % del presupuesto total de esa moneda. El optimizador
+// (optimizer.js) no recomienda pasarlo; las tarjetas avisan si invertir a mano lo supera.
+const DEBTOR_DEFAULTS = {
+    MAX_EXPOSURE_PCT: 30
+};
+
+// Formas societarias que se ignoran al final del nombre (ya sin puntos)
+const DEBTOR_LEGAL_SUFFIXES = ['sa', 'sac', 'saa', 'srl', 'eirl', 'sccl', 'ltda'];
+
+const DebtorExposure = {
+    // Clave normalizada del deudor o null si no hay nombre
+    key(name) {
+        const words = String(name || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/\./g, '')
+            .replace(/[^a-z0-9&]+/g, ' ')
+            .trim()
+            .split(' ')
+            .filter(Boolean);
+
+        while (words.length > 1 && DEBTOR_LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+            words.pop();
+        }
+        return words.join(' ') || null;
+    },
+
+    // Agrupar por deudor:
+    //   opportunities: subastas analizadas
+    //   investments: portafolio (portfolio.js); solo cuenta el capital no pagado
+    //   distributions: filas de la distribución recomendada ({ opportunity, investment, currency })
+    // Devuelve { clave: { key, name, auctions, codes, committed: { PEN }, recommended: { PEN }, recommendedIds } }
+    aggregate({ opportunities = [], investments = [], distributions = [] }) {
+        const debtors = {};
+        const entryFor = name => {
+            const key = this.key(name);
+            if (!key) return null;
+            debtors[key] = debtors[key] || { key, name: name.trim(), auctions: 0, codes: [], committed: {}, recommended: {}, recommendedIds: [] };
+            return debtors[key];
+        };
+
+        opportunities.forEach(opportunity => {
+            const entry = entryFor(opportunity.title);
+            if (!entry) return;
+            entry.auctions++;
+            if (opportunity.auctionCode) entry.codes.push(opportunity.auctionCode);
+        });
+
+        investments
+            .filter(investment => investment.status !== PORTFOLIO_STATUS.PAID)
+            .forEach(investment => {
+                const entry = entryFor(investment.title);
+                if (!entry) return;
+                entry.committed[investment.currency] = (entry.committed[investment.currency] || 0) + investment.amount;
+            });
+
+        distributions.forEach(row => {
+            const entry = entryFor(row.opportunity.title);
+            if (!entry) return;
+            entry.recommended[row.currency] = (entry.recommended[row.currency] || 0) + row.investment;
+            entry.recommendedIds.push(row.opportunity.id);
+        });
+
+        return debtors;
+    },
+
+    // Exposición de un deudor en una moneda, sumando opcionalmente una inversión nueva
+    // Devuelve { committed, recommended, total, limit, exceeded }
+    check(entry, currency, budget, maxPct, additional = 0) {
+        const committed = (entry && entry.committed[currency]) || 0;
+        const recommended = ((entry && entry.recommended[currency]) || 0) + additional;
+        const total = committed + recommended;
+        const limit = budget * maxPct / 100;
+
+        return { committed, recommended, total, limit, exceeded: recommended > 0 && total > limit };
+    },
+
+    // Deudores con capital en juego o con varias subastas abiertas, de mayor a menor exposición
+    // El total se compara convertido con `toReference(amount, currency)`
+    ranked(debtors, toReference = amount => amount) {
+        const exposureOf = entry => [entry.committed, entry.recommended]
+            .flatMap(amounts => Object.entries(amounts))
+            .reduce((sum, [currency, amount]) => sum + toReference(amount, currency), 0);
+
+        return Object.values(debtors)
+            .map(entry => ({ ...entry, exposure: exposureOf(entry) }))
+            .filter(entry => entry.exposure > 0 || entry.auctions > 1)
+            .sort((a, b) => b.exposure - a.exposure || b.auctions - a.auctions);
+    },
+
+    normalizeLimit(value) {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? DEBTOR_DEFAULTS.MAX_EXPOSURE_PCT : Math.min(100, Math.max(0, parsed));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DebtorExposure, DEBTOR_DEFAULTS };
+}
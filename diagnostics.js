@@ -0,0 +1,96 @@
+// Diagnóstico de la extracción: de dónde salió cada campo de cada oportunidad
+// Lo usan el content script (para etiquetar campos) y el popup (para el resumen)
+const FIELD_SOURCE = {
+    PRIMARY: 'primary',   // Selector principal [data-name=...]
+    FALLBACK: 'fallback', // Búsqueda alternativa en la fila
+    DEFAULT: 'default',   // Valor por defecto inventado
+    MISSING: 'missing'    // No se encontró
+};
+
+const DIAGNOSTIC_FIELDS = {
+    title: 'Cliente',
+    amount: 'Monto',
+    return: 'Retorno',
+    term: 'Plazo',
+    risk: 'Riesgo',
+    minInvestment: 'Inversión mínima',
+    progress: 'Progreso',
+    category: 'Tipo',
+    currency: 'Moneda',
+    auctionClose: 'Cierre de subasta',
+    estimatedPayment: 'Pago estimado',
+    auctionCode: 'Código de subasta'
+};
+
+// Campos que alimentan el score: un valor inventado cambia la recomendación
+const CRITICAL_FIELDS = ['amount', 'return', 'term', 'risk', 'category', 'currency'];
+
+const DIAGNOSTICS_THRESHOLDS = {
+    FIELD_DEFAULT_RATE: 0.3,   // Un campo crítico sin datos reales en el 30% de las filas
+    OVERALL_DEFAULT_RATE: 0.2  // O el 20% de todos los campos
+};
+
+const ExtractionDiagnostics = {
+    // Resumen por campo y advertencias; null si las oportunidades no traen fieldSources
+    summarize(opportunities) {
+        const tracked = (opportunities || []).filter(opp => opp.fieldSources);
+        if (tracked.length === 0) return null;
+
+        const fields = Object.keys(DIAGNOSTIC_FIELDS).map(key => {
+            const counts = { primary: 0, fallback: 0, default: 0, missing: 0 };
+            tracked.forEach(opp => {
+                const source = opp.fieldSources[key] || FIELD_SOURCE.MISSING;
+                counts[source] = (counts[source] || 0) + 1;
+            });
+
+            return {
+                key,
+                label: DIAGNOSTIC_FIELDS[key],
+                critical: CRITICAL_FIELDS.includes(key),
+                counts,
+                defaultRate: (counts.default + counts.missing) / tracked.length
+            };
+        });
+
+        const totalValues = fields.length * tracked.length;
+        const totalDefaults = fields.reduce((sum, field) => sum + field.counts.default + field.counts.missing, 0);
+        const overallDefaultRate = totalDefaults / totalValues;
+
+        const warnings = fields
+            .filter(field => field.critical && field.defaultRate >= DIAGNOSTICS_THRESHOLDS.FIELD_DEFAULT_RATE)
+            .map(field => `${field.label}: ${Math.round(field.defaultRate * 100)}% de las subastas usa un valor por defecto o no se encontró`);
+
+        if (overallDefaultRate >= DIAGNOSTICS_THRESHOLDS.OVERALL_DEFAULT_RATE) {
+            warnings.unshift(`El ${Math.round(overallDefaultRate * 100)}% de los datos no se leyó de la página: es posible que Prestamype haya cambiado su diseño`);
+        }
+
+        // Subastas cuyo modal no se pudo leer en el análisis profundo (popup.js)
+        const deepAnalysisFailed = tracked.filter(opp => opp.deepAnalysisError).length;
+        if (deepAnalysisFailed > 0) {
+            warnings.push(`Análisis profundo: no se pudo leer el detalle de ${deepAnalysisFailed} de ${tracked.length} subastas; se usan solo los datos del grid`);
+        }
+
+        return {
+            total: tracked.length,
+            fields,
+            overallDefaultRate,
+            deepAnalysisFailed,
+            warnings,
+            healthy: warnings.length === 0
+        };
+    },
+
+    // Campos críticos de una oportunidad que no salieron de la página
+    unreliableFields(opportunity) {
+        const sources = opportunity.fieldSources;
+        if (!sources) return [];
+
+        return CRITICAL_FIELDS
+            .filter(key => sources[key] === FIELD_SOURCE.DEFAULT || sources[key] === FIELD_SOURCE.MISSING)
+            .map(key => DIAGNOSTIC_FIELDS[key]);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExtractionDiagnostics, FIELD_SOURCE, DIAGNOSTIC_FIELDS, CRITICAL_FIELDS, DIAGNOSTICS_THRESHOLDS };
+}
@@ -0,0 +1,108 @@
+// Exportación del análisis a CSV y JSON
+const EXPORT_COLUMNS = [
+    { key: 'id', label: 'id' },
+    { key: 'auctionCode', label: 'codigo_subasta' },
+    { key: 'title', label: 'cliente' },
+    { key: 'category', label: 'tipo' },
+    { key: 'currency', label: 'moneda' },
+    { key: 'amount', label: 'monto_total', original: true },
+    { key: 'remainingAmount', label: 'monto_restante', original: true },
+    { key: 'minInvestment', label: 'inversion_minima', original: true },
+    { key: 'return', label: 'retorno_anual' },
+    { key: 'risk', label: 'riesgo' },
+    { key: 'term', label: 'plazo' },
+    { key: 'progress', label: 'progreso' },
+    { key: 'auctionClose', label: 'cierre_subasta' },
+    { key: 'estimatedPayment', label: 'pago_estimado' },
+    { key: 'score', label: 'score' },
+    { key: 'expectedNetReturn', label: 'retorno_neto_anual' }
+];
+
+class AnalysisExporter {
+    // Una fila por oportunidad con su recomendación y la inversión sugerida (si tiene)
+    buildRows(opportunities, distributionRows) {
+        const byOpportunity = new Map(distributionRows.map(row => [row.opportunity, row]));
+
+        return opportunities.map(opportunity => {
+            const row = {};
+            EXPORT_COLUMNS.forEach(column => {
+                const original = column.original && opportunity.originalAmounts
+                    ? opportunity.originalAmounts[column.key]
+                    : undefined;
+                row[column.label] = original ?? opportunity[column.key] ?? '';
+            });
+
+            const recommendation = opportunity.recommendation || {};
+            row.recomendacion = recommendation.text || '';
+            row.motivos = (recommendation.reasons || []).join('; ');
+
+            const distribution = byOpportunity.get(opportunity);
+            row.inversion_sugerida = distribution ? distribution.investment : '';
+            row.retorno_esperado = distribution ? distribution.expectedReturn : '';
+            row.retorno_neto_esperado = distribution ? distribution.expectedNetReturn : '';
+            row.porcentaje_subasta = distribution ? distribution.percentage : '';
+
+            return row;
+        });
+    }
+
+    toCSV(opportunities, distributionRows) {
+        const rows = this.buildRows(opportunities, distributionRows);
+        if (rows.length === 0) return '';
+
+        const headers = Object.keys(rows[0]);
+        const lines = [
+            headers.join(','),
+            ...rows.map(row => headers.map(header => this._escapeCSV(row[header])).join(','))
+        ];
+
+        // BOM para que Excel reconozca los acentos
+        return '\uFEFF' + lines.join('\r\n');
+    }
+
+    toJSON(opportunities, distributionRows, config) {
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            config,
+            opportunities,
+            distribution: distributionRows.map(({ opportunity, ...row }) => ({
+                opportunityId: opportunity.id,
+                auctionCode: opportunity.auctionCode,
+                title: opportunity.title,
+                ...row
+            }))
+        }, null, 2);
+    }
+
+    // Descargar contenido como archivo desde el popup
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    buildFilename(extension, date = new Date()) {
+        const stamp = date.toISOString().slice(0, 16).replace(/[:T]/g, '-');
+        return `prestamype-analisis-${stamp}.${extension}`;
+    }
+
+    _escapeCSV(value) {
+        if (value === null || value === undefined) return '';
+        let text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+        // Texto de la página que Excel leería como fórmula (los números negativos se dejan igual)
+        if (typeof value !== 'number' && /^[=+\-@]/.test(text)) {
+            text = `'${text}`;
+        }
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AnalysisExporter, EXPORT_COLUMNS };
+}
@@ -0,0 +1,95 @@
+// Filtros, orden y búsqueda de la lista de oportunidades del popup
+// Trabaja sobre las oportunidades ya normalizadas y puntuadas; no modifica el arreglo original
+const FILTER_DEFAULTS = {
+    search: '',
+    risk: '',          // Grado exacto ('' = todos)
+    currency: '',
+    category: '',
+    minReturn: null,   // % anual
+    maxDays: null,     // Días hasta el pago (term)
+    closesWithinHours: null,
+    sortBy: 'score'
+};
+
+// Cada orden tiene su dirección natural: lo mejor o lo más urgente primero
+const OPPORTUNITY_SORTS = {
+    score: { value: opp => opp.score || 0, direction: -1 },
+    return: { value: opp => opp.return || 0, direction: -1 },
+    netReturn: { value: opp => opp.expectedNetReturn ?? null, direction: -1 },
+    days: { value: opp => YieldModel.termDays(opp), direction: 1 },
+    remaining: { value: opp => OpportunityFilter.remainingAmount(opp), direction: -1 },
+    closing: { value: (opp, now) => OpportunityFilter.hoursToClose(opp, now), direction: 1 }
+};
+
+const OpportunityFilter = {
+    // Oportunidades que cumplen los criterios, en el orden pedido
+    apply(opportunities, criteria = {}, now = Date.now()) {
+        const options = { ...FILTER_DEFAULTS, ...criteria };
+        const sort = OPPORTUNITY_SORTS[options.sortBy] || OPPORTUNITY_SORTS[FILTER_DEFAULTS.sortBy];
+
+        return opportunities
+            .filter(opp => this.matches(opp, options, now))
+            .map(opp => ({ opp, key: sort.value(opp, now) }))
+            .sort((a, b) => this._compareKeys(a.key, b.key, sort.direction))
+            .map(entry => entry.opp);
+    },
+
+    matches(opportunity, criteria, now = Date.now()) {
+        const options = { ...FILTER_DEFAULTS, ...criteria };
+
+        if (options.risk && opportunity.risk !== options.risk) return false;
+        if (options.currency && opportunity.currency !== options.currency) return false;
+        if (options.category && (opportunity.category || '').toLowerCase() !== options.category.toLowerCase()) return false;
+
+        if (this._isSet(options.minReturn) && (opportunity.return || 0) < options.minReturn) return false;
+        if (this._isSet(options.maxDays) && YieldModel.termDays(opportunity) > options.maxDays) return false;
+
+        if (this._isSet(options.closesWithinHours)) {
+            const hours = this.hoursToClose(opportunity, now);
+            if (hours === null || hours < 0 || hours > options.closesWithinHours) return false;
+        }
+
+        const search = options.search.trim().toLowerCase();
+        if (search) {
+            const haystack = `${opportunity.title || ''} ${opportunity.auctionCode || ''}`.toLowerCase();
+            if (!haystack.includes(search)) return false;
+        }
+
+        return true;
+    },
+
+    // Horas hasta el cierre de la subasta (null si no se conoce)
+    hoursToClose(opportunity, now = Date.now()) {
+        if (!opportunity.auctionClose) return null;
+
+        const days = SpanishDateParser.diffDays(now, opportunity.auctionClose, now);
+        return days === null ? null : days * 24;
+    },
+
+    // Monto que falta financiar, en la moneda de análisis
+    remainingAmount(opportunity) {
+        if (opportunity.remainingAmount) return opportunity.remainingAmount;
+        return (opportunity.amount || 0) * (100 - (opportunity.progress || 0)) / 100;
+    },
+
+    // Categorías presentes en el análisis, para poblar el selector
+    categories(opportunities) {
+        return [...new Set(opportunities.map(opp => (opp.category || '').toLowerCase()).filter(Boolean))].sort();
+    },
+
+    // Los valores desconocidos (cierre sin fecha) van siempre al final
+    _compareKeys(a, b, direction) {
+        if (a === null && b === null) return 0;
+        if (a === null) return 1;
+        if (b === null) return -1;
+        return (a - b) * direction;
+    },
+
+    _isSet(value) {
+        return value !== null && value !== undefined && !(typeof value === 'number' && isNaN(value));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { OpportunityFilter, OPPORTUNITY_SORTS, FILTER_DEFAULTS };
+}
@@ -0,0 +1,132 @@
+// Historial persistente de oportunidades en IndexedDB
+const HISTORY_DB = {
+    NAME: 'prestamype_analyzer',
+    VERSION: 1,
+    STORE: 'opportunity_history',
+    MAX_SNAPSHOTS: 500
+};
+
+// Clase para guardar una serie de tiempo por subasta (auctionCode)
+class OpportunityHistoryStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    // Abrir (o crear) la base de datos
+    open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(HISTORY_DB.NAME, HISTORY_DB.VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(HISTORY_DB.STORE)) {
+                    const store = db.createObjectStore(HISTORY_DB.STORE, { keyPath: 'auctionCode' });
+                    store.createIndex('lastSeen', 'lastSeen');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    // Agregar un snapshot por cada oportunidad vista en el análisis
+    async recordSnapshots(opportunities, timestamp = Date.now()) {
+        const db = await this.open();
+        const withCode = opportunities.filter(opp => opp.auctionCode);
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(HISTORY_DB.STORE, 'readwrite');
+            const store = transaction.objectStore(HISTORY_DB.STORE);
+            const records = {};
+
+            withCode.forEach(opportunity => {
+                const request = store.get(opportunity.auctionCode);
+                request.onsuccess = () => {
+                    const record = request.result || {
+                        auctionCode: opportunity.auctionCode,
+                        firstSeen: timestamp,
+                        snapshots: []
+                    };
+
+                    record.title = opportunity.title;
+                    record.currency = opportunity.currency;
+                    record.lastSeen = timestamp;
+                    record.snapshots.push(this._createSnapshot(opportunity, timestamp));
+
+                    if (record.snapshots.length > HISTORY_DB.MAX_SNAPSHOTS) {
+                        record.snapshots = record.snapshots.slice(-HISTORY_DB.MAX_SNAPSHOTS);
+                    }
+
+                    store.put(record);
+                    records[record.auctionCode] = record;
+                };
+            });
+
+            transaction.oncomplete = () => resolve(records);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Obtener el historial de una subasta
+    async get(auctionCode) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(HISTORY_DB.STORE, 'readonly')
+                .objectStore(HISTORY_DB.STORE)
+                .get(auctionCode);
+
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Obtener todo el historial
+    async getAll() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(HISTORY_DB.STORE, 'readonly')
+                .objectStore(HISTORY_DB.STORE)
+                .getAll();
+
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Velocidad de llenado y variación de tasa entre el primer y último snapshot
+    getTrend(record) {
+        if (!record || !record.snapshots || record.snapshots.length < 2) {
+            return null;
+        }
+
+        const first = record.snapshots[0];
+        const last = record.snapshots[record.snapshots.length - 1];
+        const hours = (last.timestamp - first.timestamp) / (1000 * 60 * 60);
+
+        return {
+            snapshotsCount: record.snapshots.length,
+            hoursObserved: hours,
+            fillRatePerHour: hours > 0 ? ((last.progress || 0) - (first.progress || 0)) / hours : null,
+            returnDrift: (last.return || 0) - (first.return || 0),
+            firstSeen: record.firstSeen
+        };
+    }
+
+    _createSnapshot(opportunity, timestamp) {
+        return {
+            timestamp,
+            progress: opportunity.progress ?? null,
+            // En la moneda de la subasta (record.currency), no en la del presupuesto (currency.js)
+            remainingAmount: opportunity.originalAmounts?.remainingAmount ?? opportunity.remainingAmount ?? null,
+            return: opportunity.return ?? null,
+            risk: opportunity.risk ?? null
+        };
+    }
+}
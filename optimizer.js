@@ -0,0 +1,239 @@
+// Optimizador del portafolio: reparte el presupuesto de una moneda entre subastas
+// maximizando la ganancia esperada dentro de los límites que fija el usuario.
+//
+// Se invierte en tickets de `minInvestment` (la granularidad de Prestamype). Los tickets
+// se asignan por ganancia esperada por unidad invertida, respetando:
+//   - la inversión mínima propia de cada subasta (`minTicket`), si es mayor que un ticket
+//   - el monto aún no financiado de cada subasta y el máximo % del presupuesto por subasta
+//   - el máximo % por grado de riesgo y por categoría
+//   - el monto máximo por deudor que recibe quien llama (depende de lo ya invertido en el portafolio)
+//   - el mínimo de posiciones (primero se abre un ticket en las mejores subastas posibles)
+// Con solo el presupuesto y los topes por subasta el resultado es el óptimo; con topes de
+// grupo que se cruzan (riesgo × deudor × categoría) es una aproximación greedy.
+const ALLOCATION_LIMITS = {
+    maxPerAuctionPct: 50,
+    maxPerRiskPct: 100,
+    maxPerCategoryPct: 100,
+    minPositions: 1
+};
+
+// Grupos con tope: campo del candidato → límite % en ALLOCATION_LIMITS (null: solo montos por clave)
+const ALLOCATION_GROUPS = {
+    risk: 'maxPerRiskPct',
+    debtor: null,
+    category: 'maxPerCategoryPct'
+};
+
+const PortfolioOptimizer = {
+    // candidates: [{ id, rate, capacity, risk, debtor, category, minTicket }]
+    //   rate: ganancia esperada por unidad invertida; capacity: monto que aún se puede invertir
+    //   minTicket: monto mínimo que acepta la subasta (opcional, por defecto un ticket)
+    // groupCaps: montos máximos por clave de grupo, p. ej. { debtor: { 'lima sur': 3000 } }
+    // Devuelve { allocations: [{ id, amount }], invested, expectedGain, binding }
+    optimize(candidates, budget, ticket, limits = {}, groupCaps = {}) {
+        const options = this.normalizeLimits(limits);
+        const problem = this._buildProblem(candidates, budget, ticket, options, groupCaps);
+
+        const units = this._solve(problem, options.minPositions);
+        const result = this._result(problem, units);
+        result.binding = this._findBinding(problem, units, options);
+
+        // El mínimo de posiciones es activo si sin él la ganancia esperada sería mayor
+        if (options.minPositions > 1) {
+            const unconstrained = this._result(problem, this._solve(problem, 1));
+            const positions = result.allocations.length;
+            if (unconstrained.expectedGain > result.expectedGain + 1e-9 || positions < options.minPositions) {
+                result.binding.push({
+                    type: 'minPositions',
+                    limit: options.minPositions,
+                    used: positions,
+                    met: positions >= options.minPositions,
+                    cost: Math.max(0, unconstrained.expectedGain - result.expectedGain)
+                });
+            }
+        }
+
+        return result;
+    },
+
+    // Límites con valores por defecto y dentro de rango
+    normalizeLimits(limits = {}) {
+        const options = { ...ALLOCATION_LIMITS };
+        Object.keys(ALLOCATION_LIMITS).forEach(key => {
+            const value = parseFloat(limits[key]);
+            if (!isNaN(value)) {
+                options[key] = key === 'minPositions'
+                    ? Math.max(1, Math.round(value))
+                    : Math.min(100, Math.max(0, value));
+            }
+        });
+        return options;
+    },
+
+    // Todo se lleva a unidades de ticket para trabajar con enteros
+    _buildProblem(candidates, budget, ticket, options, keyCaps) {
+        const toUnits = amount => Math.floor((amount + 1e-9) / ticket);
+        const budgetUnits = ticket > 0 ? toUnits(Math.max(0, budget)) : 0;
+        const auctionCapUnits = toUnits(budget * options.maxPerAuctionPct / 100);
+
+        const groupCaps = {};
+        const groupKeyCaps = {};
+        Object.entries(ALLOCATION_GROUPS).forEach(([field, limitKey]) => {
+            groupCaps[field] = limitKey ? toUnits(budget * options[limitKey] / 100) : Infinity;
+            groupKeyCaps[field] = {};
+            Object.entries((keyCaps && keyCaps[field]) || {}).forEach(([key, amount]) => {
+                groupKeyCaps[field][key] = toUnits(Math.max(0, amount));
+            });
+        });
+
+        const items = candidates
+            .map((candidate, index) => {
+                const capacityUnits = ticket > 0 ? toUnits(Math.max(0, candidate.capacity || 0)) : 0;
+                return {
+                    ...candidate,
+                    index,
+                    capacityUnits,
+                    // Tickets de la primera inversión en la subasta: su mínimo redondeado hacia arriba
+                    minUnits: ticket > 0 ? Math.max(1, Math.ceil((candidate.minTicket || 0) / ticket - 1e-9)) : 1,
+                    capUnits: Math.min(capacityUnits, auctionCapUnits),
+                    auctionCapped: auctionCapUnits < capacityUnits
+                };
+            })
+            // Sin espacio para su inversión mínima la subasta no puede recibir nada
+            .filter(item => item.rate > 0 && item.capacityUnits > 0 && item.capUnits >= item.minUnits)
+            // Mayor ganancia por unidad primero; en empate se respeta el orden recibido (score)
+            .sort((a, b) => (b.rate - a.rate) || (a.index - b.index));
+
+        return { items, ticket, budget, budgetUnits, auctionCapUnits, groupCaps, groupKeyCaps };
+    },
+
+    // Tope en tickets de un grupo: el % del presupuesto o el monto propio de la clave, el menor
+    _groupCap(problem, field, key) {
+        const keyCap = problem.groupKeyCaps[field][key];
+        return keyCap === undefined ? problem.groupCaps[field] : Math.min(problem.groupCaps[field], keyCap);
+    },
+
+    _solve(problem, minPositions) {
+        const units = new Map(problem.items.map(item => [item.index, 0]));
+        const state = { used: 0, groups: {} };
+        Object.keys(ALLOCATION_GROUPS).forEach(field => { state.groups[field] = new Map(); });
+
+        // 1. Abrir una posición en las mejores subastas hasta cumplir el mínimo
+        let positions = 0;
+        for (const item of problem.items) {
+            if (positions >= minPositions) break;
+            if (this._room(problem, state, units, item) >= item.minUnits) {
+                this._add(state, units, item, item.minUnits);
+                positions++;
+            }
+        }
+
+        // 2. Llenar por ganancia por unidad: los topes solo bajan, basta una pasada
+        problem.items.forEach(item => {
+            const room = this._room(problem, state, units, item);
+            const needed = units.get(item.index) > 0 ? 1 : item.minUnits;
+            if (room >= needed) this._add(state, units, item, room);
+        });
+
+        return units;
+    },
+
+    // Tickets que todavía admite una subasta sin romper ningún tope
+    _room(problem, state, units, item) {
+        const slacks = [
+            problem.budgetUnits - state.used,
+            item.capUnits - units.get(item.index)
+        ];
+        Object.keys(ALLOCATION_GROUPS).forEach(field => {
+            const key = this._groupKey(item, field);
+            slacks.push(this._groupCap(problem, field, key) - (state.groups[field].get(key) || 0));
+        });
+        return Math.max(0, Math.min(...slacks));
+    },
+
+    _add(state, units, item, count) {
+        units.set(item.index, units.get(item.index) + count);
+        state.used += count;
+        Object.keys(ALLOCATION_GROUPS).forEach(field => {
+            const key = this._groupKey(item, field);
+            state.groups[field].set(key, (state.groups[field].get(key) || 0) + count);
+        });
+    },
+
+    _groupKey(item, field) {
+        return item[field] || 'sin dato';
+    },
+
+    _result(problem, units) {
+        const allocations = problem.items
+            .filter(item => units.get(item.index) > 0)
+            .sort((a, b) => a.index - b.index)
+            .map(item => ({ id: item.id, amount: units.get(item.index) * problem.ticket }));
+
+        const byId = new Map(problem.items.map(item => [item.id, item]));
+        return {
+            allocations,
+            invested: allocations.reduce((sum, allocation) => sum + allocation.amount, 0),
+            expectedGain: allocations.reduce((sum, allocation) => sum + allocation.amount * byId.get(allocation.id).rate, 0)
+        };
+    },
+
+    // Restricciones sin holgura que impiden invertir más en alguna subasta con ganancia positiva
+    _findBinding(problem, units, options) {
+        const binding = new Map();
+        const used = { total: 0, groups: {} };
+        Object.keys(ALLOCATION_GROUPS).forEach(field => { used.groups[field] = new Map(); });
+
+        problem.items.forEach(item => {
+            const count = units.get(item.index);
+            used.total += count;
+            Object.keys(ALLOCATION_GROUPS).forEach(field => {
+                const key = this._groupKey(item, field);
+                used.groups[field].set(key, (used.groups[field].get(key) || 0) + count);
+            });
+        });
+
+        const mark = (id, constraint) => {
+            if (!binding.has(id)) binding.set(id, constraint);
+        };
+
+        problem.items.forEach(item => {
+            const count = units.get(item.index);
+            // La subasta ya recibió todo lo que falta financiar: no la frena el usuario
+            if (count >= item.capacityUnits) return;
+
+            if (used.total >= problem.budgetUnits) {
+                mark('budget', { type: 'budget', limit: problem.budgetUnits * problem.ticket, used: used.total * problem.ticket });
+            }
+            if (item.auctionCapped && count >= problem.auctionCapUnits) {
+                mark(`auction:${item.id}`, {
+                    type: 'auction',
+                    key: item.id,
+                    pct: options.maxPerAuctionPct,
+                    limit: problem.auctionCapUnits * problem.ticket,
+                    used: count * problem.ticket
+                });
+            }
+            Object.entries(ALLOCATION_GROUPS).forEach(([field, limitKey]) => {
+                const key = this._groupKey(item, field);
+                const groupUsed = used.groups[field].get(key) || 0;
+                const cap = this._groupCap(problem, field, key);
+                if (groupUsed >= cap) {
+                    mark(`${field}:${key}`, {
+                        type: field,
+                        key,
+                        pct: cap === problem.groupCaps[field] && limitKey ? options[limitKey] : null,
+                        limit: cap * problem.ticket,
+                        used: groupUsed * problem.ticket
+                    });
+                }
+            });
+        });
+
+        return Array.from(binding.values());
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioOptimizer, ALLOCATION_LIMITS, ALLOCATION_GROUPS };
+}
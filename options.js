@@ -0,0 +1,79 @@
+// Página de opciones: importar y editar el esquema de extracción
+class OptionsPage {
+    constructor() {
+        this.elements = {
+            schemaStatus: document.getElementById('schemaStatus'),
+            schemaFile: document.getElementById('schemaFile'),
+            schemaEditor: document.getElementById('schemaEditor'),
+            schemaErrors: document.getElementById('schemaErrors'),
+            saveSchema: document.getElementById('saveSchema'),
+            resetSchema: document.getElementById('resetSchema')
+        };
+
+        this.initialize();
+    }
+
+    async initialize() {
+        this.elements.schemaFile.addEventListener('change', () => this.importSchemaFile());
+        this.elements.saveSchema.addEventListener('click', () => this.saveSchema(this.elements.schemaEditor.value));
+        this.elements.resetSchema.addEventListener('click', () => this.resetSchema());
+
+        this.displaySchema(await ExtractionSchema.load());
+    }
+
+    // Cargar un archivo JSON en el editor y guardarlo
+    async importSchemaFile() {
+        const file = this.elements.schemaFile.files[0];
+        if (!file) return;
+
+        const text = await file.text();
+        this.elements.schemaEditor.value = text;
+        await this.saveSchema(text);
+        this.elements.schemaFile.value = '';
+    }
+
+    async saveSchema(text) {
+        this.hideErrors();
+
+        let schema;
+        try {
+            schema = JSON.parse(text);
+        } catch (error) {
+            this.showErrors(`JSON inválido: ${error.message}`);
+            return;
+        }
+
+        try {
+            const resolved = await ExtractionSchema.save(schema);
+            this.displaySchema(resolved);
+            console.log(`✅ Esquema de extracción v${schema.version} guardado`);
+        } catch (error) {
+            this.showErrors(error.message);
+        }
+    }
+
+    async resetSchema() {
+        this.hideErrors();
+        this.displaySchema(await ExtractionSchema.reset());
+    }
+
+    displaySchema({ schema, source, warning }) {
+        const sourceText = source === 'override' ? 'importado por el usuario' : 'incluido en la extensión';
+        this.elements.schemaStatus.textContent = `Versión ${schema.version} (${sourceText})${warning ? ` — ⚠️ ${warning}` : ''}`;
+        this.elements.schemaEditor.value = JSON.stringify(schema, null, 2);
+    }
+
+    showErrors(message) {
+        this.elements.schemaErrors.textContent = `❌ ${message}`;
+        this.elements.schemaErrors.classList.remove('hidden');
+    }
+
+    hideErrors() {
+        this.elements.schemaErrors.classList.add('hidden');
+    }
+}
+
+// Inicializar cuando el DOM esté listo
+document.addEventListener('DOMContentLoaded', () => {
+    new OptionsPage();
+});
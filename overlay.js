@@ -0,0 +1,145 @@
+// Overlay en la página: insignias con el score del análisis sobre cada fila del grid de Prestamype
+// Lo usa el content script; las filas se identifican con los mismos IDs que generateId
+const OVERLAY_DEFAULTS = {
+    STYLE_ID: 'prestamype-analyzer-overlay-style',
+    ROW_CLASS: 'pa-overlay-row',
+    BADGE_CLASS: 'pa-overlay-badge',
+    RENDER_DELAY_MS: 150 // Agrupar las mutaciones de un mismo repintado del grid
+};
+
+const OVERLAY_CURRENCY_SYMBOLS = { PEN: 'S/', USD: '$' };
+
+const OVERLAY_STYLES = `
+    .${OVERLAY_DEFAULTS.ROW_CLASS} { position: relative; }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS} {
+        position: absolute; top: 4px; right: 4px; z-index: 10;
+        display: flex; align-items: center; gap: 6px;
+        padding: 2px 8px; border-radius: 12px;
+        font: 600 11px/16px -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        color: #fff; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.2); white-space: nowrap;
+    }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS}.pa-overlay-high { background: #2e7d32; }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS}.pa-overlay-medium { background: #ef6c00; }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS}.pa-overlay-low { background: #c62828; }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS} .pa-overlay-score { font-size: 13px; }
+    .${OVERLAY_DEFAULTS.BADGE_CLASS} .pa-overlay-amount { font-weight: 400; opacity: 0.9; }
+`;
+
+class GridOverlay {
+    constructor(extractor) {
+        this.extractor = extractor;
+        this.items = new Map();
+        this.observer = null;
+        this.renderTimer = null;
+    }
+
+    // Mostrar el resultado del análisis: [{ id, score, level, text, suggestedInvestment, currency }]
+    show(items) {
+        this.items = new Map(items.map(item => [String(item.id), item]));
+        this._injectStyles();
+        const decorated = this.render();
+        this._observe();
+        return decorated;
+    }
+
+    // Quitar las insignias y dejar de observar el grid
+    clear() {
+        this.items = new Map();
+        this._disconnect();
+        document.querySelectorAll(`.${OVERLAY_DEFAULTS.BADGE_CLASS}`).forEach(badge => badge.remove());
+        document.querySelectorAll(`.${OVERLAY_DEFAULTS.ROW_CLASS}`).forEach(row => row.classList.remove(OVERLAY_DEFAULTS.ROW_CLASS));
+    }
+
+    // Decorar las filas visibles. Solo toca el DOM si la insignia cambió, así las
+    // mutaciones propias no vuelven a disparar el observer indefinidamente.
+    render() {
+        let decorated = 0;
+
+        this.extractor.findOpportunityRows().forEach((row, index) => {
+            const item = this.items.get(String(this.extractor.generateId(row, index)));
+            const current = row.querySelector(`:scope > .${OVERLAY_DEFAULTS.BADGE_CLASS}`);
+
+            if (!item) {
+                if (current) current.remove();
+                return;
+            }
+
+            decorated++;
+            const key = this._badgeKey(item);
+            if (current && current.dataset.key === key) return;
+
+            if (current) current.remove();
+            row.classList.add(OVERLAY_DEFAULTS.ROW_CLASS);
+            row.appendChild(this._createBadge(item, key));
+        });
+
+        return decorated;
+    }
+
+    _createBadge(item, key) {
+        const badge = document.createElement('div');
+        badge.className = `${OVERLAY_DEFAULTS.BADGE_CLASS} pa-overlay-${item.level}`;
+        badge.dataset.key = key;
+        badge.title = `Prestamype Analyzer: ${item.text} (score ${item.score}/100)`;
+
+        const parts = [
+            ['pa-overlay-score', String(item.score)],
+            ['pa-overlay-level', item.text]
+        ];
+        if (item.suggestedInvestment > 0) {
+            parts.push(['pa-overlay-amount', `Sugerido: ${this._formatAmount(item.suggestedInvestment, item.currency)}`]);
+        }
+
+        parts.forEach(([className, text]) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            badge.appendChild(span);
+        });
+
+        return badge;
+    }
+
+    _badgeKey(item) {
+        return [item.score, item.level, item.suggestedInvestment || 0, item.currency].join('|');
+    }
+
+    _formatAmount(amount, currency) {
+        const symbol = OVERLAY_CURRENCY_SYMBOLS[currency] || currency || '';
+        return `${symbol} ${Math.round(amount).toLocaleString('en-US')}`;
+    }
+
+    // El grid de Prestamype se vuelve a pintar al paginar, ordenar o refrescar:
+    // volver a decorar las filas cuando cambie el DOM
+    _observe() {
+        if (this.observer) return;
+
+        this.observer = new MutationObserver(() => {
+            clearTimeout(this.renderTimer);
+            this.renderTimer = setTimeout(() => this.render(), OVERLAY_DEFAULTS.RENDER_DELAY_MS);
+        });
+
+        this.observer.observe(document.body, { childList: true, subtree: true });
+    }
+
+    _disconnect() {
+        clearTimeout(this.renderTimer);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+    }
+
+    _injectStyles() {
+        if (document.getElementById(OVERLAY_DEFAULTS.STYLE_ID)) return;
+
+        const style = document.createElement('style');
+        style.id = OVERLAY_DEFAULTS.STYLE_ID;
+        style.textContent = OVERLAY_STYLES;
+        document.head.appendChild(style);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GridOverlay, OVERLAY_DEFAULTS };
+}
@@ -0,0 +1,132 @@
+// Acceso a las APIs de Chrome que usa el popup: storage, pestañas, scripting y mensajes
+// ChromePlatform delega en `chrome.*`; MemoryPlatform las simula para correr el popup en Node
+class ChromePlatform {
+    constructor(chromeApi = chrome) {
+        this.chrome = chromeApi;
+        this.storage = chromeApi.storage.local;
+    }
+
+    // Pestaña activa de la ventana actual
+    async getActiveTab() {
+        const [tab] = await this.chrome.tabs.query({ active: true, currentWindow: true });
+        return tab || null;
+    }
+
+    async injectScripts(tabId, files) {
+        await this.chrome.scripting.executeScript({
+            target: { tabId: tabId },
+            files: files
+        });
+    }
+
+    // Enviar un mensaje al content script de una pestaña
+    sendMessageToTab(tabId, message) {
+        return new Promise((resolve, reject) => {
+            this.chrome.tabs.sendMessage(tabId, message, (response) => {
+                if (this.chrome.runtime.lastError) {
+                    reject(new Error(this.chrome.runtime.lastError.message));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    onMessage(listener) {
+        this.chrome.runtime.onMessage.addListener(listener);
+    }
+
+    openOptionsPage() {
+        this.chrome.runtime.openOptionsPage();
+    }
+}
+
+// Chrome serializa como JSON lo que guarda y lo que envía entre contextos
+function serializeLikeChrome(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+// Misma interfaz que chrome.storage.local, guardando en memoria
+class MemoryStorage {
+    constructor(initialData = {}) {
+        this.data = serializeLikeChrome(initialData);
+    }
+
+    async get(keys = null) {
+        const requested = keys === null ? Object.keys(this.data) : [].concat(keys);
+        const result = {};
+        requested.forEach(key => {
+            if (key in this.data) {
+                result[key] = serializeLikeChrome(this.data[key]);
+            }
+        });
+        return result;
+    }
+
+    async set(items) {
+        Object.assign(this.data, serializeLikeChrome(items));
+    }
+
+    async remove(keys) {
+        [].concat(keys).forEach(key => delete this.data[key]);
+    }
+}
+
+// Pestañas falsas: cada una responde a los mensajes con su propio onMessage(message)
+class MemoryPlatform {
+    constructor({ storage = {}, tabs = [] } = {}) {
+        this.storage = new MemoryStorage(storage);
+        this.tabs = tabs.map((tab, index) => ({
+            id: index + 1,
+            url: 'about:blank',
+            active: index === 0,
+            injectedFiles: [],
+            ...tab
+        }));
+        this.listeners = [];
+        this.optionsPageOpened = false;
+    }
+
+    async getActiveTab() {
+        return this.tabs.find(tab => tab.active) || null;
+    }
+
+    async injectScripts(tabId, files) {
+        this._getTab(tabId).injectedFiles.push(...files);
+    }
+
+    async sendMessageToTab(tabId, message) {
+        const tab = this._getTab(tabId);
+        if (typeof tab.onMessage !== 'function') {
+            throw new Error('Could not establish connection. Receiving end does not exist.');
+        }
+
+        const response = await tab.onMessage(serializeLikeChrome(message));
+        return serializeLikeChrome(response);
+    }
+
+    onMessage(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Simular un mensaje de runtime hacia el popup (p. ej. el progreso de la extracción)
+    dispatchMessage(message, sender = {}) {
+        this.listeners.forEach(listener => listener(serializeLikeChrome(message), sender, () => {}));
+    }
+
+    openOptionsPage() {
+        this.optionsPageOpened = true;
+    }
+
+    _getTab(tabId) {
+        const tab = this.tabs.find(candidate => candidate.id === tabId);
+        if (!tab) {
+            throw new Error(`No tab with id: ${tabId}.`);
+        }
+        return tab;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ChromePlatform, MemoryPlatform, MemoryStorage };
+}
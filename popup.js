@@ -4,33 +4,74 @@ const CONSTANTS = {
         PEN: { symbol: 'S/', name: 'Soles', minInvestment: 100 },
         USD: { symbol: '$', name: 'Dólares', minInvestment: 25 }
     },
-    EXCHANGE_RATE: 3.7, // PEN por USD aproximado
     RISK_LEVELS: ['A', 'B', 'C', 'D', 'E'],
     DEFAULT_CONFIG: {
-        budget: 200,
+        budgets: { PEN: 200, USD: 0 },
         minReturn: 8,
         maxRisk: 'B',
-        currency: 'PEN'
-    }
+        currency: 'PEN',
+        fullMarketplace: false,
+        deepAnalysis: false,
+        watchEnabled: false,
+        scanEnabled: false,
+        scanIntervalMinutes: 15,
+        notifyMinScore: 80,
+        scoringProfile: DEFAULT_SCORING_PROFILE,
+        scoringWeights: { ...SCORING_PROFILES[DEFAULT_SCORING_PROFILE].weights },
+        scoringRules: { ...SCORING_PROFILES[DEFAULT_SCORING_PROFILE].rules },
+        allocationLimits: { ...ALLOCATION_LIMITS },
+        riskModel: RiskModel.normalize(),
+        reinvestmentRate: CASHFLOW_DEFAULTS.REINVESTMENT_RATE,
+        projectionMonths: CASHFLOW_DEFAULTS.PROJECTION_MONTHS,
+        maxDebtorExposurePct: DEBTOR_DEFAULTS.MAX_EXPOSURE_PCT
+    },
+    EXTRACTION_TIMEOUT: 10000,
+    FULL_EXTRACTION_TIMEOUT: 130000,
+    MODAL_EXTRACTION_TIMEOUT: 12000,
+    OVERLAY_TIMEOUT: 3000
 };
 
+// Texto leído de Prestamype antes de insertarlo en innerHTML
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Clase para manejar la configuración siguiendo el principio de responsabilidad única
 class ConfigurationManager {
-    constructor() {
+    constructor(storage) {
+        this.storage = storage;
         this.config = { ...CONSTANTS.DEFAULT_CONFIG };
     }
 
     async load() {
-        const result = await chrome.storage.local.get(['analyzer_config']);
+        const result = await this.storage.get(['analyzer_config']);
         if (result.analyzer_config) {
-            this.config = { ...this.config, ...result.analyzer_config };
+            this.config = { ...this.config, ...this._migrateBudget(result.analyzer_config) };
         }
         return this.config;
     }
 
+    // Configuraciones anteriores tenían un único presupuesto en la moneda seleccionada
+    _migrateBudget(storedConfig) {
+        if (storedConfig.budgets || storedConfig.budget === undefined) {
+            return storedConfig;
+        }
+
+        const { budget, ...rest } = storedConfig;
+        return {
+            ...rest,
+            budgets: { ...CONSTANTS.DEFAULT_CONFIG.budgets, PEN: 0, [storedConfig.currency || 'PEN']: budget }
+        };
+    }
+
     async save(newConfig) {
         this.config = { ...this.config, ...newConfig };
-        await chrome.storage.local.set({ analyzer_config: this.config });
+        await this.storage.set({ analyzer_config: this.config });
     }
 
     get() {
@@ -41,70 +82,168 @@ class ConfigurationManager {
         return CONSTANTS.CURRENCIES[this.config.currency];
     }
 
-    convertToPEN(amount) {
-        return this.config.currency === 'USD' ? amount * CONSTANTS.EXCHANGE_RATE : amount;
+    // Presupuesto disponible en una moneda
+    getBudget(currency) {
+        return parseFloat((this.config.budgets || {})[currency]) || 0;
     }
 
-    convertFromPEN(amount) {
-        return this.config.currency === 'USD' ? amount / CONSTANTS.EXCHANGE_RATE : amount;
+    // Pesos y reglas de un perfil de scoring predefinido
+    getScoringProfile(profileName) {
+        const profile = SCORING_PROFILES[profileName];
+        if (!profile) return null;
+
+        return {
+            scoringProfile: profileName,
+            scoringWeights: { ...profile.weights },
+            scoringRules: { ...profile.rules, categoryAdjustments: { ...profile.rules.categoryAdjustments } }
+        };
     }
 }
 
 // Clase para manejar la lógica de inversión y distribución de presupuesto
 class InvestmentCalculator {
-    constructor(configManager) {
+    constructor(configManager, currencyService, portfolioManager) {
         this.configManager = configManager;
+        this.currencyService = currencyService;
+        this.portfolioManager = portfolioManager;
+    }
+
+    // Presupuesto de una moneda menos el capital ya invertido en el portafolio
+    getAvailableBudget(currency) {
+        const committed = this.portfolioManager ? this.portfolioManager.getCommittedCapital(currency) : 0;
+        return Math.max(0, this.configManager.getBudget(currency) - committed);
     }
 
-    // Calcular distribución óptima de inversión
+    // Calcular distribución óptima de inversión, una asignación por moneda
+    // Cada presupuesto (PEN, USD) solo financia subastas de su misma moneda
     calculateInvestmentDistribution(opportunities) {
         const config = this.configManager.get();
-        const currencyInfo = this.configManager.getCurrencyInfo();
-        const availableBudget = this.configManager.convertToPEN(config.budget);
+        const allocation = {};
+
+        Object.keys(CONSTANTS.CURRENCIES).forEach(currency => {
+            const currencyOpportunities = opportunities.filter(opp =>
+                (opp.currency || 'PEN') === currency
+            );
+            allocation[currency] = this._calculateCurrencyAllocation(
+                currencyOpportunities,
+                currency,
+                this.getAvailableBudget(currency),
+                config
+            );
+            allocation[currency].committed = this.portfolioManager ? this.portfolioManager.getCommittedCapital(currency) : 0;
+        });
+
+        return allocation;
+    }
+
+    // Subastas, portafolio no pagado y distribución agrupados por deudor (debtors.js)
+    debtorExposure(opportunities, allocation) {
+        return DebtorExposure.aggregate({
+            opportunities,
+            investments: this.portfolioManager ? this.portfolioManager.getInvestments() : [],
+            distributions: this.flattenDistribution(allocation)
+        });
+    }
+
+    // Filas de todas las asignaciones en una sola lista
+    flattenDistribution(allocation) {
+        return Object.values(allocation).flatMap(pool => pool.distributions);
+    }
+
+    // Asignación de un presupuesto a las subastas de su moneda (montos en esa moneda)
+    _calculateCurrencyAllocation(opportunities, currency, budget, config) {
+        const pool = {
+            currency,
+            budget,
+            distributions: [],
+            totalInvestment: 0,
+            totalReturn: 0,
+            totalNetReturn: 0,
+            returnRate: 0,
+            binding: []
+        };
 
         const validOpportunities = opportunities.filter(opp =>
             this._isValidForInvestment(opp, config)
         );
 
-        if (validOpportunities.length === 0) {
-            return [];
+        if (budget <= 0 || validOpportunities.length === 0) {
+            return pool;
         }
 
-        // Ordenar por score descendente
+        // Ordenar por score descendente: en empate de ganancia el optimizador prefiere el mejor score
         validOpportunities.sort((a, b) => b.score - a.score);
 
-        const distributions = [];
-        let remainingBudget = availableBudget;
-        const minInvestmentPEN = currencyInfo.minInvestment === 100 ? 100 : 25 * CONSTANTS.EXCHANGE_RATE;
+        const minInvestment = CONSTANTS.CURRENCIES[currency].minInvestment;
+        // El optimizador maximiza el retorno neto anual (risk.js), el mismo que ordena las tarjetas:
+        // con la ganancia al plazo una subasta larga le ganaría a una corta que rinde más por año
+        const candidates = validOpportunities.map((opportunity, index) => ({
+            id: index,
+            rate: this._riskAssessment(opportunity).expectedNetReturn / 100,
+            capacity: this._availableAmount(opportunity),
+            risk: opportunity.risk,
+            debtor: this._debtorKey(opportunity),
+            category: opportunity.category,
+            minTicket: this._nativeAmount(opportunity, 'minInvestment')
+        }));
+
+        // Tope por deudor: el máximo de exposición menos lo que ya tiene en el portafolio (debtors.js)
+        const debtorLimits = this._debtorLimits(currency, config);
+        const debtorCaps = {};
+        candidates.forEach(candidate => {
+            if (candidate.debtor) debtorCaps[candidate.debtor] = debtorLimits.remaining(candidate.debtor);
+        });
+
+        const result = PortfolioOptimizer.optimize(candidates, budget, minInvestment, config.allocationLimits, { debtor: debtorCaps });
 
-        for (const opportunity of validOpportunities) {
-            if (remainingBudget < minInvestmentPEN) break;
+        result.allocations.forEach(({ id, amount: investment }) => {
+            const opportunity = validOpportunities[id];
+            const expectedReturn = this._calculateExpectedReturn(opportunity, investment);
+            const amount = this._nativeAmount(opportunity, 'amount');
 
-            const investment = this._calculateOptimalInvestment(
+            pool.distributions.push({
                 opportunity,
-                remainingBudget,
-                minInvestmentPEN
-            );
+                investment,
+                expectedReturn,
+                expectedNetReturn: this._calculateNetReturn(opportunity, investment),
+                currency,
+                investmentInReferenceCurrency: this.currencyService.convert(investment, currency, config.currency),
+                expectedReturnInReferenceCurrency: this.currencyService.convert(expectedReturn, currency, config.currency),
+                percentage: Math.min(100, (investment / amount) * 100)
+            });
+        });
 
-            if (investment > 0) {
-                const investmentInUserCurrency = this.configManager.convertFromPEN(investment);
-                const expectedReturn = this._calculateExpectedReturn(opportunity, investment);
-                const expectedReturnInUserCurrency = this.configManager.convertFromPEN(expectedReturn);
-
-                distributions.push({
-                    opportunity,
-                    investment: investmentInUserCurrency,
-                    investmentPEN: investment,
-                    expectedReturn: expectedReturnInUserCurrency,
-                    expectedReturnPEN: expectedReturn,
-                    percentage: Math.min(100, (investment / opportunity.amount) * 100)
-                });
-
-                remainingBudget -= investment;
+        // Las restricciones por subasta se reportan con el código de la subasta y las de deudor con su nombre
+        pool.binding = result.binding.map(constraint => {
+            if (constraint.type === 'auction') {
+                const opportunity = validOpportunities[constraint.key];
+                return { ...constraint, key: opportunity.auctionCode || opportunity.title };
             }
-        }
+            if (constraint.type === 'debtor') {
+                const opportunity = validOpportunities.find(opp => this._debtorKey(opp) === constraint.key);
+                return {
+                    ...constraint,
+                    key: opportunity ? opportunity.title : constraint.key,
+                    pct: debtorLimits.pct,
+                    committed: debtorLimits.committed(constraint.key),
+                    exposureLimit: debtorLimits.limit
+                };
+            }
+            return constraint;
+        });
+
+        pool.totalInvestment = pool.distributions.reduce((sum, d) => sum + d.investment, 0);
+        pool.totalReturn = pool.distributions.reduce((sum, d) => sum + d.expectedReturn, 0);
+        pool.totalNetReturn = pool.distributions.reduce((sum, d) => sum + d.expectedNetReturn, 0);
+        pool.returnRate = pool.totalInvestment > 0 ? (pool.totalReturn / pool.totalInvestment) * 100 : 0;
+
+        return pool;
+    }
 
-        return distributions;
+    // Monto en la moneda original de la subasta (antes de normalizar)
+    _nativeAmount(opportunity, field) {
+        const original = opportunity.originalAmounts ? opportunity.originalAmounts[field] : undefined;
+        return original ?? opportunity[field];
     }
 
     // Verificar si la oportunidad es válida para inversión
@@ -120,57 +259,160 @@ class InvestmentCalculator {
         return true;
     }
 
-    // Calcular inversión óptima para una oportunidad
-    _calculateOptimalInvestment(opportunity, remainingBudget, minInvestment) {
-        const maxPossibleInvestment = Math.min(
-            remainingBudget,
-            opportunity.amount * (100 - opportunity.progress) / 100 // Cantidad no financiada
-        );
-
-        if (maxPossibleInvestment < minInvestment) return 0;
+    // Monto aún no financiado, en la moneda de la subasta
+    _availableAmount(opportunity) {
+        return this._nativeAmount(opportunity, 'amount') * (100 - (opportunity.progress || 0)) / 100;
+    }
 
-        // Estrategia: invertir un porcentaje basado en el score
-        const scoreRatio = opportunity.score / 100;
-        const budgetRatio = Math.min(0.5, scoreRatio * 0.7); // Máximo 50% del presupuesto restante
+    // Deudor de la subasta: el cliente/pagador que muestra el grid
+    _debtorKey(opportunity) {
+        return DebtorExposure.key(opportunity.title);
+    }
 
-        const strategicInvestment = remainingBudget * budgetRatio;
-        const optimalInvestment = Math.min(strategicInvestment, maxPossibleInvestment);
+    // Exposición máxima por deudor en una moneda: % del presupuesto total, contando el portafolio
+    _debtorLimits(currency, config) {
+        const debtors = DebtorExposure.aggregate({
+            investments: this.portfolioManager ? this.portfolioManager.getInvestments() : []
+        });
+        const pct = DebtorExposure.normalizeLimit(config.maxDebtorExposurePct);
+        const limit = this.configManager.getBudget(currency) * pct / 100;
+        const committed = key => (debtors[key] && debtors[key].committed[currency]) || 0;
 
-        // Redondear al múltiplo de inversión mínima más cercano
-        return Math.floor(optimalInvestment / minInvestment) * minInvestment;
+        return { pct, limit, committed, remaining: key => Math.max(0, limit - committed(key)) };
     }
 
-    // Calcular retorno esperado
+    // Calcular retorno esperado al plazo de la subasta
     _calculateExpectedReturn(opportunity, investment) {
-        const annualReturn = opportunity.return / 100;
-        const daysTerm = opportunity.term || 90; // Defecto 90 días
-        const periodReturn = annualReturn * (daysTerm / 365);
+        return YieldModel.opportunityGain(opportunity, investment);
+    }
 
-        return investment * periodReturn;
+    // Retorno esperado descontando la pérdida esperada del grado de riesgo (risk.js)
+    _calculateNetReturn(opportunity, investment) {
+        return investment * this._riskAssessment(opportunity).netPeriodRate;
+    }
+
+    _riskAssessment(opportunity) {
+        return opportunity.riskAssessment ||
+            RiskModel.evaluate(opportunity, RiskModel.normalize(this.configManager.get().riskModel));
+    }
+
+    // Escenarios de la distribución completa en la moneda de referencia (simulation.js)
+    simulateDistribution(allocation, options = {}) {
+        const positions = this.flattenDistribution(allocation).map(row => {
+            const assessment = this._riskAssessment(row.opportunity);
+            return {
+                investment: row.investmentInReferenceCurrency,
+                grossPeriodRate: assessment.grossPeriodRate,
+                pd: assessment.pd,
+                lgd: assessment.lgd,
+                delayDays: assessment.delayDays,
+                termDays: YieldModel.termDays(row.opportunity)
+            };
+        });
+
+        return PortfolioSimulation.run(positions, options);
+    }
+
+    // Cobros esperados: portafolio aún no pagado + distribución recomendada (cashflow.js)
+    // Un cobro atrasado se espera para hoy
+    buildCashFlows(allocation, now = Date.now()) {
+        const pending = (this.portfolioManager ? this.portfolioManager.getInvestments() : [])
+            .filter(investment => investment.status !== PORTFOLIO_STATUS.PAID)
+            .map(investment => {
+                const dueDate = SpanishDateParser.parse(investment.expectedPaymentDate);
+                return {
+                    title: investment.title,
+                    currency: investment.currency,
+                    amount: investment.amount,
+                    payout: investment.amount + this.portfolioManager.getExpectedGain(investment),
+                    startDate: investment.investedAt,
+                    paymentDate: dueDate ? dueDate.getTime() : now,
+                    recommended: false
+                };
+            });
+
+        const recommended = this.flattenDistribution(allocation).map(row => {
+            const paymentDate = SpanishDateParser.parse(row.opportunity.estimatedPayment, now);
+            return {
+                title: row.opportunity.title,
+                currency: row.currency,
+                amount: row.investment,
+                payout: row.investment + row.expectedReturn,
+                startDate: now,
+                paymentDate: paymentDate ? paymentDate.getTime() : now + YieldModel.termDays(row.opportunity) * DATE_DEFAULTS.MS_PER_DAY,
+                recommended: true
+            };
+        });
+
+        return [...pending, ...recommended].map(flow =>
+            flow.paymentDate < now ? { ...flow, paymentDate: now, late: true } : flow
+        );
+    }
+
+    // Calendario de cobros y crecimiento del presupuesto total en la moneda de referencia
+    projectCashFlow(allocation, now = Date.now()) {
+        const flows = this.buildCashFlows(allocation, now);
+        if (flows.length === 0) return null;
+
+        const config = this.configManager.get();
+        const settings = CashFlowProjection.normalizeSettings(config);
+        const toReference = (amount, currency) => this.currencyService.convert(amount, currency, config.currency);
+        const capital = Object.keys(CONSTANTS.CURRENCIES)
+            .reduce((sum, currency) => sum + toReference(this.configManager.getBudget(currency), currency), 0);
+        const referenceFlows = flows.map(flow => ({
+            ...flow,
+            amount: toReference(flow.amount, flow.currency),
+            payout: toReference(flow.payout, flow.currency)
+        }));
+
+        return {
+            ...settings,
+            currency: config.currency,
+            calendar: CashFlowProjection.calendar(flows),
+            projection: CashFlowProjection.project(referenceFlows, { capital, ...settings, now })
+        };
     }
 
     // Generar recomendaciones textuales
-    generateRecommendations(distributions) {
+    generateRecommendations(allocation) {
+        const pools = Object.values(allocation);
+        const distributions = this.flattenDistribution(allocation);
+
         if (distributions.length === 0) {
             return ['No se encontraron oportunidades que cumplan tus criterios de inversión.'];
         }
 
         const recommendations = [];
-        const config = this.configManager.get();
-        const totalInvestment = distributions.reduce((sum, d) => sum + d.investment, 0);
-        const totalReturn = distributions.reduce((sum, d) => sum + d.expectedReturn, 0);
 
         recommendations.push(
             `💰 Distribución recomendada: ${distributions.length} oportunidad${distributions.length > 1 ? 'es' : ''}`
         );
 
-        recommendations.push(
-            `📊 Inversión total: ${this._formatAmount(totalInvestment, config.currency)} de ${this._formatAmount(config.budget, config.currency)}`
-        );
+        pools.filter(pool => pool.budget > 0).forEach(pool => {
+            const currencyName = CONSTANTS.CURRENCIES[pool.currency].name;
 
-        recommendations.push(
-            `📈 Retorno esperado: ${this._formatAmount(totalReturn, config.currency)} (${((totalReturn / totalInvestment) * 100).toFixed(2)}%)`
-        );
+            if (pool.distributions.length === 0) {
+                recommendations.push(`⚪ ${currencyName}: sin subastas en ${pool.currency} que cumplan tus criterios`);
+                return;
+            }
+
+            recommendations.push(
+                `📊 ${currencyName}: ${this._formatAmount(pool.totalInvestment, pool.currency)} de ${this._formatAmount(pool.budget, pool.currency)} disponibles en ${pool.distributions.length} subasta${pool.distributions.length > 1 ? 's' : ''}`
+            );
+
+            if (pool.committed > 0) {
+                recommendations.push(`💼 Ya invertido en ${pool.currency}: ${this._formatAmount(pool.committed, pool.currency)}`);
+            }
+
+            recommendations.push(
+                `📈 Retorno esperado ${pool.currency}: ${this._formatAmount(pool.totalReturn, pool.currency)} (${pool.returnRate.toFixed(2)}%), neto de pérdidas esperadas ${this._formatAmount(pool.totalNetReturn, pool.currency)}`
+            );
+
+            if (pool.binding.length > 0) {
+                const constraints = pool.binding.map(constraint => this._describeConstraint(constraint, pool.currency));
+                recommendations.push(`🔒 Límites activos ${pool.currency}: ${constraints.join(' · ')}`);
+            }
+        });
 
         if (distributions.length === 1) {
             recommendations.push('🎯 Estrategia: Inversión concentrada en la mejor oportunidad');
@@ -181,6 +423,28 @@ class InvestmentCalculator {
         return recommendations;
     }
 
+    // Texto de una restricción que limita la distribución (va a innerHTML: las claves vienen de la página)
+    _describeConstraint(constraint, currency) {
+        switch (constraint.type) {
+            case 'budget':
+                return `presupuesto (${this._formatAmount(constraint.used, currency)} de ${this._formatAmount(constraint.limit, currency)})`;
+            case 'auction':
+                return `máx. ${constraint.pct}% por subasta en ${escapeHtml(constraint.key)}`;
+            case 'risk':
+                return `máx. ${constraint.pct}% en riesgo ${escapeHtml(constraint.key)}`;
+            case 'debtor':
+                return `máx. ${constraint.pct}% por deudor en ${escapeHtml(constraint.key)} (${this._formatAmount(constraint.committed + constraint.used, currency)} de ${this._formatAmount(constraint.exposureLimit, currency)} con lo ya invertido)`;
+            case 'category':
+                return `máx. ${constraint.pct}% en ${escapeHtml(constraint.key)}`;
+            case 'minPositions':
+                return constraint.met
+                    ? `mínimo ${constraint.limit} posiciones (cuesta ${this._formatAmount(constraint.cost, currency)} de retorno neto anual)`
+                    : `mínimo ${constraint.limit} posiciones no alcanzado (${constraint.used})`;
+            default:
+                return constraint.type;
+        }
+    }
+
     _formatAmount(amount, currency) {
         const currencyInfo = CONSTANTS.CURRENCIES[currency];
         return `${currencyInfo.symbol}${amount.toLocaleString('es-PE', { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`;
@@ -189,16 +453,20 @@ class InvestmentCalculator {
 
 // Clase para manejar la UI siguiendo el principio de responsabilidad única
 class UIManager {
-    constructor(configManager) {
+    constructor(configManager, currencyService, platform) {
         this.configManager = configManager;
+        this.currencyService = currencyService;
+        this.platform = platform;
         this.elements = {};
         this.isConfigCollapsed = false;
+        this.currentOpportunities = []; // Última lista mostrada, antes de filtrar
+        this.debtors = {}; // Exposición por deudor de la última distribución
+        this.investmentCalculator = null; // Presupuesto disponible de la distribución, para las tarjetas
     }
 
     initialize() {
         this._bindElements();
         this._setupEventListeners();
-        this._updateCurrencyDisplay();
     }
 
     _bindElements() {
@@ -208,17 +476,67 @@ class UIManager {
             modalClose: document.getElementById('modalClose'),
             saveConfig: document.getElementById('saveConfig'),
             currency: document.getElementById('currency'),
-            currencySymbol: document.querySelector('.currency-symbol'),
-            budget: document.getElementById('budget'),
+            budgetPEN: document.getElementById('budgetPEN'),
+            budgetUSD: document.getElementById('budgetUSD'),
             minReturn: document.getElementById('minReturn'),
             maxRisk: document.getElementById('maxRisk'),
+            fullMarketplace: document.getElementById('fullMarketplace'),
+            deepAnalysis: document.getElementById('deepAnalysis'),
+            watchEnabled: document.getElementById('watchEnabled'),
+            scanEnabled: document.getElementById('scanEnabled'),
+            scanIntervalMinutes: document.getElementById('scanIntervalMinutes'),
+            notifyMinScore: document.getElementById('notifyMinScore'),
+            scoringProfile: document.getElementById('scoringProfile'),
+            weightInputs: document.querySelectorAll('[data-weight]'),
+            ruleInputs: document.querySelectorAll('[data-rule]'),
+            categoryAdjustments: document.getElementById('categoryAdjustments'),
+            limitInputs: document.querySelectorAll('[data-limit]'),
+            riskModelInputs: document.querySelectorAll('[data-risk-grade]'),
+            riskModelInfo: document.getElementById('riskModelInfo'),
+            exchangeRate: document.getElementById('exchangeRate'),
+            exchangeRateFile: document.getElementById('exchangeRateFile'),
+            exchangeRateInfo: document.getElementById('exchangeRateInfo'),
+            openOptionsBtn: document.getElementById('openOptionsBtn'),
             analyzeBtn: document.getElementById('analyzeBtn'),
             clearBtn: document.getElementById('clearBtn'),
+            exportCsvBtn: document.getElementById('exportCsvBtn'),
+            portfolioBtn: document.getElementById('portfolioBtn'),
+            portfolioSection: document.getElementById('portfolioSection'),
+            portfolioSummary: document.getElementById('portfolioSummary'),
+            portfolioList: document.getElementById('portfolioList'),
+            investmentModal: document.getElementById('investmentModal'),
+            investmentModalClose: document.getElementById('investmentModalClose'),
+            investmentTitle: document.getElementById('investmentTitle'),
+            investmentCurrency: document.getElementById('investmentCurrency'),
+            investmentAmount: document.getElementById('investmentAmount'),
+            investmentRate: document.getElementById('investmentRate'),
+            investmentPaymentDate: document.getElementById('investmentPaymentDate'),
+            saveInvestment: document.getElementById('saveInvestment'),
+            exportJsonBtn: document.getElementById('exportJsonBtn'),
             results: document.getElementById('results'),
             loading: document.getElementById('loading'),
+            loadingText: document.getElementById('loadingText'),
             error: document.getElementById('error'),
             summary: document.getElementById('summary'),
+            watchStatus: document.getElementById('watchStatus'),
+            diagnostics: document.getElementById('diagnostics'),
             recommendations: document.getElementById('recommendations'),
+            simulation: document.getElementById('simulation'),
+            cashflow: document.getElementById('cashflow'),
+            debtors: document.getElementById('debtors'),
+            maxDebtorExposurePct: document.getElementById('maxDebtorExposurePct'),
+            reinvestmentRate: document.getElementById('reinvestmentRate'),
+            projectionMonths: document.getElementById('projectionMonths'),
+            filterSearch: document.getElementById('filterSearch'),
+            filterRisk: document.getElementById('filterRisk'),
+            filterCurrency: document.getElementById('filterCurrency'),
+            filterCategory: document.getElementById('filterCategory'),
+            filterMinReturn: document.getElementById('filterMinReturn'),
+            filterMaxDays: document.getElementById('filterMaxDays'),
+            filterClosingHours: document.getElementById('filterClosingHours'),
+            sortBy: document.getElementById('sortBy'),
+            resetFiltersBtn: document.getElementById('resetFiltersBtn'),
+            filterCount: document.getElementById('filterCount'),
             opportunitiesList: document.getElementById('opportunitiesList')
         };
     }
@@ -232,7 +550,120 @@ class UIManager {
                 this.closeModal();
             }
         });
-        this.elements.currency.addEventListener('change', () => this._updateCurrencyDisplay());
+        this.elements.currency.addEventListener('change', () => this._saveConfiguration());
+        this.elements.scoringProfile.addEventListener('change', () => this._applyScoringProfile());
+        this.elements.exchangeRateFile.addEventListener('change', () => this._importExchangeRateFile());
+        this.elements.investmentModalClose.addEventListener('click', () => this.closeInvestmentModal());
+        this.elements.portfolioBtn.addEventListener('click', () => this.togglePortfolio());
+        this.elements.openOptionsBtn.addEventListener('click', () => this.platform.openOptionsPage());
+        this.elements.resetFiltersBtn.addEventListener('click', () => this.resetFilters());
+
+        // Los filtros solo cambian lo que se muestra: no vuelven a extraer ni a puntuar
+        this._filterInputs().forEach(input => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => this.renderOpportunityList());
+        });
+
+        // Cualquier edición manual convierte el perfil en personalizado
+        const scoringInputs = [...this.elements.weightInputs, ...this.elements.ruleInputs, this.elements.categoryAdjustments];
+        scoringInputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.elements.scoringProfile.value = 'personalizado';
+            });
+        });
+    }
+
+    _applyScoringProfile() {
+        const profile = this.configManager.getScoringProfile(this.elements.scoringProfile.value);
+        if (profile) {
+            this._fillScoringInputs(profile.scoringWeights, profile.scoringRules);
+        }
+    }
+
+    _fillScoringInputs(weights, rules) {
+        this.elements.weightInputs.forEach(input => {
+            input.value = weights[input.dataset.weight] ?? 0;
+        });
+        this.elements.ruleInputs.forEach(input => {
+            input.value = rules[input.dataset.rule] ?? 0;
+        });
+        this.elements.categoryAdjustments.value = Object.entries(rules.categoryAdjustments || {})
+            .map(([category, percent]) => `${category}:${percent}`)
+            .join(', ');
+    }
+
+    // Leer pesos y reglas de scoring del formulario
+    _readScoringInputs() {
+        const defaults = CONSTANTS.DEFAULT_CONFIG;
+        const scoringWeights = {};
+        this.elements.weightInputs.forEach(input => {
+            const value = parseFloat(input.value);
+            scoringWeights[input.dataset.weight] = isNaN(value) ? defaults.scoringWeights[input.dataset.weight] : Math.max(0, value);
+        });
+
+        const scoringRules = {};
+        this.elements.ruleInputs.forEach(input => {
+            const value = parseFloat(input.value);
+            scoringRules[input.dataset.rule] = isNaN(value) ? defaults.scoringRules[input.dataset.rule] : value;
+        });
+
+        // Formato: "inmobiliario:5, confirming:-3"
+        scoringRules.categoryAdjustments = {};
+        this.elements.categoryAdjustments.value.split(',').forEach(entry => {
+            const [category, percent] = entry.split(':').map(part => part && part.trim());
+            const value = parseFloat(percent);
+            if (category && !isNaN(value)) {
+                scoringRules.categoryAdjustments[category.toLowerCase()] = value;
+            }
+        });
+
+        return { scoringWeights, scoringRules };
+    }
+
+    // Límites del optimizador de la distribución (optimizer.js)
+    _fillLimitInputs(limits) {
+        const values = PortfolioOptimizer.normalizeLimits(limits);
+        this.elements.limitInputs.forEach(input => {
+            input.value = values[input.dataset.limit];
+        });
+    }
+
+    _readLimitInputs() {
+        const limits = {};
+        this.elements.limitInputs.forEach(input => {
+            limits[input.dataset.limit] = input.value;
+        });
+        return PortfolioOptimizer.normalizeLimits(limits);
+    }
+
+    // Probabilidad de incumplimiento, pérdida y atraso por grado (risk.js)
+    _fillRiskModelInputs(model) {
+        const values = RiskModel.normalize(model);
+        this.elements.riskModelInputs.forEach(input => {
+            input.value = values[input.dataset.riskGrade][input.dataset.riskField];
+        });
+    }
+
+    _readRiskModelInputs() {
+        const model = {};
+        this.elements.riskModelInputs.forEach(input => {
+            const grade = input.dataset.riskGrade;
+            model[grade] = model[grade] || {};
+            model[grade][input.dataset.riskField] = input.value;
+        });
+        return RiskModel.normalize(model);
+    }
+
+    // Valores que realmente se usan, ajustados con los resultados del portafolio
+    showRiskCalibration(calibration) {
+        if (calibration.resolved === 0) {
+            this.elements.riskModelInfo.textContent = 'Sin inversiones resueltas en el portafolio: se usan estos valores tal cual.';
+            return;
+        }
+
+        const grades = Object.entries(calibration.grades)
+            .filter(([, values]) => values.observations.resolved > 0)
+            .map(([grade, values]) => `${grade}: PD ${values.pd.toFixed(1)}%, pérdida ${values.lgd.toFixed(0)}%, atraso ${values.delayDays.toFixed(0)} d (${values.observations.resolved} resueltas)`);
+        this.elements.riskModelInfo.textContent = `Ajustado con ${calibration.resolved} inversiones resueltas del portafolio. ${grades.join(' · ')}`;
     }
 
     openModal() {
@@ -243,44 +674,192 @@ class UIManager {
         this.elements.configModal.classList.add('hidden');
     }
 
+    // Formulario para registrar una inversión hecha desde una tarjeta
+    openInvestmentModal(opportunity, defaults) {
+        this.elements.investmentTitle.textContent = opportunity.title || 'Sin título';
+        this.elements.investmentCurrency.textContent = CONSTANTS.CURRENCIES[opportunity.currency]?.symbol || opportunity.currency || '';
+        this.elements.investmentAmount.value = defaults.amount;
+        this.elements.investmentRate.value = defaults.rate;
+        this.elements.investmentPaymentDate.value = defaults.expectedPaymentDate || '';
+        this.elements.investmentModal.classList.remove('hidden');
+    }
+
+    closeInvestmentModal() {
+        this.elements.investmentModal.classList.add('hidden');
+    }
+
+    readInvestmentForm() {
+        return {
+            amount: parseFloat(this.elements.investmentAmount.value),
+            rate: parseFloat(this.elements.investmentRate.value),
+            expectedPaymentDate: this.elements.investmentPaymentDate.value || null
+        };
+    }
+
+    // Monto cobrado que escribió el usuario; null si lo dejó vacío (se toma el esperado)
+    readPaidAmount(investmentId) {
+        const input = Array.from(this.elements.portfolioList.querySelectorAll('[data-paid-amount-for]'))
+            .find(element => element.dataset.paidAmountFor === investmentId);
+        const value = input ? parseFloat(input.value) : NaN;
+        return isNaN(value) ? null : Math.max(0, value);
+    }
+
+    togglePortfolio() {
+        this.elements.portfolioSection.classList.toggle('hidden');
+    }
+
+    // Mostrar inversiones registradas y su resumen por moneda
+    displayPortfolio(investments, summary, portfolioManager) {
+        const summaryHtml = Object.values(summary).map(entry => `
+            <div class="summary-item">
+                <span class="summary-label">Invertido ${entry.currency}:</span>
+                <span class="summary-value">${this._formatCurrency(entry.committed, entry.currency)}</span>
+            </div>
+            <div class="summary-item">
+                <span class="summary-label">Retorno realizado ${entry.currency}:</span>
+                <span class="summary-value">${this._formatCurrency(entry.realizedReturn, entry.currency)}</span>
+            </div>
+            <div class="summary-item">
+                <span class="summary-label">Retorno no realizado ${entry.currency}:</span>
+                <span class="summary-value">${this._formatCurrency(entry.unrealizedReturn, entry.currency)}</span>
+            </div>
+            ${entry.late > 0 ? `
+            <div class="summary-item">
+                <span class="summary-label">⚠️ Atrasadas:</span>
+                <span class="summary-value">${entry.late}</span>
+            </div>
+            ` : ''}
+        `).join('');
+
+        this.elements.portfolioSummary.innerHTML = summaryHtml || '<p>Aún no registras inversiones.</p>';
+
+        this.elements.portfolioList.innerHTML = investments.map(investment => `
+            <div class="portfolio-item status-${investment.status}">
+                <div class="portfolio-item-header">
+                    <span class="portfolio-item-title">${this._escapeHtml(investment.title)}</span>
+                    <span class="portfolio-status">${investment.status}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">${this._formatCurrency(investment.amount, investment.currency)} al ${investment.rate}%</span>
+                    <span class="detail-value">Pago: ${this._formatDate(investment.expectedPaymentDate)}</span>
+                </div>
+                <div class="detail-row">
+                    <span class="detail-label">Ganancia esperada:</span>
+                    <span class="detail-value">${this._formatCurrency(portfolioManager.getExpectedGain(investment), investment.currency)}</span>
+                </div>
+                <div class="portfolio-actions">
+                    ${investment.status !== 'pagado' ? `
+                    <input type="number" class="portfolio-paid-amount" data-paid-amount-for="${investment.id}" min="0" step="0.01"
+                        value="${(investment.amount + portfolioManager.getExpectedGain(investment)).toFixed(2)}"
+                        title="Monto cobrado: menos que el capital (o 0 si no se cobró) cuenta como incumplimiento">
+                    <button class="btn-secondary btn-compact" data-action="mark-paid" data-investment-id="${investment.id}">✔️ Pagado</button>` : ''}
+                    <button class="btn-secondary btn-compact" data-action="remove-investment" data-investment-id="${investment.id}">🗑️ Eliminar</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
     async saveAndCloseModal() {
         await this._saveConfiguration();
+        await this._saveExchangeRate();
         this.closeModal();
     }
 
-    _updateCurrencyDisplay() {
-        const currency = this.elements.currency.value;
-        const currencyInfo = CONSTANTS.CURRENCIES[currency];
+    // Guardar el tipo de cambio si el usuario lo modificó
+    async _saveExchangeRate() {
+        const rate = parseFloat(this.elements.exchangeRate.value);
+        if (isNaN(rate) || rate === this.currencyService.getRate().rate) return;
 
-        this.elements.currencySymbol.textContent = currencyInfo.symbol;
-        this.elements.budget.min = currencyInfo.minInvestment;
-        this.elements.budget.placeholder = currency === 'PEN' ? '10000' : '2700';
+        try {
+            await this.currencyService.setManualRate(rate);
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.updateExchangeRateDisplay();
+    }
+
+    async _importExchangeRateFile() {
+        const file = this.elements.exchangeRateFile.files[0];
+        if (!file) return;
 
-        this._saveConfiguration();
+        try {
+            await this.currencyService.importFromFile(file);
+        } catch (error) {
+            this.showError(error.message);
+        }
+        this.elements.exchangeRateFile.value = '';
+        this.updateExchangeRateDisplay();
+    }
+
+    updateExchangeRateDisplay() {
+        const { rate, source, updatedAt } = this.currencyService.getRate();
+        this.elements.exchangeRate.value = rate;
+
+        const updated = updatedAt
+            ? new Date(updatedAt).toLocaleString('es-PE', { dateStyle: 'short', timeStyle: 'short' })
+            : 'nunca';
+        const staleWarning = this.currencyService.isStale() ? ' ⚠️ Desactualizado' : '';
+        this.elements.exchangeRateInfo.textContent = `Fuente: ${source} · Actualizado: ${updated}${staleWarning}`;
     }
 
     async _saveConfiguration() {
         const config = {
-            budget: parseFloat(this.elements.budget.value) || CONSTANTS.DEFAULT_CONFIG.budget,
+            budgets: {
+                PEN: Math.max(0, parseFloat(this.elements.budgetPEN.value) || 0),
+                USD: Math.max(0, parseFloat(this.elements.budgetUSD.value) || 0)
+            },
             minReturn: parseFloat(this.elements.minReturn.value) || CONSTANTS.DEFAULT_CONFIG.minReturn,
             maxRisk: this.elements.maxRisk.value || CONSTANTS.DEFAULT_CONFIG.maxRisk,
-            currency: this.elements.currency.value || CONSTANTS.DEFAULT_CONFIG.currency
+            currency: this.elements.currency.value || CONSTANTS.DEFAULT_CONFIG.currency,
+            fullMarketplace: this.elements.fullMarketplace.checked,
+            deepAnalysis: this.elements.deepAnalysis.checked,
+            watchEnabled: this.elements.watchEnabled.checked,
+            scanEnabled: this.elements.scanEnabled.checked,
+            scanIntervalMinutes: parseFloat(this.elements.scanIntervalMinutes.value) || CONSTANTS.DEFAULT_CONFIG.scanIntervalMinutes,
+            notifyMinScore: parseFloat(this.elements.notifyMinScore.value) || CONSTANTS.DEFAULT_CONFIG.notifyMinScore,
+            scoringProfile: this.elements.scoringProfile.value || CONSTANTS.DEFAULT_CONFIG.scoringProfile,
+            ...this._readScoringInputs(),
+            allocationLimits: this._readLimitInputs(),
+            riskModel: this._readRiskModelInputs(),
+            ...CashFlowProjection.normalizeSettings({
+                reinvestmentRate: this.elements.reinvestmentRate.value,
+                projectionMonths: this.elements.projectionMonths.value
+            }),
+            maxDebtorExposurePct: DebtorExposure.normalizeLimit(this.elements.maxDebtorExposurePct.value)
         };
 
         await this.configManager.save(config);
     }
 
     updateFromConfig(config) {
-        this.elements.budget.value = config.budget;
+        this.elements.budgetPEN.value = config.budgets.PEN;
+        this.elements.budgetUSD.value = config.budgets.USD;
         this.elements.minReturn.value = config.minReturn;
         this.elements.maxRisk.value = config.maxRisk;
         this.elements.currency.value = config.currency;
-        this._updateCurrencyDisplay();
+        this.elements.fullMarketplace.checked = Boolean(config.fullMarketplace);
+        this.elements.deepAnalysis.checked = Boolean(config.deepAnalysis);
+        this.elements.watchEnabled.checked = Boolean(config.watchEnabled);
+        this.elements.scanEnabled.checked = Boolean(config.scanEnabled);
+        this.elements.scanIntervalMinutes.value = config.scanIntervalMinutes;
+        this.elements.notifyMinScore.value = config.notifyMinScore;
+        this.elements.scoringProfile.value = config.scoringProfile;
+        this._fillScoringInputs(config.scoringWeights, config.scoringRules);
+        this._fillLimitInputs(config.allocationLimits);
+        this._fillRiskModelInputs(config.riskModel);
+        this.elements.reinvestmentRate.value = config.reinvestmentRate;
+        this.elements.projectionMonths.value = config.projectionMonths;
+        this.elements.maxDebtorExposurePct.value = config.maxDebtorExposurePct;
     }
 
     showLoading(show) {
         this.elements.loading.classList.toggle('hidden', !show);
         this.elements.results.classList.toggle('hidden', show);
+        this.updateLoadingMessage('Analizando oportunidades...');
+    }
+
+    updateLoadingMessage(message) {
+        this.elements.loadingText.textContent = message;
     }
 
     showError(message) {
@@ -292,18 +871,38 @@ class UIManager {
         this.elements.error.classList.add('hidden');
     }
 
+    // Estado del modo vigilancia (null para ocultarlo)
+    showWatchStatus(message) {
+        this.elements.watchStatus.textContent = message || '';
+        this.elements.watchStatus.classList.toggle('hidden', !message);
+    }
+
     clearResults() {
         this.elements.results.classList.add('hidden');
+        this.showWatchStatus(null);
         this.elements.summary.innerHTML = '';
+        this.elements.diagnostics.innerHTML = '';
+        this.elements.diagnostics.classList.add('hidden');
         this.elements.recommendations.innerHTML = '';
+        this.elements.simulation.innerHTML = '';
+        this.elements.simulation.classList.add('hidden');
+        this.elements.cashflow.innerHTML = '';
+        this.elements.cashflow.classList.add('hidden');
+        this.elements.debtors.innerHTML = '';
+        this.elements.debtors.classList.add('hidden');
+        this.debtors = {};
         this.elements.opportunitiesList.innerHTML = '';
+        this.elements.filterCount.textContent = '';
+        this.currentOpportunities = [];
         this.hideError();
     }
 
     displayResults(opportunities, investmentCalculator) {
         this.elements.results.classList.remove('hidden');
+        this.investmentCalculator = investmentCalculator;
 
         this.displaySummary(opportunities);
+        this.displayDiagnostics(ExtractionDiagnostics.summarize(opportunities));
         this.displayRecommendations(opportunities, investmentCalculator);
         this.displayOpportunities(opportunities);
     }
@@ -336,20 +935,248 @@ class UIManager {
         `;
     }
 
+    // Mostrar el diagnóstico de la extracción (origen de cada campo)
+    displayDiagnostics(report) {
+        if (!report) {
+            this.elements.diagnostics.classList.add('hidden');
+            return;
+        }
+
+        const warningItems = report.warnings.map(warning => `<li>${warning}</li>`).join('');
+        const fieldRows = report.fields.map(field => `
+            <tr class="${field.critical && field.defaultRate >= DIAGNOSTICS_THRESHOLDS.FIELD_DEFAULT_RATE ? 'diagnostics-unreliable' : ''}">
+                <td>${field.label}${field.critical ? ' *' : ''}</td>
+                <td>${field.counts.primary}</td>
+                <td>${field.counts.fallback}</td>
+                <td>${field.counts.default}</td>
+                <td>${field.counts.missing}</td>
+            </tr>
+        `).join('');
+
+        this.elements.diagnostics.innerHTML = `
+            ${report.healthy ? '' : `
+            <div class="diagnostics-alert">
+                <strong>🩺 Revisa los datos antes de invertir</strong>
+                <ul>${warningItems}</ul>
+            </div>
+            `}
+            <details class="diagnostics-details" ${report.healthy ? '' : 'open'}>
+                <summary>🩺 Diagnóstico de extracción (${report.total} subastas, ${Math.round(report.overallDefaultRate * 100)}% por defecto)</summary>
+                <table class="score-table">
+                    <thead>
+                        <tr>
+                            <th>Campo</th>
+                            <th>Selector</th>
+                            <th>Alternativo</th>
+                            <th>Defecto</th>
+                            <th>Faltante</th>
+                        </tr>
+                    </thead>
+                    <tbody>${fieldRows}</tbody>
+                </table>
+                <p class="input-hint">* Campos que afectan el score</p>
+            </details>
+        `;
+        this.elements.diagnostics.classList.remove('hidden');
+    }
+
     // Mostrar recomendaciones
     displayRecommendations(opportunities, investmentCalculator) {
-        const distributions = investmentCalculator.calculateInvestmentDistribution(opportunities);
-        const recommendations = investmentCalculator.generateRecommendations(distributions);
+        const allocation = investmentCalculator.calculateInvestmentDistribution(opportunities);
+        const recommendations = investmentCalculator.generateRecommendations(allocation);
 
         this.elements.recommendations.innerHTML = recommendations
             .map(rec => `<div class="recommendation-item">${rec}</div>`)
             .join('');
+
+        this.debtors = investmentCalculator.debtorExposure(opportunities, allocation);
+        this.displayDebtors(this.debtors);
+        this.displaySimulation(investmentCalculator.simulateDistribution(allocation));
+        this.displayCashFlow(investmentCalculator.projectCashFlow(allocation));
     }
 
-    // Mostrar lista de oportunidades
+    // Exposición total por deudor: lo ya invertido más lo recomendado ahora
+    displayDebtors(debtors) {
+        const config = this.configManager.get();
+        const maxPct = DebtorExposure.normalizeLimit(config.maxDebtorExposurePct);
+        const ranked = DebtorExposure.ranked(debtors, (amount, currency) => this.currencyService.convert(amount, currency, config.currency));
+
+        if (ranked.length === 0) {
+            this.elements.debtors.innerHTML = '';
+            this.elements.debtors.classList.add('hidden');
+            return;
+        }
+
+        const rows = ranked.map(entry => {
+            const overLimit = Object.keys({ ...entry.committed, ...entry.recommended }).some(currency => {
+                const exposure = DebtorExposure.check(entry, currency, this.configManager.getBudget(currency), maxPct);
+                return exposure.total > exposure.limit;
+            });
+            return `
+                <tr class="debtor-row ${overLimit ? 'debtor-over-limit' : ''}">
+                    <td>${overLimit ? '⚠️ ' : ''}${this._escapeHtml(entry.name)}${entry.codes.length > 0 ? `<br><small>${this._escapeHtml(entry.codes.join(', '))}</small>` : ''}</td>
+                    <td>${entry.auctions} subasta${entry.auctions !== 1 ? 's' : ''}</td>
+                    <td>${this._formatAmounts(entry.committed)} en cartera</td>
+                    <td>${this._formatAmounts(entry.recommended)} nuevo</td>
+                </tr>
+            `;
+        }).join('');
+
+        this.elements.debtors.innerHTML = `
+            <details class="debtors-details" open>
+                <summary>🏢 Exposición por deudor (${ranked.length})</summary>
+                <table class="debtors-table">${rows}</table>
+                <p class="input-hint">Máximo por deudor: ${maxPct}% del presupuesto de cada moneda, contando lo ya invertido.</p>
+            </details>
+        `;
+        this.elements.debtors.classList.remove('hidden');
+    }
+
+    // Montos por moneda ({ PEN, USD }) en un solo texto
+    _formatAmounts(amounts) {
+        const entries = Object.entries(amounts).filter(([, amount]) => amount > 0);
+        return entries.length > 0
+            ? entries.map(([currency, amount]) => this._formatCurrency(amount, currency)).join(' + ')
+            : this._formatCurrency(0, this.configManager.get().currency);
+    }
+
+    // Rango de resultados posibles de la distribución antes de invertir
+    displaySimulation(simulation) {
+        if (!simulation) {
+            this.elements.simulation.innerHTML = '';
+            this.elements.simulation.classList.add('hidden');
+            return;
+        }
+
+        const currency = this.configManager.get().currency;
+        const maxShare = Math.max(...simulation.histogram.map(bucket => bucket.share));
+        const percentileCells = Object.entries(simulation.percentiles).map(([p, values]) => `
+            <div class="simulation-stat">
+                <span class="simulation-stat-label">P${p}</span>
+                <span class="simulation-stat-value ${values.gain < 0 ? 'net-return-negative' : ''}">${this._formatCurrency(values.gain, currency)}</span>
+                <span class="simulation-stat-detail">${values.returnPct.toFixed(2)}% · ${values.annualPct.toFixed(1)}% anual</span>
+            </div>
+        `).join('');
+        const bars = simulation.histogram.map(bucket => `
+            <div class="simulation-bar ${bucket.to <= 0 ? 'simulation-bar-loss' : ''}"
+                 style="height: ${maxShare > 0 ? Math.max(2, (bucket.share / maxShare) * 100) : 0}%"
+                 title="${bucket.from.toFixed(2)}% a ${bucket.to.toFixed(2)}%: ${(bucket.share * 100).toFixed(1)}% de los escenarios"></div>
+        `).join('');
+
+        this.elements.simulation.innerHTML = `
+            <details class="simulation-details" open>
+                <summary>🎲 Simulación de la distribución (${simulation.trials} escenarios, ${this._formatCurrency(simulation.invested, currency)} invertidos)</summary>
+                <div class="simulation-stats">${percentileCells}</div>
+                <p class="simulation-loss">Probabilidad de perder dinero: <strong>${(simulation.lossProbability * 100).toFixed(1)}%</strong></p>
+                <div class="simulation-histogram">${bars}</div>
+                <div class="simulation-axis">
+                    <span>${simulation.histogram[0].from.toFixed(2)}%</span>
+                    <span>Retorno al plazo</span>
+                    <span>${simulation.histogram[simulation.histogram.length - 1].to.toFixed(2)}%</span>
+                </div>
+                <p class="input-hint">Incumplimientos y atrasos según el modelo de riesgo de cada grado, simulados de forma independiente.</p>
+            </details>
+        `;
+        this.elements.simulation.classList.remove('hidden');
+    }
+
+    // Cuándo vuelve el dinero y cuánto crece el presupuesto reinvirtiéndolo
+    displayCashFlow(cashflow) {
+        if (!cashflow) {
+            this.elements.cashflow.innerHTML = '';
+            this.elements.cashflow.classList.add('hidden');
+            return;
+        }
+
+        const { calendar, projection, currency } = cashflow;
+        const calendarRows = (groups, label) => groups.map(group => `
+            <tr class="cashflow-row">
+                <td>${label(group.key)}${group.late > 0 ? ' ⚠️' : ''}</td>
+                <td>${Object.entries(group.totals).map(([code, total]) => this._formatCurrency(total, code)).join(' + ')}</td>
+                <td>${group.count} cobro${group.count > 1 ? 's' : ''}</td>
+            </tr>
+        `).join('');
+        const projectionRows = projection.points.filter(point => point.month > 0).map(point => `
+            <tr class="cashflow-projection-row">
+                <td>Mes ${point.month}</td>
+                <td>${this._formatCurrency(point.value, currency)}</td>
+                <td>${this._formatCurrency(point.collected, currency)} cobrado</td>
+            </tr>
+        `).join('');
+
+        this.elements.cashflow.innerHTML = `
+            <details class="cashflow-details" open>
+                <summary>📅 Flujo de caja y reinversión</summary>
+                <h4 class="cashflow-title">Cobros por semana</h4>
+                <table class="cashflow-table">${calendarRows(calendar.weeks, key => `Semana del ${this._formatCalendarKey(key, { day: 'numeric', month: 'short' })}`)}</table>
+                <h4 class="cashflow-title">Cobros por mes</h4>
+                <table class="cashflow-table">${calendarRows(calendar.months, key => this._formatCalendarKey(`${key}-01`, { month: 'long', year: 'numeric' }))}</table>
+                <p class="cashflow-growth">Reinvirtiendo al ${cashflow.reinvestmentRate}% anual, ${this._formatCurrency(projection.capital, currency)} pasan a <strong>${this._formatCurrency(projection.finalValue, currency)}</strong> en ${cashflow.projectionMonths} meses (${projection.growthPct.toFixed(2)}%).</p>
+                <table class="cashflow-table">${projectionRows}</table>
+                <p class="input-hint">Incluye el portafolio no pagado y la distribución recomendada; ⚠️ marca cobros atrasados, que se esperan para hoy.</p>
+            </details>
+        `;
+        this.elements.cashflow.classList.remove('hidden');
+    }
+
+    // Fecha calendario "YYYY-MM-DD" en texto (ya está en hora de Lima)
+    _formatCalendarKey(key, options) {
+        return new Date(`${key}T00:00:00.000Z`).toLocaleDateString('es-PE', { ...options, timeZone: 'UTC' });
+    }
+
+    // Mostrar lista de oportunidades con los filtros y el orden elegidos
     displayOpportunities(opportunities) {
-        const html = opportunities.map(opp => this._createOpportunityCard(opp)).join('');
-        this.elements.opportunitiesList.innerHTML = html;
+        this.currentOpportunities = opportunities;
+        this._updateCategoryOptions(opportunities);
+        this.renderOpportunityList();
+    }
+
+    renderOpportunityList() {
+        const total = this.currentOpportunities.length;
+        const visible = OpportunityFilter.apply(this.currentOpportunities, this.readFilters());
+
+        this.elements.opportunitiesList.innerHTML = visible.length > 0 || total === 0
+            ? visible.map(opp => this._createOpportunityCard(opp)).join('')
+            : '<p class="input-hint">Ninguna oportunidad cumple los filtros.</p>';
+        this.elements.filterCount.textContent = total > 0 ? `Mostrando ${visible.length} de ${total} oportunidades` : '';
+    }
+
+    readFilters() {
+        const numberOrNull = input => input.value === '' ? null : parseFloat(input.value);
+
+        return {
+            search: this.elements.filterSearch.value,
+            risk: this.elements.filterRisk.value,
+            currency: this.elements.filterCurrency.value,
+            category: this.elements.filterCategory.value,
+            minReturn: numberOrNull(this.elements.filterMinReturn),
+            maxDays: numberOrNull(this.elements.filterMaxDays),
+            closesWithinHours: numberOrNull(this.elements.filterClosingHours),
+            sortBy: this.elements.sortBy.value
+        };
+    }
+
+    resetFilters() {
+        this._filterInputs().forEach(input => {
+            input.value = input === this.elements.sortBy ? FILTER_DEFAULTS.sortBy : '';
+        });
+        this.renderOpportunityList();
+    }
+
+    _filterInputs() {
+        const { filterSearch, filterRisk, filterCurrency, filterCategory, filterMinReturn, filterMaxDays, filterClosingHours, sortBy } = this.elements;
+        return [filterSearch, filterRisk, filterCurrency, filterCategory, filterMinReturn, filterMaxDays, filterClosingHours, sortBy];
+    }
+
+    // Las categorías dependen de las subastas analizadas; se conserva la elegida si sigue presente
+    _updateCategoryOptions(opportunities) {
+        const selected = this.elements.filterCategory.value;
+        const categories = OpportunityFilter.categories(opportunities);
+
+        this.elements.filterCategory.innerHTML = '<option value="">Tipo: todos</option>' + categories
+            .map(category => `<option value="${this._escapeHtml(category)}">${this._escapeHtml(category.charAt(0).toUpperCase() + category.slice(1))}</option>`)
+            .join('');
+        this.elements.filterCategory.value = categories.includes(selected) ? selected : '';
     }
 
     // Crear tarjeta HTML para oportunidad
@@ -361,12 +1188,13 @@ class UIManager {
 
         // Calcular simulación de inversión con el presupuesto del usuario
         const simulation = this._calculateInvestmentSimulation(opportunity, config);
+        const debtor = this._debtorExposureFor(opportunity, simulation, config);
 
         return `
             <div class="opportunity-card">
                 <div class="opportunity-header">
                     <div class="title-section">
-                        <h4 class="opportunity-title">${opportunity.title || 'Sin título'}</h4>
+                        <h4 class="opportunity-title">${this._escapeHtml(opportunity.title || 'Sin título')}</h4>
                         <div class="currency-info">
                             <span class="currency-badge">💰 ${opportunity.currency || 'PEN'} ${simulation.paymentGuaranteed ? '🛡️' : ''}</span>
                         </div>
@@ -395,26 +1223,86 @@ class UIManager {
                     <div class="financial-details">
                         <div class="detail-row">
                             <span class="detail-label">👥 Inversores actuales:</span>
-                            <span class="detail-value">${simulation.estimatedInvestors} persona${simulation.estimatedInvestors !== 1 ? 's' : ''}</span>
+                            <span class="detail-value">${simulation.investorsEstimated ? '~' : ''}${simulation.estimatedInvestors} persona${simulation.estimatedInvestors !== 1 ? 's' : ''}</span>
+                        </div>
+                        ${opportunity.currency && opportunity.currency !== config.currency ? `
+                        <div class="detail-row">
+                            <span class="detail-label">💱 Convertido desde ${opportunity.currency}:</span>
+                            <span class="detail-value">${this._formatCurrency(simulation.potentialInvestment, config.currency)} ≈ ${this._formatCurrency(this.currencyService.convert(simulation.potentialInvestment, config.currency, opportunity.currency), opportunity.currency)}</span>
                         </div>
+                        ` : ''}
                         <div class="detail-row">
                             <span class="detail-label">📅 Te pagan el:</span>
                             <span class="detail-value">${simulation.paymentDate}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">🎯 Mayor inversión:</span>
-                            <span class="detail-value">${currencyInfo.symbol}${simulation.averageTicket.toFixed(0)}</span>
+                            <span class="detail-value">${simulation.ticketEstimated ? '~' : ''}${currencyInfo.symbol}${simulation.averageTicket.toFixed(0)}</span>
                         </div>
                         <div class="detail-row">
                             <span class="detail-label">⚠️ Estado crediticio:</span>
                             <span class="detail-value ${simulation.creditStatus.class}">${simulation.creditStatus.text}</span>
                         </div>
+                        ${debtor && (debtor.entry.auctions > 1 || debtor.committed > 0) ? `
+                        <div class="detail-row">
+                            <span class="detail-label">🏢 Mismo deudor:</span>
+                            <span class="detail-value">${debtor.entry.auctions} subasta${debtor.entry.auctions !== 1 ? 's' : ''} abierta${debtor.entry.auctions !== 1 ? 's' : ''} · ${this._formatCurrency(debtor.committed, debtor.currency)} en cartera</span>
+                        </div>
+                        ` : ''}
+                        ${debtor && debtor.exceeded ? `
+                        <div class="detail-row debtor-warning">
+                            <span class="detail-label">⚠️ Concentración:</span>
+                            <span class="detail-value">invertir aquí deja ${this._formatCurrency(debtor.total, debtor.currency)} en este deudor, sobre tu máximo de ${this._formatCurrency(debtor.limit, debtor.currency)}</span>
+                        </div>
+                        ` : ''}
+                        ${opportunity.riskAssessment ? `
+                        <div class="detail-row">
+                            <span class="detail-label">🎲 Retorno neto esperado:</span>
+                            <span class="detail-value ${opportunity.riskAssessment.expectedNetReturn < 0 ? 'net-return-negative' : ''}">${opportunity.riskAssessment.expectedNetReturn.toFixed(2)}% anual (PD ${opportunity.riskAssessment.pd.toFixed(1)}% · pérdida ${opportunity.riskAssessment.lgd.toFixed(0)}% · atraso ${opportunity.riskAssessment.delayDays.toFixed(0)} d)</span>
+                        </div>
+                        ` : ''}
                         ${simulation.remainingTime ? `
                         <div class="detail-row">
                             <span class="detail-label">⏰ Tiempo restante:</span>
                             <span class="detail-value urgent">${simulation.remainingTime}</span>
                         </div>
                         ` : ''}
+                        ${opportunity.history && opportunity.history.fillRatePerHour !== null ? `
+                        <div class="detail-row">
+                            <span class="detail-label">📈 Velocidad de llenado:</span>
+                            <span class="detail-value">${opportunity.history.fillRatePerHour.toFixed(1)}%/h (${opportunity.history.snapshotsCount} registros)</span>
+                        </div>
+                        ` : ''}
+                        ${opportunity.history && opportunity.history.returnDrift !== 0 ? `
+                        <div class="detail-row">
+                            <span class="detail-label">📉 Variación de tasa:</span>
+                            <span class="detail-value">${opportunity.history.returnDrift > 0 ? '+' : ''}${opportunity.history.returnDrift.toFixed(2)}%</span>
+                        </div>
+                        ` : ''}
+                        ${opportunity.guarantees && opportunity.guarantees.length > 0 ? `
+                        <div class="detail-row">
+                            <span class="detail-label">🛡️ Garantías:</span>
+                            <span class="detail-value">${this._escapeHtml(opportunity.guarantees.join(', '))}</span>
+                        </div>
+                        ` : ''}
+                        ${opportunity.purpose ? `
+                        <div class="detail-row">
+                            <span class="detail-label">📌 Finalidad:</span>
+                            <span class="detail-value">${this._escapeHtml(opportunity.purpose)}</span>
+                        </div>
+                        ` : ''}
+                        ${ExtractionDiagnostics.unreliableFields(opportunity).length > 0 ? `
+                        <div class="detail-row diagnostics-unreliable">
+                            <span class="detail-label">🩺 Valores por defecto:</span>
+                            <span class="detail-value">${ExtractionDiagnostics.unreliableFields(opportunity).join(', ')}</span>
+                        </div>
+                        ` : ''}
+                        ${opportunity.documents && opportunity.documents.length > 0 ? `
+                        <div class="detail-row">
+                            <span class="detail-label">📄 Documentos:</span>
+                            <span class="detail-value">${opportunity.documents.length}</span>
+                        </div>
+                        ` : ''}
                     </div>
 
                     ${simulation.advice ? `
@@ -422,17 +1310,97 @@ class UIManager {
                         <p class="advice-text">${simulation.advice.message}</p>
                     </div>
                     ` : ''}
+
+                    ${this._createScoreExplanation(opportunity)}
+
+                    <div class="card-actions">
+                        <button class="btn-secondary btn-compact" data-action="record-investment" data-opportunity-id="${opportunity.id}">➕ Registrar inversión</button>
+                    </div>
                 </div>
             </div>
         `;
     }
 
+    // Exposición al deudor de la subasta al invertir en ella: lo recomendado o, si no está
+    // en la distribución, lo que la tarjeta dice que puedes invertir
+    _debtorExposureFor(opportunity, simulation, config) {
+        const entry = this.debtors[DebtorExposure.key(opportunity.title)];
+        if (!entry) return null;
+
+        const currency = CONSTANTS.CURRENCIES[opportunity.currency] ? opportunity.currency : config.currency;
+        const additional = entry.recommendedIds.includes(opportunity.id)
+            ? 0
+            : this.currencyService.convert(simulation.potentialInvestment, config.currency, currency);
+        const exposure = DebtorExposure.check(
+            entry,
+            currency,
+            this.configManager.getBudget(currency),
+            DebtorExposure.normalizeLimit(config.maxDebtorExposurePct),
+            additional
+        );
+
+        return { entry, currency, ...exposure };
+    }
+
+    // Crear sección expandible con el detalle del score
+    _createScoreExplanation(opportunity) {
+        const breakdown = opportunity.scoreBreakdown;
+        if (!breakdown) return '';
+
+        const factorRows = breakdown.factors.map(factor => `
+            <tr>
+                <td>${factor.label}</td>
+                <td>${factor.value.toFixed(0)}</td>
+                <td>${(factor.weight * 100).toFixed(0)}%</td>
+                <td>${factor.contribution.toFixed(1)}</td>
+            </tr>
+        `).join('');
+
+        const adjustmentItems = breakdown.adjustments.map(adjustment => `
+            <li class="${adjustment.percent > 0 ? 'adjustment-bonus' : 'adjustment-penalty'}">
+                ${adjustment.label}: ${adjustment.percent > 0 ? '+' : ''}${adjustment.percent}%
+            </li>
+        `).join('');
+
+        const reasons = opportunity.recommendation?.reasons || [];
+
+        return `
+            <details class="score-explanation">
+                <summary>¿Por qué este score?</summary>
+                <table class="score-table">
+                    <thead>
+                        <tr>
+                            <th>Factor</th>
+                            <th>Puntaje</th>
+                            <th>Peso</th>
+                            <th>Aporte</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${factorRows}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <td colspan="3">Score base</td>
+                            <td>${breakdown.baseScore.toFixed(1)}</td>
+                        </tr>
+                    </tfoot>
+                </table>
+                ${adjustmentItems ? `<ul class="score-adjustments">${adjustmentItems}</ul>` : ''}
+                <div class="score-final">Score final: <strong>${opportunity.score}</strong>/100</div>
+                ${reasons.length > 0 ? `
+                <div class="score-reasons">${opportunity.recommendation.text}: ${reasons.join(', ')}</div>
+                ` : ''}
+            </details>
+        `;
+    }
+
     // Calcular simulación de inversión personalizada
     _calculateInvestmentSimulation(opportunity, config) {
         const currencyInfo = this.configManager.getCurrencyInfo();
 
-        // Calcular días hasta vencimiento - validar datos
-        const daysToMaturity = this._calculateDaysToMaturity(opportunity.estimatedPayment);
+        // Plazo en días del cierre de subasta al pago (mismo modelo que la distribución)
+        const daysToMaturity = YieldModel.termDays(opportunity);
 
         // Usar datos reales si están disponibles, sino calcular con validaciones
         const amount = parseFloat(opportunity.amount) || 0;
@@ -442,18 +1410,23 @@ class UIManager {
         const raisedAmount = opportunity.raisedAmount || (amount * progress / 100);
         const availableAmount = opportunity.remainingAmount || (amount * (100 - progress) / 100);
 
-        // Determinar cuánto puede invertir el usuario - validar presupuesto
-        const userBudget = parseFloat(config.budget) || currencyInfo.minInvestment;
+        // Determinar cuánto puede invertir el usuario con el presupuesto de la moneda de la subasta,
+        // descontado el capital ya invertido en el portafolio
+        const auctionCurrency = CONSTANTS.CURRENCIES[opportunity.currency] ? opportunity.currency : config.currency;
+        const auctionBudget = this.investmentCalculator
+            ? this.investmentCalculator.getAvailableBudget(auctionCurrency)
+            : this.configManager.getBudget(auctionCurrency);
+        const userBudget = this.currencyService.convert(auctionBudget, auctionCurrency, config.currency) || currencyInfo.minInvestment;
         const potentialInvestment = Math.max(currencyInfo.minInvestment, Math.min(userBudget * 0.15, availableAmount, currencyInfo.minInvestment * 50));
 
-        // Usar retorno mensual real si está disponible - validar cálculos
-        const monthlyRate = opportunity.monthlyReturn ? (parseFloat(opportunity.monthlyReturn) / 100) : (returnRate / 100 / 12);
-        const potentialGain = potentialInvestment * monthlyRate * (daysToMaturity / 30);
+        const potentialGain = YieldModel.expectedGain(potentialInvestment, returnRate, daysToMaturity);
 
-        // Usar número real de inversores si está disponible
+        // Usar número real de inversores (análisis profundo) o estimarlo
+        const investorsEstimated = !opportunity.totalInvestors;
         const estimatedInvestors = opportunity.totalInvestors || Math.max(1, Math.ceil(raisedAmount / currencyInfo.minInvestment));
 
-        // Usar máxima inversión real o calcular ticket promedio
+        // Usar máxima inversión real (análisis profundo) o calcular ticket promedio
+        const ticketEstimated = !opportunity.maxInvestment;
         const averageTicket = opportunity.maxInvestment || Math.max(currencyInfo.minInvestment, (raisedAmount > 0 ? raisedAmount / estimatedInvestors : currencyInfo.minInvestment));
 
         // Fecha de pago formateada con validación
@@ -470,6 +1443,8 @@ class UIManager {
             potentialGain: isFinite(potentialGain) ? potentialGain : 0,
             daysToMaturity: isFinite(daysToMaturity) ? daysToMaturity : 0,
             estimatedInvestors,
+            investorsEstimated,
+            ticketEstimated,
             paymentDate,
             averageTicket: isFinite(averageTicket) ? averageTicket : currencyInfo.minInvestment,
             creditStatus,
@@ -480,21 +1455,6 @@ class UIManager {
         };
     }
 
-    // Calcular días hasta vencimiento
-    _calculateDaysToMaturity(estimatedPayment) {
-        if (!estimatedPayment) return 0;
-
-        try {
-            const paymentDate = new Date(estimatedPayment);
-            const today = new Date();
-            const diffTime = paymentDate - today;
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-            return Math.max(0, diffDays);
-        } catch {
-            return 0;
-        }
-    }
-
     // Obtener estado crediticio basado en riesgo y garantías
     _getCreditStatus(risk, paymentGuaranteed = false) {
         const riskMap = {
@@ -553,65 +1513,44 @@ class UIManager {
     _calculateDaysToClose(auctionClose) {
         if (!auctionClose) return 999;
 
-        try {
-            const closeDate = new Date(auctionClose);
-            const today = new Date();
-            const diffTime = closeDate - today;
-            const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-            return Math.max(0, diffDays);
-        } catch {
-            return 999;
-        }
+        const diffDays = SpanishDateParser.diffDays(Date.now(), auctionClose);
+        return diffDays === null ? 999 : Math.max(0, Math.ceil(diffDays));
     }
 
     // Formatear tiempo de cierre
     _formatClosingTime(auctionClose) {
         if (!auctionClose) return 'No disponible';
 
-        try {
-            const closeDate = new Date(auctionClose);
-            const now = new Date();
-            const diffHours = Math.ceil((closeDate - now) / (1000 * 60 * 60));
-
-            if (diffHours <= 0) return 'Cerrado';
-            if (diffHours < 24) return `${diffHours}h restantes`;
-            const diffDays = Math.ceil(diffHours / 24);
-            return `${diffDays}d restantes`;
-        } catch {
-            return 'No disponible';
-        }
+        const diffDays = SpanishDateParser.diffDays(Date.now(), auctionClose);
+        if (diffDays === null) return 'No disponible';
+
+        const diffHours = Math.ceil(diffDays * 24);
+        if (diffHours <= 0) return 'Cerrado';
+        if (diffHours < 24) return `${diffHours}h restantes`;
+        return `${Math.ceil(diffHours / 24)}d restantes`;
     }
 
     // Verificar si es cierre urgente
     _isUrgentClose(auctionClose) {
         if (!auctionClose) return false;
 
-        try {
-            const closeDate = new Date(auctionClose);
-            const now = new Date();
-            const diffHours = (closeDate - now) / (1000 * 60 * 60);
-            return diffHours <= 6; // Menos de 6 horas
-        } catch {
-            return false;
-        }
+        const diffDays = SpanishDateParser.diffDays(Date.now(), auctionClose);
+        return diffDays !== null && diffDays * 24 <= 6; // Menos de 6 horas
     }
 
     // Formatear fecha
     _formatDate(dateString) {
         if (!dateString || dateString === 'Invalid Date') return 'No disponible';
 
-        try {
-            const date = new Date(dateString);
-            if (isNaN(date.getTime())) return 'No disponible';
+        const date = SpanishDateParser.parse(dateString);
+        if (!date) return 'No disponible';
 
-            return date.toLocaleDateString('es-PE', {
-                day: '2-digit',
-                month: 'short',
-                year: 'numeric'
-            });
-        } catch {
-            return 'No disponible';
-        }
+        return date.toLocaleDateString('es-PE', {
+            day: '2-digit',
+            month: 'short',
+            year: 'numeric',
+            timeZone: 'America/Lima'
+        });
     }
 
     // Generar consejo de inversión
@@ -668,28 +1607,123 @@ class UIManager {
             maximumFractionDigits: 0
         })}`;
     }
+
+    _escapeHtml(value) {
+        return escapeHtml(value);
+    }
 }
 
 // Popup script con sistema de scoring y recomendaciones
+// Las APIs de Chrome llegan a través de `platform` (ver platform.js)
 class PrestamypeAnalyzer {
-    constructor() {
+    constructor(platform = new ChromePlatform()) {
+        this.platform = platform;
         this.opportunities = [];
-        this.configManager = new ConfigurationManager();
-        this.uiManager = new UIManager(this.configManager);
-        this.investmentCalculator = new InvestmentCalculator(this.configManager);
-        this.initialize();
+        this.activeTabId = null; // Pestaña analizada, donde se dibuja el overlay
+        this.configManager = new ConfigurationManager(platform.storage);
+        this.currencyService = new CurrencyService(platform.storage);
+        this.portfolioManager = new PortfolioManager(platform.storage);
+        this.uiManager = new UIManager(this.configManager, this.currencyService, platform);
+        this.investmentCalculator = new InvestmentCalculator(this.configManager, this.currencyService, this.portfolioManager);
+        this.historyStore = new OpportunityHistoryStore();
+        this.exporter = new AnalysisExporter();
+        this.ready = this.initialize();
     }
 
     async initialize() {
         this.uiManager.initialize();
         await this.loadConfiguration();
+        await this.loadPortfolio();
         this._setupAnalyzeButton();
         this._setupClearButton();
+        this._setupExportButtons();
+        this._setupPortfolioActions();
+        this._setupProgressListener();
+        this._setupGridChangesListener();
     }
 
     async loadConfiguration() {
         const config = await this.configManager.load();
+        await this.currencyService.load();
         this.uiManager.updateFromConfig(config);
+        this.uiManager.updateExchangeRateDisplay();
+    }
+
+    async loadPortfolio() {
+        await this.portfolioManager.load();
+        this.refreshPortfolio();
+    }
+
+    refreshPortfolio() {
+        this.uiManager.displayPortfolio(
+            this.portfolioManager.getInvestments(),
+            this.portfolioManager.getSummary(),
+            this.portfolioManager
+        );
+    }
+
+    // Botones de las tarjetas y del portafolio (delegación de eventos)
+    _setupPortfolioActions() {
+        const elements = this.uiManager.elements;
+
+        elements.opportunitiesList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action="record-investment"]');
+            if (button) {
+                this.openInvestmentForm(button.dataset.opportunityId);
+            }
+        });
+
+        elements.saveInvestment.addEventListener('click', () => this.recordInvestment());
+
+        elements.portfolioList.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-investment-id]');
+            if (!button) return;
+
+            if (button.dataset.action === 'mark-paid') {
+                const investmentId = button.dataset.investmentId;
+                await this.portfolioManager.markPaid(investmentId, this.uiManager.readPaidAmount(investmentId));
+            } else if (button.dataset.action === 'remove-investment') {
+                await this.portfolioManager.remove(button.dataset.investmentId);
+            }
+            this.refreshPortfolio();
+        });
+    }
+
+    // Abrir el formulario con la inversión sugerida (o el ticket mínimo) y el pago estimado
+    openInvestmentForm(opportunityId) {
+        const opportunity = this.opportunities.find(opp => String(opp.id) === opportunityId);
+        if (!opportunity) return;
+
+        const allocation = this.investmentCalculator.calculateInvestmentDistribution(this.opportunities);
+        const suggested = this.investmentCalculator.flattenDistribution(allocation)
+            .find(row => row.opportunity === opportunity);
+        const minTicket = CONSTANTS.CURRENCIES[opportunity.currency]?.minInvestment || CONSTANTS.CURRENCIES.PEN.minInvestment;
+
+        this.pendingInvestment = opportunity;
+        this.uiManager.openInvestmentModal(opportunity, {
+            amount: suggested ? suggested.investment : minTicket,
+            rate: opportunity.return || '',
+            expectedPaymentDate: SpanishDateParser.toLimaDate(opportunity.estimatedPayment)
+        });
+    }
+
+    async recordInvestment() {
+        if (!this.pendingInvestment) return;
+
+        try {
+            await this.portfolioManager.addInvestment(this.pendingInvestment, this.uiManager.readInvestmentForm());
+            this.pendingInvestment = null;
+            this.uiManager.closeInvestmentModal();
+            this.refreshPortfolio();
+
+            // El capital comprometido cambia la distribución recomendada
+            if (this.opportunities.length > 0) {
+                this.uiManager.displayResults(this.opportunities, this.investmentCalculator);
+                await this.showOverlay();
+            }
+        } catch (error) {
+            this.uiManager.showError(error.message);
+        }
     }
 
     _setupAnalyzeButton() {
@@ -697,9 +1731,56 @@ class PrestamypeAnalyzer {
     }
 
     _setupClearButton() {
-        this.uiManager.elements.clearBtn.addEventListener('click', () => this.uiManager.clearResults());
+        this.uiManager.elements.clearBtn.addEventListener('click', () => this.clearResults());
     }
 
+    _setupExportButtons() {
+        this.uiManager.elements.exportCsvBtn.addEventListener('click', () => this.exportResults('csv'));
+        this.uiManager.elements.exportJsonBtn.addEventListener('click', () => this.exportResults('json'));
+    }
+
+    // Descargar las oportunidades analizadas y la distribución recomendada
+    exportResults(format) {
+        if (this.opportunities.length === 0) {
+            this.uiManager.showError('No hay resultados para exportar. Ejecuta un análisis primero.');
+            return;
+        }
+
+        const allocation = this.investmentCalculator.calculateInvestmentDistribution(this.opportunities);
+        const distributionRows = this.investmentCalculator.flattenDistribution(allocation);
+
+        if (format === 'csv') {
+            const csv = this.exporter.toCSV(this.opportunities, distributionRows);
+            this.exporter.download(csv, this.exporter.buildFilename('csv'), 'text/csv;charset=utf-8');
+        } else {
+            const json = this.exporter.toJSON(this.opportunities, distributionRows, this.configManager.get());
+            this.exporter.download(json, this.exporter.buildFilename('json'), 'application/json');
+        }
+    }
+
+    // Mostrar el progreso de la extracción multipágina
+    _setupProgressListener() {
+        this.platform.onMessage((request) => {
+            if (request.action === 'extractionProgress') {
+                this.uiManager.updateLoadingMessage(
+                    `Extrayendo página ${request.page}... (${request.totalOpportunities} oportunidades)`
+                );
+            }
+            return false;
+        });
+    }
+
+
+    // Cambios del grid detectados por el modo vigilancia en la pestaña analizada
+    _setupGridChangesListener() {
+        this.platform.onMessage((request, sender) => {
+            if (request.action !== 'gridChanges') return false;
+            if (sender && sender.tab && sender.tab.id !== this.activeTabId) return false;
+
+            this.applyGridChanges(request.changes || []);
+            return false;
+        });
+    }
 
     // Función principal de análisis
     async analyzeOpportunities() {
@@ -708,9 +1789,9 @@ class PrestamypeAnalyzer {
 
         try {
             // Obtener pestaña activa
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            const tab = await this.platform.getActiveTab();
             
-            if (!tab.url.includes('prestamype.com')) {
+            if (!tab || !tab.url.includes('prestamype.com')) {
                 throw new Error('Esta extensión solo funciona en Prestamype.com');
             }
 
@@ -718,7 +1799,8 @@ class PrestamypeAnalyzer {
             await this.ensureContentScriptInjected(tab.id);
 
             // Extraer datos de la página con timeout y retry
-            const response = await this.extractDataWithRetry(tab.id, 3);
+            const { fullMarketplace } = this.configManager.get();
+            const response = await this.extractDataWithRetry(tab.id, 3, { fullMarketplace });
             
             if (!response.success) {
                 throw new Error(response.error || 'Error extrayendo datos');
@@ -736,10 +1818,24 @@ class PrestamypeAnalyzer {
                 throw new Error('No se encontraron oportunidades en la página. Asegúrate de estar en la página principal de oportunidades.');
             }
 
+            // Enriquecer con los datos del modal de detalle (opcional)
+            if (this.configManager.get().deepAnalysis) {
+                await this.enrichWithModalData(tab.id);
+            }
+
+            // Expresar todos los montos en la moneda del presupuesto
+            this.normalizeCurrencies();
+
             // Calcular scores y generar recomendaciones
             this.calculateScores();
+            await this.recordHistory();
             this.uiManager.displayResults(this.opportunities, this.investmentCalculator);
 
+            // Mostrar el score sobre las filas del grid de Prestamype
+            this.activeTabId = tab.id;
+            await this.showOverlay();
+            await this.syncWatch();
+
             // Guardar en storage para análisis posterior
             await this.saveAnalysisResults();
 
@@ -751,6 +1847,14 @@ class PrestamypeAnalyzer {
         }
     }
 
+    // Normalizar montos de cada oportunidad a la moneda del presupuesto
+    normalizeCurrencies() {
+        const { currency } = this.configManager.get();
+        this.opportunities = this.opportunities.map(opp =>
+            this.currencyService.normalizeOpportunity(opp, currency)
+        );
+    }
+
     // Calcular scores para cada oportunidad
     calculateScores() {
         if (!this.opportunities || !Array.isArray(this.opportunities)) {
@@ -760,161 +1864,30 @@ class PrestamypeAnalyzer {
         }
 
         const config = this.configManager.get();
+        this.riskCalibration = RiskModel.calibrate(config.riskModel, this.portfolioManager.getInvestments());
+        this.uiManager.showRiskCalibration(this.riskCalibration);
+
         this.opportunities.forEach(opp => {
-            opp.score = this.calculateOpportunityScore(opp);
+            opp.riskAssessment = RiskModel.evaluate(opp, this.riskCalibration.grades);
+            opp.expectedNetReturn = opp.riskAssessment.expectedNetReturn;
+
+            const result = ScoringEngine.scoreOpportunity(opp, config);
+            opp.fitsBudget = result.fitsBudget;
+            opp.meetsReturn = result.meetsReturn;
+            opp.acceptableRisk = result.acceptableRisk;
+            opp.score = result.score;
+            opp.scoreBreakdown = {
+                baseScore: result.baseScore,
+                factors: result.factors,
+                adjustments: result.adjustments
+            };
             opp.recommendation = this.generateRecommendation(opp, config);
-            opp.fitsBudget = (opp.minInvestment || 0) <= config.budget;
-            opp.meetsReturn = (opp.return || 0) >= config.minReturn;
-            opp.acceptableRisk = this.isAcceptableRisk(opp.risk, config.maxRisk);
         });
 
         // Ordenar por score descendente
         this.opportunities.sort((a, b) => b.score - a.score);
     }
 
-    // Calcular score individual de oportunidad
-    calculateOpportunityScore(opportunity) {
-        const config = this.configManager.get();
-        let score = 0;
-        let maxScore = 100;
-
-        // 1. Rentabilidad (40% del score)
-        const returnScore = this.calculateReturnScore(opportunity.return, config);
-        score += returnScore * 0.4;
-
-        // 2. Riesgo (25% del score)
-        const riskScore = this.calculateRiskScore(opportunity.risk, config);
-        score += riskScore * 0.25;
-
-        // 3. Liquidez/Plazo (15% del score)
-        const termScore = this.calculateTermScore(opportunity.term);
-        score += termScore * 0.15;
-
-        // 4. Progreso de financiación (10% del score)
-        const progressScore = this.calculateProgressScore(opportunity.progress);
-        score += progressScore * 0.1;
-
-        // 5. Accesibilidad (10% del score)
-        const accessibilityScore = this.calculateAccessibilityScore(opportunity, config);
-        score += accessibilityScore * 0.1;
-
-        // Bonificaciones y penalizaciones
-        score = this.applyBonusesAndPenalties(score, opportunity, config);
-
-        return Math.round(Math.max(0, Math.min(maxScore, score)));
-    }
-
-    // Calcular score de rentabilidad
-    calculateReturnScore(returnRate, config) {
-        if (!returnRate) return 0;
-
-        const minAcceptable = config.minReturn;
-        const excellent = minAcceptable + 8; // +8% sobre mínimo es excelente
-
-        if (returnRate < minAcceptable) {
-            return Math.max(0, (returnRate / minAcceptable) * 50);
-        } else if (returnRate >= excellent) {
-            return 100;
-        } else {
-            return 50 + ((returnRate - minAcceptable) / (excellent - minAcceptable)) * 50;
-        }
-    }
-
-    // Calcular score de riesgo
-    calculateRiskScore(risk, config) {
-        if (!risk) return 50;
-
-        const riskValues = { 'A': 100, 'B': 85, 'C': 70, 'D': 50, 'E': 25 };
-        const baseScore = riskValues[risk] || 50;
-
-        // Ajustar según preferencias del usuario
-        const userMaxRisk = config.maxRisk;
-        const userRiskValues = { 'A': 1, 'B': 2, 'C': 3, 'D': 4, 'E': 5 };
-
-        const oppRiskLevel = userRiskValues[risk] || 3;
-        const maxRiskLevel = userRiskValues[userMaxRisk] || 3;
-        
-        if (oppRiskLevel <= maxRiskLevel) {
-            return baseScore;
-        } else {
-            // Penalizar riesgos superiores al máximo aceptable
-            return Math.max(0, baseScore - (oppRiskLevel - maxRiskLevel) * 20);
-        }
-    }
-
-    // Calcular score de plazo
-    calculateTermScore(term) {
-        if (!term) return 50;
-        
-        // Términos más cortos son generalmente preferibles para liquidez
-        if (term <= 6) return 100;      // Menos de 6 meses
-        if (term <= 12) return 85;      // 6-12 meses
-        if (term <= 24) return 70;      // 1-2 años
-        if (term <= 36) return 55;      // 2-3 años
-        return 40;                      // Más de 3 años
-    }
-
-    // Calcular score de progreso
-    calculateProgressScore(progress) {
-        if (typeof progress !== 'number') return 50;
-        
-        // Preferir oportunidades con progreso medio (ni muy poco ni demasiado)
-        if (progress >= 20 && progress <= 80) return 100;
-        if (progress >= 10 && progress < 20) return 80;
-        if (progress > 80 && progress <= 90) return 80;
-        if (progress > 90) return 60;  // Casi financiado, menos tiempo
-        return 40;                     // Muy poco progreso
-    }
-
-    // Calcular score de accesibilidad
-    calculateAccessibilityScore(opportunity, config) {
-        let score = 50;
-
-        // Bonificar si está dentro del presupuesto
-        if (opportunity.fitsBudget) {
-            score += 30;
-        }
-
-        // Bonificar inversiones mínimas bajas
-        const minInv = opportunity.minInvestment || 50;
-        if (minInv <= 100) score += 20;
-        else if (minInv <= 500) score += 10;
-        else if (minInv > 5000) score -= 10;
-
-        return Math.max(0, Math.min(100, score));
-    }
-
-    // Aplicar bonificaciones y penalizaciones
-    applyBonusesAndPenalties(score, opportunity, config) {
-        // Bonificación por cumplir todos los criterios
-        if (opportunity.fitsBudget && opportunity.meetsReturn && opportunity.acceptableRisk) {
-            score *= 1.1; // +10% bonus
-        }
-
-        // Penalización por no cumplir criterios básicos
-        if (!opportunity.meetsReturn) score *= 0.8;
-        if (!opportunity.acceptableRisk) score *= 0.7;
-        if (!opportunity.fitsBudget) score *= 0.9;
-
-        // Bonificación por categorías preferidas (ejemplo)
-        if (opportunity.category === 'inmobiliario') {
-            score *= 1.05; // +5% para inmobiliario
-        }
-
-        return score;
-    }
-
-    // Verificar si el riesgo es aceptable
-    isAcceptableRisk(risk, maxRisk) {
-        if (!risk) return true;
-
-        const riskLevels = { 'A': 1, 'B': 2, 'C': 3, 'D': 4, 'E': 5 };
-        const oppLevel = riskLevels[risk] || 3;
-        const maxLevel = riskLevels[maxRisk] || 3;
-
-        return oppLevel <= maxLevel;
-    }
-
     // Generar recomendación para oportunidad
     generateRecommendation(opportunity, config) {
         const issues = [];
@@ -933,9 +1906,9 @@ class PrestamypeAnalyzer {
             issues.push('Riesgo elevado');
         }
 
-        if (opportunity.term <= 12) {
+        if (opportunity.term <= 365) {
             strengths.push('Plazo corto');
-        } else if (opportunity.term > 36) {
+        } else if (opportunity.term > 1095) {
             issues.push('Plazo muy largo');
         }
 
@@ -1061,7 +2034,7 @@ class PrestamypeAnalyzer {
                     </div>
                     <div class="detail-item">
                         <span class="detail-label">Plazo:</span>
-                        <span class="detail-value">${opportunity.term ? opportunity.term + ' meses' : 'N/A'}</span>
+                        <span class="detail-value">${opportunity.term ? opportunity.term + ' días' : 'N/A'}</span>
                     </div>
                     <div class="detail-item">
                         <span class="detail-label">Mín. inversión:</span>
@@ -1085,38 +2058,99 @@ class PrestamypeAnalyzer {
     // Asegurar que content script está inyectado
     async ensureContentScriptInjected(tabId) {
         try {
-            await chrome.scripting.executeScript({
-                target: { tabId: tabId },
-                files: ['content.js']
-            });
+            await this.platform.injectScripts(tabId, ['dates.js', 'diagnostics.js', 'schema.js', 'overlay.js', 'watcher.js', 'content.js']);
         } catch (error) {
             // Content script ya está inyectado o error menor
             console.log('Content script ya disponible o error menor:', error.message);
         }
     }
 
+    // Análisis profundo: abrir el modal de cada oportunidad, una por una
+    // Si el detalle no se pudo leer, la subasta queda con los datos del grid y `deepAnalysisError`
+    async enrichWithModalData(tabId) {
+        const total = this.opportunities.length;
+
+        for (let i = 0; i < total; i++) {
+            const opportunity = this.opportunities[i];
+            this.uiManager.updateLoadingMessage(`Análisis profundo ${i + 1}/${total}...`);
+
+            try {
+                const response = await this.sendMessageToTab(tabId, {
+                    action: 'extractModal',
+                    opportunityId: opportunity.id,
+                    auctionCode: opportunity.auctionCode
+                }, CONSTANTS.MODAL_EXTRACTION_TIMEOUT);
+
+                if (!response || !response.success || !response.data) {
+                    throw new Error((response && response.error) || 'Sin respuesta del detalle');
+                }
+                this._mergeModalData(opportunity, response.data);
+            } catch (error) {
+                console.warn(`⚠️ No se pudo analizar el detalle de ${opportunity.id}:`, error.message);
+                opportunity.deepAnalysisError = error.message;
+            }
+        }
+    }
+
+    // Incorporar los datos del modal a la oportunidad
+    _mergeModalData(opportunity, modalData) {
+        const financialDetails = modalData.financialDetails || {};
+        const investorInfo = modalData.investorInfo || {};
+        const additionalData = modalData.additionalData || {};
+
+        opportunity.financialDetails = financialDetails;
+        opportunity.investorInfo = investorInfo;
+        opportunity.additionalData = additionalData;
+        opportunity.description = modalData.description || opportunity.description;
+        opportunity.documents = modalData.documents || [];
+
+        if (investorInfo.totalInvestors) {
+            opportunity.totalInvestors = investorInfo.totalInvestors;
+        }
+        if (financialDetails.maxInvestment) {
+            opportunity.maxInvestment = financialDetails.maxInvestment;
+        }
+        if (financialDetails.minInvestment) {
+            opportunity.minInvestment = financialDetails.minInvestment;
+            if (opportunity.fieldSources) {
+                opportunity.fieldSources.minInvestment = FIELD_SOURCE.PRIMARY;
+            }
+        }
+        if (additionalData.guarantees && additionalData.guarantees.length > 0) {
+            opportunity.guarantees = additionalData.guarantees;
+            opportunity.paymentGuaranteed = true;
+        }
+        if (additionalData.purpose) {
+            opportunity.purpose = additionalData.purpose;
+        }
+
+        opportunity.deepAnalyzed = true;
+    }
+
+    // Enviar mensaje al content script con timeout
+    sendMessageToTab(tabId, message, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                reject(new Error('Timeout esperando respuesta'));
+            }, timeoutMs);
+
+            this.platform.sendMessageToTab(tabId, message)
+                .then(resolve, reject)
+                .finally(() => clearTimeout(timeout));
+        });
+    }
+
     // Extraer datos con reintento
-    async extractDataWithRetry(tabId, maxRetries = 3) {
+    async extractDataWithRetry(tabId, maxRetries = 3, options = {}) {
         let lastError = null;
+        const fullMarketplace = options.fullMarketplace === true;
+        const timeoutMs = fullMarketplace ? CONSTANTS.FULL_EXTRACTION_TIMEOUT : CONSTANTS.EXTRACTION_TIMEOUT;
         
         for (let i = 0; i < maxRetries; i++) {
             try {
                 console.log(`🔄 Intento ${i + 1} de extracción de datos...`);
                 
-                const response = await new Promise((resolve, reject) => {
-                    const timeout = setTimeout(() => {
-                        reject(new Error('Timeout esperando respuesta'));
-                    }, 10000); // 10 segundos timeout
-                    
-                    chrome.tabs.sendMessage(tabId, { action: 'extractData' }, (response) => {
-                        clearTimeout(timeout);
-                        if (chrome.runtime.lastError) {
-                            reject(new Error(chrome.runtime.lastError.message));
-                        } else {
-                            resolve(response);
-                        }
-                    });
-                });
+                const response = await this.sendMessageToTab(tabId, { action: 'extractData', fullMarketplace }, timeoutMs);
                 
                 if (response && response.success) {
                     return response;
@@ -1137,6 +2171,134 @@ class PrestamypeAnalyzer {
         throw lastError || new Error('Todos los intentos de extracción fallaron');
     }
 
+    // Decorar el grid de la pestaña analizada con el score y la inversión sugerida
+    async showOverlay() {
+        if (this.activeTabId === null) return;
+
+        try {
+            await this.sendMessageToTab(this.activeTabId, {
+                action: 'showOverlay',
+                items: this._buildOverlayItems()
+            }, CONSTANTS.OVERLAY_TIMEOUT);
+        } catch (error) {
+            // El overlay es opcional: la pestaña pudo cerrarse o cambiar de página
+            console.warn('⚠️ No se pudo mostrar el overlay en la página:', error.message);
+        }
+    }
+
+    // Una insignia por oportunidad, con el monto sugerido en la moneda de la subasta
+    _buildOverlayItems() {
+        const allocation = this.investmentCalculator.calculateInvestmentDistribution(this.opportunities);
+        const suggestions = new Map(
+            this.investmentCalculator.flattenDistribution(allocation).map(row => [row.opportunity, row])
+        );
+
+        return this.opportunities.map(opp => {
+            const suggestion = suggestions.get(opp);
+            return {
+                id: String(opp.id),
+                score: opp.score,
+                level: opp.recommendation.level,
+                text: opp.recommendation.text,
+                suggestedInvestment: suggestion ? suggestion.investment : 0,
+                currency: suggestion ? suggestion.currency : opp.currency
+            };
+        });
+    }
+
+    // Activar o detener el modo vigilancia en la pestaña analizada según la configuración
+    async syncWatch() {
+        if (this.activeTabId === null) return;
+
+        const action = this.configManager.get().watchEnabled ? 'startWatch' : 'stopWatch';
+        try {
+            const response = await this.sendMessageToTab(this.activeTabId, { action }, CONSTANTS.OVERLAY_TIMEOUT);
+            this.uiManager.showWatchStatus(response && response.watching
+                ? `👀 Vigilando ${response.rows} subastas: el ranking se actualiza cuando cambie el grid`
+                : null);
+        } catch (error) {
+            console.warn('⚠️ No se pudo configurar el modo vigilancia:', error.message);
+        }
+    }
+
+    // Incorporar los cambios del grid (watcher.js) y volver a rankear sin extraer todo otra vez
+    async applyGridChanges(changes) {
+        if (this.opportunities.length === 0 || changes.length === 0) return;
+
+        const { currency } = this.configManager.get();
+        const counts = { [GRID_CHANGE.NEW]: 0, [GRID_CHANGE.PROGRESS]: 0, [GRID_CHANGE.CLOSED]: 0 };
+        const changed = [];
+
+        changes.forEach(change => {
+            const index = this.opportunities.findIndex(opp => String(opp.id) === String(change.id));
+            counts[change.type]++;
+
+            if (change.type === GRID_CHANGE.CLOSED) {
+                if (index >= 0) this.opportunities.splice(index, 1);
+                return;
+            }
+
+            // Conservar el detalle del modal si la subasta ya se había analizado a fondo
+            const opportunity = change.opportunity;
+            if (index >= 0 && this.opportunities[index].deepAnalyzed) {
+                this._mergeModalData(opportunity, this.opportunities[index]);
+            }
+            if (index >= 0 && this.opportunities[index].deepAnalysisError) {
+                opportunity.deepAnalysisError = this.opportunities[index].deepAnalysisError;
+            }
+
+            const normalized = this.currencyService.normalizeOpportunity(opportunity, currency);
+            changed.push(normalized);
+            if (index >= 0) {
+                this.opportunities[index] = normalized;
+            } else {
+                this.opportunities.push(normalized);
+            }
+        });
+
+        this.calculateScores();
+        // Solo las subastas que cambiaron: un snapshot repetido de las demás acorta la ventana de getTrend
+        await this.recordHistory(changed);
+        this.uiManager.displayResults(this.opportunities, this.investmentCalculator);
+        await this.showOverlay();
+
+        const time = new Date().toLocaleTimeString('es-PE', { hour: '2-digit', minute: '2-digit', timeZone: 'America/Lima' });
+        const parts = [
+            counts[GRID_CHANGE.NEW] > 0 ? `${counts[GRID_CHANGE.NEW]} nueva(s)` : null,
+            counts[GRID_CHANGE.PROGRESS] > 0 ? `${counts[GRID_CHANGE.PROGRESS]} con avance de progreso` : null,
+            counts[GRID_CHANGE.CLOSED] > 0 ? `${counts[GRID_CHANGE.CLOSED]} cerrada(s)` : null
+        ].filter(Boolean);
+        this.uiManager.showWatchStatus(`🔄 Actualizado ${time}: ${parts.join(' · ')}`);
+    }
+
+    // Quitar el overlay y detener la vigilancia en la pestaña analizada
+    async detachFromTab() {
+        if (this.activeTabId === null) return;
+
+        const tabId = this.activeTabId;
+        this.activeTabId = null;
+
+        for (const action of ['stopWatch', 'clearOverlay']) {
+            try {
+                await this.sendMessageToTab(tabId, { action }, CONSTANTS.OVERLAY_TIMEOUT);
+            } catch (error) {
+                console.warn(`⚠️ No se pudo enviar ${action} a la pestaña:`, error.message);
+            }
+        }
+    }
+
+    // Guardar un snapshot de cada oportunidad (por defecto, todas las analizadas) en el historial
+    async recordHistory(opportunities = this.opportunities) {
+        try {
+            const records = await this.historyStore.recordSnapshots(opportunities);
+            opportunities.forEach(opp => {
+                opp.history = this.historyStore.getTrend(records[opp.auctionCode]);
+            });
+        } catch (error) {
+            console.warn('⚠️ Error guardando historial:', error);
+        }
+    }
+
     // Guardar resultados del análisis
     async saveAnalysisResults() {
         try {
@@ -1151,7 +2313,7 @@ class PrestamypeAnalyzer {
                 }
             };
             
-            await chrome.storage.local.set({ last_analysis: analysisData });
+            await this.platform.storage.set({ last_analysis: analysisData });
         } catch (error) {
             console.warn('⚠️ Error guardando análisis:', error);
         }
@@ -1191,6 +2353,7 @@ class PrestamypeAnalyzer {
     clearResults() {
         this.uiManager.clearResults();
         this.opportunities = [];
+        this.detachFromTab();
     }
 }
 
@@ -0,0 +1,145 @@
+// Portafolio personal: inversiones realmente hechas por el usuario
+const PORTFOLIO_STORAGE_KEY = 'portfolio_investments';
+const PORTFOLIO_STATUS = {
+    ACTIVE: 'vigente',
+    PAID: 'pagado',
+    LATE: 'atrasado'
+};
+
+class PortfolioManager {
+    constructor(storage = chrome.storage.local) {
+        this.storage = storage;
+        this.investments = [];
+    }
+
+    async load() {
+        const result = await this.storage.get([PORTFOLIO_STORAGE_KEY]);
+        this.investments = result[PORTFOLIO_STORAGE_KEY] || [];
+        this.refreshStatuses();
+        return this.getInvestments();
+    }
+
+    async save() {
+        await this.storage.set({ [PORTFOLIO_STORAGE_KEY]: this.investments });
+    }
+
+    getInvestments() {
+        return this.investments.map(investment => ({ ...investment }));
+    }
+
+    // Registrar una inversión hecha a partir de una oportunidad analizada
+    async addInvestment(opportunity, { amount, rate, expectedPaymentDate }) {
+        const parsedAmount = parseFloat(amount);
+        if (!parsedAmount || parsedAmount <= 0) {
+            throw new Error('El monto invertido debe ser mayor a cero');
+        }
+
+        const investment = {
+            id: `inv_${Date.now()}`,
+            opportunityId: opportunity.id,
+            auctionCode: opportunity.auctionCode || null,
+            title: opportunity.title,
+            category: opportunity.category || null,
+            risk: opportunity.risk || null,
+            currency: opportunity.currency || 'PEN',
+            amount: parsedAmount,
+            rate: parseFloat(rate) || parseFloat(opportunity.return) || 0,
+            investedAt: Date.now(),
+            expectedPaymentDate: expectedPaymentDate || SpanishDateParser.toLimaDate(opportunity.estimatedPayment),
+            status: PORTFOLIO_STATUS.ACTIVE,
+            paidAt: null,
+            paidAmount: null
+        };
+
+        this.investments.push(investment);
+        this.refreshStatuses();
+        await this.save();
+        return { ...investment };
+    }
+
+    // Marcar una inversión como pagada (por defecto con el monto esperado)
+    async markPaid(investmentId, paidAmount = null) {
+        const investment = this.investments.find(inv => inv.id === investmentId);
+        if (!investment) return null;
+
+        investment.status = PORTFOLIO_STATUS.PAID;
+        investment.paidAt = Date.now();
+        investment.paidAmount = paidAmount !== null ? parseFloat(paidAmount) : investment.amount + this.getExpectedGain(investment);
+        await this.save();
+        return { ...investment };
+    }
+
+    async remove(investmentId) {
+        this.investments = this.investments.filter(inv => inv.id !== investmentId);
+        await this.save();
+    }
+
+    // Las inversiones vencidas sin pago pasan a "atrasado"
+    refreshStatuses(now = Date.now()) {
+        this.investments.forEach(investment => {
+            if (investment.status === PORTFOLIO_STATUS.PAID) return;
+
+            const dueDate = SpanishDateParser.parse(investment.expectedPaymentDate);
+            investment.status = dueDate && dueDate.getTime() < now ? PORTFOLIO_STATUS.LATE : PORTFOLIO_STATUS.ACTIVE;
+        });
+    }
+
+    // Capital aún invertido (vigente o atrasado) en una moneda
+    getCommittedCapital(currency) {
+        return this.investments
+            .filter(inv => inv.currency === currency && inv.status !== PORTFOLIO_STATUS.PAID)
+            .reduce((sum, inv) => sum + inv.amount, 0);
+    }
+
+    // Ganancia esperada al vencimiento (convención de yield.js)
+    getExpectedGain(investment) {
+        const days = this._daysBetween(investment.investedAt, investment.expectedPaymentDate);
+        return YieldModel.expectedGain(investment.amount, investment.rate, days);
+    }
+
+    // Ganancia devengada hasta hoy de una inversión no pagada
+    getAccruedGain(investment, now = Date.now()) {
+        const dueDate = SpanishDateParser.parse(investment.expectedPaymentDate);
+        const until = dueDate ? Math.min(now, dueDate.getTime()) : now;
+        const days = this._daysBetween(investment.investedAt, until);
+        return YieldModel.expectedGain(investment.amount, investment.rate, days);
+    }
+
+    // Resumen por moneda: capital comprometido, retorno realizado y no realizado
+    getSummary(now = Date.now()) {
+        const summary = {};
+
+        this.investments.forEach(investment => {
+            const currency = investment.currency;
+            summary[currency] = summary[currency] || {
+                currency,
+                count: 0,
+                committed: 0,
+                realizedReturn: 0,
+                unrealizedReturn: 0,
+                late: 0
+            };
+
+            const entry = summary[currency];
+            entry.count++;
+
+            if (investment.status === PORTFOLIO_STATUS.PAID) {
+                entry.realizedReturn += (investment.paidAmount || 0) - investment.amount;
+            } else {
+                entry.committed += investment.amount;
+                entry.unrealizedReturn += this.getAccruedGain(investment, now);
+                if (investment.status === PORTFOLIO_STATUS.LATE) entry.late++;
+            }
+        });
+
+        return summary;
+    }
+
+    _daysBetween(from, to) {
+        return Math.max(0, SpanishDateParser.diffDays(from, to) || 0);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioManager, PORTFOLIO_STATUS };
+}
@@ -0,0 +1,165 @@
+// Modelo de pérdida esperada por grado de riesgo
+//
+// Cada grado A–E tiene, por operación:
+//   - pd: probabilidad de incumplimiento (%)
+//   - lgd: pérdida del capital si incumple (%)
+//   - delayDays: atraso esperado del pago (días), que alarga el plazo real
+// Por cada unidad invertida a una TEA con ganancia g al plazo (yield.js):
+//     ganancia neta esperada = (1 − pd) × g − pd × lgd
+// y el retorno neto anual se expresa sobre (plazo + atraso) días, con la misma convención.
+//
+// Los valores del usuario son la referencia; las inversiones resueltas del portafolio
+// (pagadas o incumplidas) los ajustan como observaciones adicionales de cada grado.
+const RISK_MODEL_DEFAULTS = {
+    A: { pd: 1, lgd: 40, delayDays: 5 },
+    B: { pd: 2.5, lgd: 45, delayDays: 10 },
+    C: { pd: 5, lgd: 50, delayDays: 20 },
+    D: { pd: 9, lgd: 60, delayDays: 35 },
+    E: { pd: 15, lgd: 70, delayDays: 60 }
+};
+
+const RISK_CALIBRATION = {
+    DEFAULT_AFTER_DAYS: 90,  // Atraso desde el que una inversión impaga se cuenta como incumplida
+    UNKNOWN_GRADE: 'C',
+    // Peso de los valores del usuario, en observaciones equivalentes
+    PRIOR_WEIGHT: { pd: 20, lgd: 5, delayDays: 10 }
+};
+
+const RiskModel = {
+    // Modelo completo con valores en rango (los campos vacíos toman el valor por defecto)
+    normalize(model = {}) {
+        const normalized = {};
+        Object.entries(RISK_MODEL_DEFAULTS).forEach(([grade, defaults]) => {
+            const values = model[grade] || {};
+            normalized[grade] = {
+                pd: this._clamp(values.pd, defaults.pd, 0, 100),
+                lgd: this._clamp(values.lgd, defaults.lgd, 0, 100),
+                delayDays: this._clamp(values.delayDays, defaults.delayDays, 0, 3650)
+            };
+        });
+        return normalized;
+    },
+
+    // Ajustar el modelo con los resultados del portafolio
+    // Devuelve { grades: { A: { pd, lgd, delayDays, observations } }, resolved }
+    calibrate(model, investments = [], now = Date.now()) {
+        const priors = this.normalize(model);
+        const outcomes = {};
+        Object.keys(priors).forEach(grade => {
+            outcomes[grade] = { resolved: 0, defaults: 0, losses: [], delays: [] };
+        });
+
+        investments.forEach(investment => {
+            const outcome = this.classifyOutcome(investment, now);
+            if (!outcome.resolved) return;
+
+            const entry = outcomes[this._grade(investment.risk)];
+            entry.resolved++;
+            if (outcome.defaulted) {
+                entry.defaults++;
+                entry.losses.push(outcome.loss);
+            } else {
+                entry.delays.push(outcome.delayDays);
+            }
+        });
+
+        const weights = RISK_CALIBRATION.PRIOR_WEIGHT;
+        const grades = {};
+        let resolved = 0;
+
+        Object.entries(priors).forEach(([grade, prior]) => {
+            const entry = outcomes[grade];
+            resolved += entry.resolved;
+
+            grades[grade] = {
+                pd: this._blend(prior.pd, weights.pd, entry.defaults * 100, entry.resolved),
+                lgd: this._blend(prior.lgd, weights.lgd, this._sum(entry.losses) * 100, entry.losses.length),
+                delayDays: this._blend(prior.delayDays, weights.delayDays, this._sum(entry.delays), entry.delays.length),
+                observations: { resolved: entry.resolved, defaults: entry.defaults }
+            };
+        });
+
+        return { grades, resolved };
+    },
+
+    // Resultado de una inversión del portafolio (portfolio.js)
+    //   pagada completa → sin incumplimiento, con su atraso real
+    //   pagada por debajo del capital o impaga más de DEFAULT_AFTER_DAYS → incumplida
+    classifyOutcome(investment, now = Date.now()) {
+        const due = SpanishDateParser.parse(investment.expectedPaymentDate);
+        // Días completos de atraso: pagar el mismo día del vencimiento no es atraso
+        const daysLate = until => (due ? Math.max(0, Math.floor(SpanishDateParser.diffDays(due, until) || 0)) : 0);
+
+        if (investment.status === PORTFOLIO_STATUS.PAID) {
+            const recovered = (parseFloat(investment.paidAmount) || 0) / investment.amount;
+            if (recovered < 1) {
+                return { resolved: true, defaulted: true, loss: 1 - Math.max(0, recovered) };
+            }
+            return { resolved: true, defaulted: false, delayDays: daysLate(investment.paidAt || now) };
+        }
+
+        if (investment.status === PORTFOLIO_STATUS.LATE && daysLate(now) > RISK_CALIBRATION.DEFAULT_AFTER_DAYS) {
+            return { resolved: true, defaulted: true, loss: 1 };
+        }
+
+        return { resolved: false };
+    },
+
+    // Retorno neto esperado de una subasta con los parámetros de su grado
+    evaluate(opportunity, grades = this.normalize()) {
+        const params = grades[this._grade(opportunity.risk)];
+        const pd = params.pd / 100;
+        const lgd = params.lgd / 100;
+        const termDays = YieldModel.termDays(opportunity);
+        const effectiveDays = termDays + params.delayDays;
+
+        const grossPeriodRate = YieldModel.periodRate(opportunity.return, termDays);
+        const expectedLossRate = pd * lgd;
+        const netPeriodRate = (1 - pd) * grossPeriodRate - expectedLossRate;
+
+        return {
+            grade: this._grade(opportunity.risk),
+            pd: params.pd,
+            lgd: params.lgd,
+            delayDays: params.delayDays,
+            grossPeriodRate,
+            expectedLossRate,
+            netPeriodRate,
+            expectedNetReturn: this.annualize(netPeriodRate, effectiveDays)
+        };
+    },
+
+    // Tasa anual (%) equivalente a una tasa del periodo, con la convención de yield.js
+    annualize(periodRate, days, convention = YIELD_CONVENTION) {
+        if (!(days > 0)) return 0;
+
+        const years = days / convention.dayCount;
+        if (convention.compounding === 'simple') {
+            return (periodRate / years) * 100;
+        }
+        // Una pérdida total no tiene equivalente compuesto: se acota en −100%
+        return (Math.pow(Math.max(0, 1 + periodRate), 1 / years) - 1) * 100;
+    },
+
+    _grade(risk) {
+        return RISK_MODEL_DEFAULTS[risk] ? risk : RISK_CALIBRATION.UNKNOWN_GRADE;
+    },
+
+    // Media ponderada entre el valor del usuario y lo observado
+    _blend(prior, priorWeight, observedTotal, observedCount) {
+        return (prior * priorWeight + observedTotal) / (priorWeight + observedCount);
+    },
+
+    _sum(values) {
+        return values.reduce((sum, value) => sum + value, 0);
+    },
+
+    _clamp(value, fallback, min, max) {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? fallback : Math.min(max, Math.max(min, parsed));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RiskModel, RISK_MODEL_DEFAULTS, RISK_CALIBRATION };
+}
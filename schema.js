@@ -0,0 +1,283 @@
+// Esquema declarativo de extracción: selectores del DOM de Prestamype y reglas de lectura
+// Lo usan el content script (para extraer) y la página de opciones (para importar versiones nuevas)
+const SCHEMA_STORAGE_KEY = 'extraction_schema';
+
+// Reglas de un campo, en orden: la primera que devuelva un valor gana.
+//   selector:  selector CSS relativo a la fila
+//   attribute: 'text' (por defecto), 'class' o el nombre de un atributo
+//   pattern:   expresión regular; se usa el primer grupo capturado
+//   parse:     'text' (por defecto), 'lowercase', 'number' (1,234.56), 'decimal' (12,5) o 'date'
+//   min / max: límites exclusivos para valores numéricos
+//   minLength: largo mínimo para textos
+const DEFAULT_EXTRACTION_SCHEMA = {
+    version: 1,
+    page: {
+        table: [
+            '.wct-grid-table',
+            '.table-content .wct-grid-table',
+            '.grid-table-body',
+            '.content-table-oportunity .wct-grid-table',
+            'table[class*="opportunities"]',
+            'table[class*="prestamos"]',
+            'table[class*="inversiones"]',
+            '.table-responsive table',
+            '[data-testid="opportunities-table"]'
+        ],
+        tableContainer: ['.table-content'],
+        tableMarkers: ['.wct-grid-table', '.grid-table-head', '.grid-table-body'],
+        rows: ['.wct-grid-box-row', '.grid-table-row[style*="grid-template-columns"]'],
+        cells: ['.grid-table-cell', 'td, th, div[class*="cell"], div[class*="column"]'],
+        gridBody: ['.grid-table-body', '.wct-grid-table', 'tbody'],
+        loading: ['.loadingMessage', '.loading'],
+        noData: ['.notFoundMessage'],
+        pagination: ['.pagination', '.pager'],
+        currentPage: ['.pagination .active', '.current-page'],
+        nextPage: ['.next', '.page-next', '[aria-label*="next"]'],
+        nextPageEnabled: ['.next:not(.disabled)', '.page-next:not(.disabled)'],
+        prevPage: ['.prev', '.page-prev', '[aria-label*="prev"]'],
+        modal: [
+            '.modal:not(.hidden)',
+            '[role="dialog"]',
+            '.popup:not(.hidden)',
+            '.overlay:not(.hidden)',
+            '.lightbox',
+            '[data-modal="true"]',
+            '.modal-content',
+            '.dialog'
+        ],
+        modalClose: ['.close', '.btn-close', '.modal-close', '[aria-label*="close"]', '[aria-label*="cerrar"]']
+    },
+    fields: {
+        title: {
+            rules: [
+                { selector: '[data-name="Cliente"] .title' },
+                { selector: '[data-name="Cliente"]', minLength: 4 }
+            ]
+        },
+        amount: {
+            rules: [
+                { selector: '[data-name="Monto total"] .mount p', pattern: '([\\d,]+(?:\\.\\d+)?)', parse: 'number', min: 0 },
+                { selector: '[data-name="Monto total"]', pattern: '(\\d{1,3}(?:,\\d{3})*(?:\\.\\d{2})?)', parse: 'number', min: 1000 }
+            ]
+        },
+        return: {
+            rules: [
+                { selector: '[data-name="Retorno anualizado"]', pattern: '(\\d+(?:[.,]\\d+)?)\\s*%', parse: 'decimal', min: 0, max: 50 }
+            ]
+        },
+        risk: {
+            rules: [
+                { selector: '[data-name="Riesgo"] [class*="risk-"]', attribute: 'class', pattern: 'risk-([A-E])' },
+                { selector: '[data-name="Riesgo"]', pattern: '\\b([A-E])\\b' }
+            ],
+            default: 'B'
+        },
+        category: {
+            rules: [
+                { selector: '[data-name="Tipo de inversión"] .badge', parse: 'lowercase' }
+            ],
+            default: 'factoring'
+        },
+        currency: {
+            rules: [
+                { selector: '[data-name="Monto total"] .currency' }
+            ],
+            default: 'PEN'
+        },
+        progress: {
+            rules: [
+                { selector: '[data-name="Monto total"] .percentage-number', pattern: '(\\d+(?:\\.\\d+)?)', parse: 'number' }
+            ],
+            default: 0
+        },
+        minInvestment: {
+            rules: [],
+            default: 50
+        },
+        auctionClose: {
+            rules: [
+                // La cuenta regresiva ("Faltan 11 horas") es más precisa que la fecha sin hora
+                { selector: '[data-name="Cierre de subasta"] .subtitle', parse: 'date' },
+                { selector: '[data-name="Cierre de subasta"] .title', parse: 'date' }
+            ]
+        },
+        estimatedPayment: {
+            rules: [
+                { selector: '[data-name="Pago estimado"] .title', parse: 'date' }
+            ]
+        }
+    }
+};
+
+const SCHEMA_PARSERS = ['text', 'lowercase', 'number', 'decimal', 'date'];
+
+const ExtractionSchema = {
+    // Primer elemento que coincide con alguno de los selectores, en orden
+    queryFirst(root, selectors) {
+        for (const selector of selectors || []) {
+            const element = root.querySelector(selector);
+            if (element) return element;
+        }
+        return null;
+    },
+
+    // Elementos del primer selector que devuelva resultados
+    queryAll(root, selectors) {
+        for (const selector of selectors || []) {
+            const elements = root.querySelectorAll(selector);
+            if (elements.length > 0) return Array.from(elements);
+        }
+        return [];
+    },
+
+    // Aplicar una regla sobre una fila; null si no hay valor válido
+    applyRule(row, rule) {
+        const element = row.querySelector(rule.selector);
+        if (!element) return null;
+
+        const attribute = rule.attribute || 'text';
+        let raw = attribute === 'text' ? element.textContent
+            : attribute === 'class' ? element.className
+            : element.getAttribute(attribute);
+        if (raw === null || raw === undefined) return null;
+        raw = String(raw).trim();
+
+        if (rule.pattern) {
+            const match = raw.match(new RegExp(rule.pattern));
+            if (!match) return null;
+            raw = match[1] !== undefined ? match[1] : match[0];
+        }
+
+        return this._parseValue(raw, rule);
+    },
+
+    _parseValue(raw, rule) {
+        switch (rule.parse || 'text') {
+            case 'number':
+            case 'decimal': {
+                const value = parseFloat(rule.parse === 'number' ? raw.replace(/,/g, '') : raw.replace(',', '.'));
+                if (isNaN(value)) return null;
+                if (rule.min !== undefined && value <= rule.min) return null;
+                if (rule.max !== undefined && value >= rule.max) return null;
+                return value;
+            }
+            case 'date':
+                return SpanishDateParser.toISO(raw);
+            case 'lowercase':
+                raw = raw.toLowerCase();
+                break;
+        }
+
+        const text = raw.replace(/\s+/g, ' ').trim();
+        if (!text || (rule.minLength && text.length < rule.minLength)) return null;
+        return text;
+    },
+
+    // Lista de errores de un esquema importado (vacía si es válido)
+    validate(schema) {
+        const errors = [];
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+            return ['El esquema debe ser un objeto JSON'];
+        }
+
+        if (!Number.isInteger(schema.version) || schema.version < 1) {
+            errors.push('"version" debe ser un entero mayor o igual a 1');
+        }
+
+        Object.entries(schema.page || {}).forEach(([key, selectors]) => {
+            if (!Array.isArray(selectors) || selectors.some(selector => !this._isValidSelector(selector))) {
+                errors.push(`page.${key}: debe ser una lista de selectores CSS válidos`);
+            }
+        });
+
+        Object.entries(schema.fields || {}).forEach(([field, spec]) => {
+            if (!spec || !Array.isArray(spec.rules)) {
+                errors.push(`fields.${field}: falta la lista "rules"`);
+                return;
+            }
+            spec.rules.forEach((rule, index) => {
+                const path = `fields.${field}.rules[${index}]`;
+                if (!rule || !this._isValidSelector(rule.selector)) errors.push(`${path}: selector inválido`);
+                else if (rule.parse && !SCHEMA_PARSERS.includes(rule.parse)) errors.push(`${path}: parse debe ser ${SCHEMA_PARSERS.join(', ')}`);
+                else if (rule.pattern && !this._isValidPattern(rule.pattern)) errors.push(`${path}: expresión regular inválida`);
+            });
+        });
+
+        return errors;
+    },
+
+    // Esquema vigente a partir del guardado por el usuario.
+    // Un esquema importado reemplaza campo por campo al incluido, salvo que sea de una versión anterior.
+    resolve(stored) {
+        if (!stored) {
+            return { schema: DEFAULT_EXTRACTION_SCHEMA, source: 'default', warning: null };
+        }
+
+        const errors = this.validate(stored);
+        if (errors.length > 0) {
+            return { schema: DEFAULT_EXTRACTION_SCHEMA, source: 'default', warning: `Esquema importado inválido: ${errors[0]}` };
+        }
+
+        if (stored.version < DEFAULT_EXTRACTION_SCHEMA.version) {
+            return {
+                schema: DEFAULT_EXTRACTION_SCHEMA,
+                source: 'default',
+                warning: `El esquema importado (v${stored.version}) es anterior al incluido en la extensión (v${DEFAULT_EXTRACTION_SCHEMA.version})`
+            };
+        }
+
+        return {
+            schema: {
+                version: stored.version,
+                page: { ...DEFAULT_EXTRACTION_SCHEMA.page, ...(stored.page || {}) },
+                fields: { ...DEFAULT_EXTRACTION_SCHEMA.fields, ...(stored.fields || {}) }
+            },
+            source: 'override',
+            warning: null
+        };
+    },
+
+    async load() {
+        const result = await chrome.storage.local.get([SCHEMA_STORAGE_KEY]);
+        return this.resolve(result[SCHEMA_STORAGE_KEY]);
+    },
+
+    async save(schema) {
+        const errors = this.validate(schema);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        await chrome.storage.local.set({ [SCHEMA_STORAGE_KEY]: schema });
+        return this.resolve(schema);
+    },
+
+    async reset() {
+        await chrome.storage.local.remove(SCHEMA_STORAGE_KEY);
+        return this.resolve(null);
+    },
+
+    _isValidSelector(selector) {
+        if (typeof selector !== 'string' || selector.trim() === '') return false;
+        if (typeof document === 'undefined') return true;
+
+        try {
+            document.createDocumentFragment().querySelector(selector);
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    _isValidPattern(pattern) {
+        try {
+            new RegExp(pattern);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ExtractionSchema, DEFAULT_EXTRACTION_SCHEMA, SCHEMA_STORAGE_KEY, SCHEMA_PARSERS };
+}
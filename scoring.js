@@ -0,0 +1,256 @@
+// Motor de scoring compartido entre el popup y el background
+// Funciones puras: solo dependen de (opportunity, config), sin APIs de Chrome
+
+// Perfiles predefinidos: pesos en % y reglas de bonificación/penalización en %
+const SCORING_PROFILES = {
+    conservador: {
+        label: 'Conservador',
+        weights: { return: 25, risk: 40, term: 15, progress: 10, accessibility: 10 },
+        rules: {
+            allCriteriaBonus: 10,
+            belowMinReturnPenalty: 15,
+            riskAboveMaxPenalty: 50,
+            overBudgetPenalty: 10,
+            categoryAdjustments: {}
+        }
+    },
+    balanceado: {
+        label: 'Balanceado',
+        weights: { return: 40, risk: 25, term: 15, progress: 10, accessibility: 10 },
+        rules: {
+            allCriteriaBonus: 10,
+            belowMinReturnPenalty: 20,
+            riskAboveMaxPenalty: 30,
+            overBudgetPenalty: 10,
+            categoryAdjustments: { inmobiliario: 5 }
+        }
+    },
+    agresivo: {
+        label: 'Agresivo',
+        weights: { return: 55, risk: 15, term: 10, progress: 10, accessibility: 10 },
+        rules: {
+            allCriteriaBonus: 5,
+            belowMinReturnPenalty: 30,
+            riskAboveMaxPenalty: 15,
+            overBudgetPenalty: 10,
+            categoryAdjustments: {}
+        }
+    }
+};
+
+const DEFAULT_SCORING_PROFILE = 'balanceado';
+
+const SCORING_FACTOR_LABELS = {
+    return: 'Rentabilidad',
+    risk: 'Riesgo',
+    term: 'Liquidez/Plazo',
+    progress: 'Progreso de financiación',
+    accessibility: 'Accesibilidad'
+};
+
+const RISK_LEVEL_INDEX = { 'A': 1, 'B': 2, 'C': 3, 'D': 4, 'E': 5 };
+
+const ScoringEngine = {
+    // Pesos (normalizados a 1) y reglas vigentes según la configuración
+    getScoringSettings(config) {
+        const profile = SCORING_PROFILES[DEFAULT_SCORING_PROFILE];
+        const weights = { ...profile.weights, ...(config.scoringWeights || {}) };
+        const rules = { ...profile.rules, ...(config.scoringRules || {}) };
+
+        const totalWeight = Object.keys(SCORING_FACTOR_LABELS)
+            .reduce((sum, key) => sum + Math.max(0, parseFloat(weights[key]) || 0), 0);
+
+        const normalizedWeights = {};
+        Object.keys(SCORING_FACTOR_LABELS).forEach(key => {
+            const weight = Math.max(0, parseFloat(weights[key]) || 0);
+            normalizedWeights[key] = totalWeight > 0 ? weight / totalWeight : 0;
+        });
+
+        return { weights: normalizedWeights, rules };
+    },
+
+    // Calcular score de una oportunidad con el detalle por factor
+    scoreOpportunity(opportunity, config) {
+        const { weights, rules } = this.getScoringSettings(config);
+
+        // Los criterios se evalúan antes del score porque afectan accesibilidad y bonificaciones
+        const criteria = this.evaluateCriteria(opportunity, config);
+        const evaluated = { ...opportunity, ...criteria };
+
+        const rawScores = {
+            return: this.calculateReturnScore(evaluated.return, config),
+            risk: this.calculateRiskScore(evaluated.risk, config),
+            term: this.calculateTermScore(evaluated.term),
+            progress: this.calculateProgressScore(evaluated.progress),
+            accessibility: this.calculateAccessibilityScore(evaluated, config)
+        };
+
+        const factors = Object.keys(SCORING_FACTOR_LABELS).map(key => ({
+            key,
+            label: SCORING_FACTOR_LABELS[key],
+            value: rawScores[key],
+            weight: weights[key],
+            contribution: rawScores[key] * weights[key]
+        }));
+
+        const baseScore = factors.reduce((sum, factor) => sum + factor.contribution, 0);
+        const { score: adjustedScore, adjustments } = this.applyBonusesAndPenalties(baseScore, evaluated, rules);
+
+        return {
+            score: Math.round(Math.max(0, Math.min(100, adjustedScore))),
+            baseScore,
+            factors,
+            adjustments,
+            ...criteria
+        };
+    },
+
+    // Criterios básicos del usuario
+    evaluateCriteria(opportunity, config) {
+        const { minInvestment, budget } = this._budgetContext(opportunity, config);
+
+        return {
+            fitsBudget: (minInvestment || 0) <= budget,
+            meetsReturn: (opportunity.return || 0) >= config.minReturn,
+            acceptableRisk: this.isAcceptableRisk(opportunity.risk, config.maxRisk)
+        };
+    },
+
+    // Inversión mínima y presupuesto comparables (misma moneda)
+    _budgetContext(opportunity, config) {
+        const budgets = config.budgets || {};
+        const currency = opportunity.currency;
+
+        if (currency && budgets[currency] !== undefined) {
+            const original = opportunity.originalAmounts ? opportunity.originalAmounts.minInvestment : undefined;
+            return {
+                minInvestment: original ?? opportunity.minInvestment,
+                budget: parseFloat(budgets[currency]) || 0
+            };
+        }
+
+        return { minInvestment: opportunity.minInvestment, budget: parseFloat(config.budget) || 0 };
+    },
+
+    // Calcular score de rentabilidad
+    calculateReturnScore(returnRate, config) {
+        if (!returnRate) return 0;
+
+        const minAcceptable = config.minReturn;
+        const excellent = minAcceptable + 8; // +8% sobre mínimo es excelente
+
+        if (returnRate < minAcceptable) {
+            return Math.max(0, (returnRate / minAcceptable) * 50);
+        } else if (returnRate >= excellent) {
+            return 100;
+        } else {
+            return 50 + ((returnRate - minAcceptable) / (excellent - minAcceptable)) * 50;
+        }
+    },
+
+    // Calcular score de riesgo
+    calculateRiskScore(risk, config) {
+        if (!risk) return 50;
+
+        const riskValues = { 'A': 100, 'B': 85, 'C': 70, 'D': 50, 'E': 25 };
+        const baseScore = riskValues[risk] || 50;
+
+        // Ajustar según preferencias del usuario
+        const oppRiskLevel = RISK_LEVEL_INDEX[risk] || 3;
+        const maxRiskLevel = RISK_LEVEL_INDEX[config.maxRisk] || 3;
+
+        if (oppRiskLevel <= maxRiskLevel) {
+            return baseScore;
+        } else {
+            // Penalizar riesgos superiores al máximo aceptable
+            return Math.max(0, baseScore - (oppRiskLevel - maxRiskLevel) * 20);
+        }
+    },
+
+    // Calcular score de plazo (en días, ver yield.js)
+    calculateTermScore(term) {
+        if (!term) return 50;
+
+        // Términos más cortos son generalmente preferibles para liquidez
+        if (term <= 180) return 100;    // Hasta 6 meses
+        if (term <= 365) return 85;     // 6-12 meses
+        if (term <= 730) return 70;     // 1-2 años
+        if (term <= 1095) return 55;    // 2-3 años
+        return 40;                      // Más de 3 años
+    },
+
+    // Calcular score de progreso
+    calculateProgressScore(progress) {
+        if (typeof progress !== 'number') return 50;
+
+        // Preferir oportunidades con progreso medio (ni muy poco ni demasiado)
+        if (progress >= 20 && progress <= 80) return 100;
+        if (progress >= 10 && progress < 20) return 80;
+        if (progress > 80 && progress <= 90) return 80;
+        if (progress > 90) return 60;  // Casi financiado, menos tiempo
+        return 40;                     // Muy poco progreso
+    },
+
+    // Calcular score de accesibilidad
+    calculateAccessibilityScore(opportunity, config) {
+        let score = 50;
+
+        // Bonificar si está dentro del presupuesto
+        if (opportunity.fitsBudget) {
+            score += 30;
+        }
+
+        // Bonificar inversiones mínimas bajas
+        const minInv = opportunity.minInvestment || 50;
+        if (minInv <= 100) score += 20;
+        else if (minInv <= 500) score += 10;
+        else if (minInv > 5000) score -= 10;
+
+        return Math.max(0, Math.min(100, score));
+    },
+
+    // Aplicar bonificaciones y penalizaciones (porcentajes de las reglas del perfil)
+    applyBonusesAndPenalties(score, opportunity, rules) {
+        const adjustments = [];
+        const apply = (key, label, percent) => {
+            const value = parseFloat(percent) || 0;
+            if (value === 0) return;
+            const multiplier = 1 + value / 100;
+            adjustments.push({ key, label, percent: value, multiplier });
+            score *= multiplier;
+        };
+
+        // Bonificación por cumplir todos los criterios
+        if (opportunity.fitsBudget && opportunity.meetsReturn && opportunity.acceptableRisk) {
+            apply('allCriteria', 'Cumple todos los criterios', rules.allCriteriaBonus);
+        }
+
+        // Penalización por no cumplir criterios básicos
+        if (!opportunity.meetsReturn) apply('belowMinReturn', 'Rentabilidad bajo el mínimo', -rules.belowMinReturnPenalty);
+        if (!opportunity.acceptableRisk) apply('riskAboveMax', 'Riesgo sobre el máximo', -rules.riskAboveMaxPenalty);
+        if (!opportunity.fitsBudget) apply('overBudget', 'Fuera de presupuesto', -rules.overBudgetPenalty);
+
+        // Ajustes por categoría definidos por el usuario
+        const categoryAdjustments = rules.categoryAdjustments || {};
+        if (opportunity.category && categoryAdjustments.hasOwnProperty(opportunity.category)) {
+            apply(`category:${opportunity.category}`, `Categoría ${opportunity.category}`, categoryAdjustments[opportunity.category]);
+        }
+
+        return { score, adjustments };
+    },
+
+    // Verificar si el riesgo es aceptable
+    isAcceptableRisk(risk, maxRisk) {
+        if (!risk) return true;
+
+        const oppLevel = RISK_LEVEL_INDEX[risk] || 3;
+        const maxLevel = RISK_LEVEL_INDEX[maxRisk] || 3;
+
+        return oppLevel <= maxLevel;
+    }
+};
+
+// Permitir su uso desde Node (pruebas) además de popup y service worker
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringEngine, SCORING_PROFILES, DEFAULT_SCORING_PROFILE, SCORING_FACTOR_LABELS, RISK_LEVEL_INDEX };
+}
@@ -0,0 +1,120 @@
+// Simulación Monte Carlo de la distribución recomendada
+//
+// En cada escenario cada posición incumple con la probabilidad de su grado (risk.js):
+//   - si incumple pierde `lgd` del capital invertido
+//   - si no, cobra la ganancia al plazo (yield.js) con un atraso aleatorio
+//     (exponencial con la media del grado), que solo alarga el plazo real
+// Los incumplimientos se simulan independientes entre sí: en una crisis estarían
+// correlacionados y la cola de pérdidas sería más pesada que la que se muestra.
+const SIMULATION_DEFAULTS = {
+    TRIALS: 2000,
+    SEED: 20241019,  // Semilla fija: el resultado no cambia al volver a dibujar la lista
+    BINS: 12,
+    PERCENTILES: [5, 50, 95]
+};
+
+const PortfolioSimulation = {
+    // positions: [{ investment, grossPeriodRate, pd, lgd, delayDays, termDays }] (pd y lgd en %)
+    run(positions, { trials = SIMULATION_DEFAULTS.TRIALS, seed = SIMULATION_DEFAULTS.SEED, bins = SIMULATION_DEFAULTS.BINS } = {}) {
+        const invested = positions.reduce((sum, position) => sum + position.investment, 0);
+        if (invested <= 0 || positions.length === 0) return null;
+
+        const random = this.createRandom(seed);
+        const scenarios = [];
+
+        for (let trial = 0; trial < trials; trial++) {
+            let gain = 0;
+            let weightedDays = 0;
+
+            positions.forEach(position => {
+                const delay = -position.delayDays * Math.log(1 - random());
+                weightedDays += position.investment * (position.termDays + delay);
+
+                if (random() < position.pd / 100) {
+                    gain -= position.investment * position.lgd / 100;
+                } else {
+                    gain += position.investment * position.grossPeriodRate;
+                }
+            });
+
+            const periodRate = gain / invested;
+            scenarios.push({
+                gain,
+                returnPct: periodRate * 100,
+                annualPct: RiskModel.annualize(periodRate, weightedDays / invested)
+            });
+        }
+
+        const sortedBy = key => scenarios.map(scenario => scenario[key]).sort((a, b) => a - b);
+        const gains = sortedBy('gain');
+        const returns = sortedBy('returnPct');
+        const annual = sortedBy('annualPct');
+
+        const percentiles = {};
+        SIMULATION_DEFAULTS.PERCENTILES.forEach(p => {
+            percentiles[p] = {
+                gain: this.percentile(gains, p),
+                returnPct: this.percentile(returns, p),
+                annualPct: this.percentile(annual, p)
+            };
+        });
+
+        return {
+            trials,
+            invested,
+            meanGain: gains.reduce((sum, gain) => sum + gain, 0) / trials,
+            lossProbability: gains.filter(gain => gain < 0).length / trials,
+            percentiles,
+            histogram: this.histogram(returns, bins)
+        };
+    },
+
+    // Generador pseudoaleatorio con semilla (mulberry32), para resultados reproducibles
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    // Percentil con interpolación lineal sobre valores ya ordenados
+    percentile(sorted, p) {
+        if (sorted.length === 0) return 0;
+
+        const position = (p / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    },
+
+    // Intervalos de igual ancho entre el mínimo y el máximo: [{ from, to, count, share }]
+    histogram(sorted, bins) {
+        if (sorted.length === 0) return [];
+
+        const min = sorted[0];
+        const max = sorted[sorted.length - 1];
+        const width = (max - min) / bins || 1;
+        const buckets = Array.from({ length: bins }, (_, index) => ({
+            from: min + index * width,
+            to: min + (index + 1) * width,
+            count: 0,
+            share: 0
+        }));
+
+        sorted.forEach(value => {
+            const index = Math.min(bins - 1, Math.floor((value - min) / width));
+            buckets[index].count++;
+        });
+        buckets.forEach(bucket => { bucket.share = bucket.count / sorted.length; });
+
+        return buckets;
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PortfolioSimulation, SIMULATION_DEFAULTS };
+}
@@ -0,0 +1,111 @@
+// Calendario de cobros y proyección de reinversión (cashflow.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T17:00:00.000Z');
+
+function flow(overrides) {
+    return { title: 'Deudor', currency: 'PEN', amount: 1000, payout: 1030, startDate: NOW, paymentDate: NOW + 90 * DAY, ...overrides };
+}
+
+describe('CashFlowProjection', () => {
+    let CashFlowProjection;
+
+    // cashflow.js usa YieldModel y SpanishDateParser como globales del popup
+    before(async () => {
+        ({ CashFlowProjection } = await loadPopup(new MemoryPlatform()));
+    });
+
+    it('agrupa los cobros por semana (desde el lunes) y por mes en hora de Lima', () => {
+        const calendar = CashFlowProjection.calendar([
+            flow({ paymentDate: Date.parse('2026-12-28T05:00:00.000Z') }),
+            flow({ currency: 'USD', payout: 500, paymentDate: Date.parse('2026-12-31T15:00:00.000Z'), late: true }),
+            // 1 ene. a las 03:00 UTC todavía es 31 dic. en Lima
+            flow({ payout: 2000, paymentDate: Date.parse('2027-01-01T03:00:00.000Z') }),
+            flow({ paymentDate: Date.parse('2027-01-18T12:00:00.000Z') })
+        ]);
+
+        assert.deepEqual(plain(calendar.weeks), [
+            { key: '2026-12-28', count: 3, late: 1, totals: { PEN: 3030, USD: 500 } },
+            { key: '2027-01-18', count: 1, late: 0, totals: { PEN: 1030 } }
+        ]);
+        assert.deepEqual(plain(calendar.months.map(month => [month.key, month.count])), [['2026-12', 3], ['2027-01', 1]]);
+    });
+
+    it('capitaliza el dinero libre a la tasa de reinversión', () => {
+        const result = CashFlowProjection.project([], { capital: 10000, reinvestmentRate: 12, projectionMonths: 12, now: NOW });
+
+        assert.equal(result.points.length, 13);
+        assert.equal(result.points[6].value.toFixed(2), (10000 * Math.sqrt(1.12)).toFixed(2));
+        assert.equal(result.finalValue.toFixed(2), '11200.00');
+        assert.equal(result.growthPct.toFixed(2), '12.00');
+    });
+
+    it('devenga cada posición hasta su cobro y reinvierte lo cobrado', () => {
+        const result = CashFlowProjection.project([flow({})], { capital: 1500, reinvestmentRate: 12, projectionMonths: 6, now: NOW });
+
+        assert.equal(result.idle, 500);
+        assert.equal(result.points[0].value, 1500);
+        assert.equal(result.points[1].collected, 0);
+        assert.equal((result.points[1].value - 500 * Math.pow(1.12, 30 / 360)).toFixed(2), (1000 * Math.pow(1.03, 1 / 3)).toFixed(2));
+        assert.equal(result.points[3].collected, 1030);
+        assert.equal(
+            result.finalValue.toFixed(2),
+            (500 * Math.pow(1.12, 0.5) + 1030 * Math.pow(1.12, 90 / 360)).toFixed(2)
+        );
+    });
+
+    it('acota la tasa de reinversión y el horizonte de 6 a 12 meses', () => {
+        assert.deepEqual(plain(CashFlowProjection.normalizeSettings({ reinvestmentRate: '', projectionMonths: '24' })), { reinvestmentRate: 12, projectionMonths: 12 });
+        assert.deepEqual(plain(CashFlowProjection.normalizeSettings({ reinvestmentRate: '-5', projectionMonths: '3' })), { reinvestmentRate: 0, projectionMonths: 6 });
+    });
+});
+
+describe('Flujo de caja en el popup', () => {
+    it('muestra el calendario de cobros de la distribución y del portafolio y la proyección', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: {
+                    budgets: { PEN: 10000, USD: 2700 },
+                    minReturn: 8,
+                    maxRisk: 'B',
+                    reinvestmentRate: 10,
+                    projectionMonths: 6
+                },
+                portfolio_investments: [{
+                    id: 'inv_1',
+                    title: 'Deudor Antiguo S.A.',
+                    currency: 'PEN',
+                    amount: 500,
+                    rate: 12,
+                    investedAt: Date.parse('2020-01-01T17:00:00.000Z'),
+                    expectedPaymentDate: '2020-03-01',
+                    status: 'vigente'
+                }]
+            },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        const cashflow = popup.document.getElementById('cashflow');
+        assert.ok(!cashflow.classList.contains('hidden'));
+
+        const rows = Array.from(cashflow.querySelectorAll('.cashflow-row')).map(row => row.textContent.replace(/\s+/g, ' ').trim());
+        assert.ok(rows.some(row => /Semana del 28 dic/.test(row)), rows.join(' | '));
+        assert.ok(rows.some(row => /Semana del 18 ene/.test(row)), rows.join(' | '));
+        // El cobro atrasado del portafolio se espera para hoy
+        assert.equal(rows.filter(row => row.includes('⚠️')).length, 2);
+
+        assert.equal(cashflow.querySelectorAll('.cashflow-projection-row').length, 6);
+        assert.match(cashflow.textContent, /Reinvirtiendo al 10% anual, S\/19,990 pasan a/);
+        assert.equal(popup.document.getElementById('projectionMonths').value, '6');
+
+        popup.document.getElementById('clearBtn').click();
+        assert.ok(cashflow.classList.contains('hidden'));
+    });
+});
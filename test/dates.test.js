@@ -0,0 +1,44 @@
+// Fechas en español de Prestamype en hora de Lima (dates.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SpanishDateParser } = require('../dates');
+
+// Lunes 19 oct. 2026, 12:00 en Lima
+const NOW = Date.parse('2026-10-19T17:00:00.000Z');
+
+function iso(text) {
+    return SpanishDateParser.toISO(text, NOW);
+}
+
+describe('SpanishDateParser', () => {
+    it('interpreta fechas con nombre de mes, numéricas e ISO', () => {
+        assert.equal(iso('31 dic. 2026'), '2026-12-31T05:00:00.000Z');
+        assert.equal(iso('15 de mayo de 2027 5:00 pm'), '2027-05-15T22:00:00.000Z');
+        assert.equal(iso('28/12/2026'), '2026-12-28T05:00:00.000Z');
+        assert.equal(iso('2026-12-28'), '2026-12-28T05:00:00.000Z');
+    });
+
+    it('prefiere la fecha explícita a "mañana" usado como parte de la hora', () => {
+        assert.equal(iso('31 dic. 2025 10:00 de la mañana'), '2025-12-31T15:00:00.000Z');
+        assert.equal(iso('5 nov. 2026 8:00 de la noche'), '2026-11-06T01:00:00.000Z');
+    });
+
+    it('reconoce hoy, mañana y ayer solo como palabras sueltas', () => {
+        assert.equal(iso('mañana 10:00 am'), '2026-10-20T15:00:00.000Z');
+        assert.equal(iso('Cierra hoy 5:00 pm'), '2026-10-19T22:00:00.000Z');
+        assert.equal(iso('pasado mañana'), '2026-10-21T05:00:00.000Z');
+        assert.equal(iso('10:00 de la mañana'), null);
+    });
+
+    it('una fecha sin año que ya pasó es la del año siguiente', () => {
+        assert.equal(iso('Cierra el 5 mar.'), '2027-03-05T05:00:00.000Z');
+        assert.equal(iso('12 mayo'), '2027-05-12T05:00:00.000Z');
+        assert.equal(iso('19 oct.'), '2026-10-19T05:00:00.000Z');
+        assert.equal(iso('20 oct.'), '2026-10-20T05:00:00.000Z');
+    });
+
+    it('calcula cuentas regresivas desde el momento de referencia', () => {
+        assert.equal(iso('Faltan 3 días'), '2026-10-22T17:00:00.000Z');
+        assert.equal(iso('falta 1 hora'), '2026-10-19T18:00:00.000Z');
+    });
+});
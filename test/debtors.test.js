@@ -0,0 +1,144 @@
+// Concentración por deudor entre subastas y portafolio (debtors.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+function portfolioInvestment(overrides) {
+    return {
+        rate: 12,
+        investedAt: Date.parse('2026-09-01T17:00:00.000Z'),
+        expectedPaymentDate: '2099-06-30',
+        status: 'vigente',
+        ...overrides
+    };
+}
+
+describe('DebtorExposure', () => {
+    let DebtorExposure;
+
+    // debtors.js usa PORTFOLIO_STATUS (portfolio.js) como global del popup
+    before(async () => {
+        ({ DebtorExposure } = await loadPopup(new MemoryPlatform()));
+    });
+
+    it('normaliza el nombre sin tildes, puntuación ni forma societaria', () => {
+        assert.equal(DebtorExposure.key('Inversiones Andinas S.A.C.'), 'inversiones andinas');
+        assert.equal(DebtorExposure.key('  INVERSIONES   ANDINAS SAC '), 'inversiones andinas');
+        assert.equal(DebtorExposure.key('Comercial Lima Sur E.I.R.L.'), 'comercial lima sur');
+        assert.equal(DebtorExposure.key('Distribuidora Peñón S.A.'), 'distribuidora penon');
+        assert.equal(DebtorExposure.key(''), null);
+    });
+
+    it('agrupa subastas, capital no pagado y distribución del mismo deudor', () => {
+        const debtors = DebtorExposure.aggregate({
+            opportunities: [
+                { id: 'a', title: 'Inversiones Andinas S.A.C.', auctionCode: 'FX1' },
+                { id: 'b', title: 'INVERSIONES ANDINAS SAC', auctionCode: 'FX2' },
+                { id: 'c', title: 'Comercial Lima Sur E.I.R.L.', auctionCode: 'FX3' }
+            ],
+            investments: [
+                { title: 'Inversiones Andinas SAC', currency: 'PEN', amount: 2000, status: 'vigente' },
+                { title: 'Inversiones Andinas SAC', currency: 'PEN', amount: 900, status: 'pagado' },
+                { title: 'Inversiones Andinas SAC', currency: 'USD', amount: 300, status: 'atrasado' }
+            ],
+            distributions: [{ opportunity: { id: 'b', title: 'INVERSIONES ANDINAS SAC' }, investment: 1500, currency: 'PEN' }]
+        });
+
+        assert.deepEqual(Object.keys(debtors).sort(), ['comercial lima sur', 'inversiones andinas']);
+        assert.deepEqual(plain(debtors['inversiones andinas']), {
+            key: 'inversiones andinas',
+            name: 'Inversiones Andinas S.A.C.',
+            auctions: 2,
+            codes: ['FX1', 'FX2'],
+            committed: { PEN: 2000, USD: 300 },
+            recommended: { PEN: 1500 },
+            recommendedIds: ['b']
+        });
+    });
+
+    it('marca como excedida solo una inversión nueva que supera el máximo por deudor', () => {
+        const entry = { key: 'x', name: 'X', auctions: 1, codes: [], committed: { PEN: 2000 }, recommended: { PEN: 1500 }, recommendedIds: [] };
+        const idle = { ...entry, recommended: {} };
+
+        assert.deepEqual(plain(DebtorExposure.check(entry, 'PEN', 10000, 30)), { committed: 2000, recommended: 1500, total: 3500, limit: 3000, exceeded: true });
+        assert.equal(DebtorExposure.check(entry, 'PEN', 10000, 40).exceeded, false);
+        // Ya estar sobre el máximo sin invertir más no es un aviso nuevo
+        assert.equal(DebtorExposure.check({ ...idle, committed: { PEN: 5000 } }, 'PEN', 10000, 30).exceeded, false);
+        assert.equal(DebtorExposure.check(idle, 'PEN', 10000, 30, 1500).exceeded, true);
+
+    });
+
+    it('ordena por exposición y omite deudores sin capital con una sola subasta', () => {
+        const ranked = DebtorExposure.ranked({
+            a: { key: 'a', auctions: 1, committed: {}, recommended: {} },
+            b: { key: 'b', auctions: 2, committed: {}, recommended: {} },
+            c: { key: 'c', auctions: 1, committed: { USD: 100 }, recommended: {} },
+            d: { key: 'd', auctions: 1, committed: { PEN: 300 }, recommended: { PEN: 100 } }
+        }, (amount, currency) => (currency === 'USD' ? amount * 3.7 : amount));
+
+        assert.deepEqual(plain(ranked.map(entry => [entry.key, entry.exposure])), [['d', 400], ['c', 370], ['b', 0]]);
+    });
+});
+
+describe('Concentración por deudor en el popup', () => {
+    it('limita la distribución con lo ya invertido en cada deudor y avisa en la tarjeta', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: { budgets: { PEN: 10000, USD: 2700 }, minReturn: 8, maxRisk: 'B', maxDebtorExposurePct: 50 },
+                portfolio_investments: [
+                    portfolioInvestment({ id: 'inv_1', title: 'INVERSIONES ANDINAS SAC', currency: 'PEN', amount: 2000 }),
+                    portfolioInvestment({ id: 'inv_2', title: 'Agroexportadora del Norte SA', currency: 'USD', amount: 1200 })
+                ]
+            },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        // Máximo S/5,000 por deudor con S/2,000 ya invertidos en Andinas: solo S/3,000 nuevos
+        const allocation = popup.analyzer.investmentCalculator.calculateInvestmentDistribution(popup.analyzer.opportunities);
+        const rows = allocation.PEN.distributions.map(row => [row.opportunity.auctionCode, row.investment]);
+        assert.deepEqual(plain(rows), [['FX24A001', 3000], ['FX24C003', 4000]]);
+        assert.match(
+            popup.document.getElementById('recommendations').textContent,
+            /máx\. 50% por deudor en Inversiones Andinas S\.A\.C\. \(S\/5,000 de S\/5,000 con lo ya invertido\)/
+        );
+
+        const debtorRows = Array.from(popup.document.querySelectorAll('.debtor-row')).map(row => row.textContent.replace(/\s+/g, ' ').trim());
+        assert.equal(debtorRows.length, 3);
+        assert.match(debtorRows[0], /^Inversiones Andinas S\.A\.C\.\s?FX24A001 1 subasta S\/2,000 en cartera S\/3,000 nuevo$/);
+
+        // Agro no está en la distribución (riesgo C), pero invertir a mano pasaría el máximo en USD
+        const warnings = Array.from(popup.document.querySelectorAll('.opportunity-card'))
+            .filter(card => card.querySelector('.debtor-warning'))
+            .map(card => card.querySelector('.opportunity-title').textContent.trim());
+        assert.deepEqual(warnings, ['Agroexportadora del Norte S.A.']);
+        assert.equal(popup.document.getElementById('maxDebtorExposurePct').value, '50');
+        assert.equal(popup.document.getElementById('limitDebtor'), null);
+
+        popup.document.getElementById('clearBtn').click();
+        assert.ok(popup.document.getElementById('debtors').classList.contains('hidden'));
+    });
+
+    it('no inserta el HTML de un nombre de deudor leído de la página', async () => {
+        const tab = createFixtureTab('opportunities-grid.html');
+        tab.page.document.querySelector('.title').textContent = 'Andinas <img src=x onerror="window.injected = true">';
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: { analyzer_config: { budgets: { PEN: 10000, USD: 2700 }, minReturn: 8, maxRisk: 'B', maxDebtorExposurePct: 10 } },
+            tabs: [tab]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        assert.match(
+            popup.document.getElementById('recommendations').textContent,
+            /máx\. 10% por deudor en Andinas <img src=x onerror="window\.injected = true">/
+        );
+        assert.match(popup.document.getElementById('debtors').textContent, /Andinas <img/);
+        assert.equal(popup.document.querySelector('img[onerror]'), null);
+        assert.equal(popup.window.injected, undefined);
+    });
+});
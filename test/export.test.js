@@ -0,0 +1,22 @@
+// Exportación del análisis a CSV (export.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { AnalysisExporter } = require('../export');
+
+describe('AnalysisExporter', () => {
+    it('neutraliza como texto las celdas que Excel leería como fórmula', () => {
+        const exporter = new AnalysisExporter();
+        const opportunities = [
+            { id: 'opp_1', title: '=HYPERLINK("http://x","clic")', category: '+factoring', currency: 'PEN', return: 12 },
+            { id: 'opp_2', title: '@SUM(A1)', category: '-confirming', currency: 'USD', return: 10, expectedNetReturn: -3.5 }
+        ];
+
+        const [, first, second] = exporter.toCSV(opportunities, []).split('\r\n');
+
+        assert.ok(first.startsWith(`opp_1,,"'=HYPERLINK(""http://x"",""clic"")",`), first);
+        assert.match(first, /,'\+factoring,PEN,/);
+        assert.match(second, /^opp_2,,'@SUM\(A1\),'-confirming,USD,/);
+        // Los números negativos siguen siendo números
+        assert.match(second, /,-3\.5,/);
+    });
+});
@@ -0,0 +1,263 @@
+// Extracción sobre páginas guardadas de Prestamype (test/fixtures)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, createFixtureTab, plain } = require('./helpers/extension');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('PrestamypeExtractor: grid de oportunidades', () => {
+    let page;
+    let rows;
+
+    before(() => {
+        page = loadContentScript('opportunities-grid.html');
+        rows = Array.from(page.document.querySelectorAll('.wct-grid-box-row'));
+    });
+
+    it('encuentra la tabla principal', () => {
+        const table = page.extractor.findMainTable();
+        assert.ok(table, 'no se encontró la tabla');
+        assert.ok(table.classList.contains('wct-grid-table'));
+        assert.equal(rows.length, 3);
+    });
+
+    it('extrae una fila completa en soles campo por campo', () => {
+        const opp = page.extractor.extractRowData(rows[0], 0);
+
+        assert.equal(opp.title, 'Inversiones Andinas S.A.C.');
+        assert.equal(opp.amount, 45000);
+        assert.equal(opp.return, 12.5);
+        assert.equal(opp.risk, 'A');
+        assert.equal(opp.category, 'factoring');
+        assert.equal(opp.currency, 'PEN');
+        assert.equal(opp.progress, 35);
+        assert.equal(opp.minInvestment, 50);
+        assert.equal(opp.auctionCode, 'FX24A001');
+        assert.equal(opp.auctionClose, '2026-10-20T05:00:00.000Z');
+        assert.equal(opp.estimatedPayment, '2027-01-18T05:00:00.000Z');
+        assert.equal(opp.term, 90);
+        assert.equal(opp.rawData.length, 8);
+    });
+
+    it('extrae una fila en dólares con cierre en cuenta regresiva', () => {
+        const before = Date.now();
+        const opp = page.extractor.extractRowData(rows[1], 1);
+
+        assert.equal(opp.title, 'Agroexportadora del Norte S.A.');
+        assert.equal(opp.amount, 120500.5);
+        assert.equal(opp.return, 16.8);
+        assert.equal(opp.risk, 'C');
+        assert.equal(opp.category, 'confirming');
+        assert.equal(opp.currency, 'USD');
+        assert.equal(opp.progress, 80);
+        assert.equal(opp.estimatedPayment, '2027-05-15T05:00:00.000Z');
+
+        // "Faltan 3 días" tiene prioridad sobre la fecha sin hora
+        const closeOffset = Date.parse(opp.auctionClose) - before;
+        assert.ok(Math.abs(closeOffset - 3 * DAY_MS) < 60 * 1000, `cierre inesperado: ${opp.auctionClose}`);
+        assert.equal(opp.term, Math.ceil((Date.parse(opp.estimatedPayment) - Date.parse(opp.auctionClose)) / DAY_MS));
+    });
+
+    it('usa valores por defecto cuando faltan celdas', () => {
+        const opp = page.extractor.extractRowData(rows[2], 2);
+
+        assert.equal(opp.title, 'Comercial Lima Sur E.I.R.L.');
+        assert.equal(opp.amount, 15000);
+        assert.equal(opp.return, 10);
+        assert.equal(opp.risk, 'B');
+        assert.equal(opp.category, 'factoring');
+        assert.equal(opp.currency, 'PEN');
+        assert.equal(opp.progress, 5);
+        assert.equal(opp.auctionClose, '2026-10-30T05:00:00.000Z');
+        assert.equal(opp.estimatedPayment, '2026-12-28T05:00:00.000Z');
+        assert.equal(opp.term, 59);
+    });
+
+    it('registra el origen de cada campo', () => {
+        const [complete, , incomplete] = rows.map((row, index) => page.extractor.extractRowData(row, index));
+
+        assert.deepEqual(
+            plain(complete.fieldSources),
+            {
+                title: 'primary',
+                amount: 'primary',
+                return: 'primary',
+                estimatedPayment: 'primary',
+                auctionClose: 'primary',
+                term: 'primary',
+                risk: 'primary',
+                minInvestment: 'default',
+                progress: 'primary',
+                category: 'primary',
+                currency: 'primary',
+                auctionCode: 'fallback'
+            }
+        );
+
+        assert.equal(incomplete.fieldSources.risk, 'default');
+        assert.equal(incomplete.fieldSources.category, 'default');
+        assert.equal(incomplete.fieldSources.currency, 'default');
+        assert.deepEqual(
+            plain(page.ExtractionDiagnostics.unreliableFields(incomplete)),
+            ['Riesgo', 'Tipo', 'Moneda']
+        );
+    });
+
+    it('extrae todas las filas de la página', () => {
+        const opportunities = page.extractor.extractTableData();
+
+        assert.deepEqual(
+            plain(opportunities.map(opp => opp.auctionCode)),
+            ['FX24A001', 'CF24B002', 'FX24C003']
+        );
+    });
+});
+
+describe('PrestamypeExtractor: recorrido del marketplace', () => {
+    it('un segundo pedido durante el recorrido recibe el mismo resultado', async () => {
+        const { extractor } = loadContentScript('opportunities-grid.html');
+
+        const first = extractor.extractAllPagesData();
+        const second = extractor.extractAllPagesData();
+        assert.throws(() => extractor.extractTableData(), /extracción del marketplace en curso/);
+
+        const [firstResult, secondResult] = await Promise.all([first, second]);
+        assert.equal(firstResult, secondResult);
+        assert.equal(firstResult.length, 3);
+        assert.equal(extractor.isExtracting, false);
+    });
+
+    it('cada recorrido arma su propia lista de oportunidades', async () => {
+        const { extractor } = loadContentScript('opportunities-grid.html');
+
+        const first = await extractor.extractAllPagesData();
+        const second = await extractor.extractAllPagesData();
+        assert.notEqual(first, second);
+        assert.equal(first.length, 3);
+        assert.equal(second.length, 3);
+    });
+
+    it('falla si no puede ir a la página 1 en lugar de omitir las anteriores', async () => {
+        const { extractor } = loadContentScript('opportunities-grid.html');
+        extractor.getCurrentPageNumber = () => 3;
+        extractor._navigateToPage = async () => false;
+
+        await assert.rejects(extractor.extractAllPagesData(), /No se pudo ir a la página 1 del marketplace desde la página 3/);
+        assert.equal(extractor.isExtracting, false);
+    });
+
+    it('deja de recorrer páginas cuando se cancela', async () => {
+        const { extractor } = loadContentScript('opportunities-grid.html');
+        extractor._hasNextPage = () => true;
+        extractor._navigateToPage = async () => true;
+
+        const walk = extractor.extractAllPagesData();
+        extractor.cancelExtraction();
+        await assert.rejects(extractor.extractAllPagesData(), /Se está cancelando la extracción anterior/);
+        await assert.rejects(walk, /Extracción del marketplace cancelada/);
+        assert.equal(extractor.isExtracting, false);
+    });
+});
+
+describe('PrestamypeExtractor: modal de detalle', () => {
+    let data;
+
+    before(() => {
+        const page = loadContentScript('opportunity-modal.html');
+        // En jsdom no hay layout (offsetHeight = 0), así que el modal se pasa directamente
+        data = plain(page.extractor.extractModalData(page.document.querySelector('.modal')));
+    });
+
+    it('extrae la descripción', () => {
+        assert.match(data.description, /^Empresa distribuidora de insumos médicos/);
+    });
+
+    it('extrae la información del solicitante', () => {
+        assert.deepEqual(data.investorInfo, {
+            name: 'Inversiones Andinas S.A.C.',
+            income: 2400000,
+            totalInvestors: 25
+        });
+    });
+
+    it('extrae los detalles financieros', () => {
+        assert.deepEqual(data.financialDetails, {
+            tin: 11.8,
+            tae: 12.5,
+            maxInvestment: 5000,
+            minInvestment: 100
+        });
+    });
+
+    it('extrae los documentos', () => {
+        assert.deepEqual(data.documents, [
+            { name: 'Factura E001-123', url: 'https://prestamype.com/docs/factura-001.pdf' },
+            { name: 'Ficha del cliente', url: 'https://prestamype.com/docs/ficha-cliente.docx' }
+        ]);
+    });
+
+    it('extrae garantías, finalidad, scoring y fechas', () => {
+        const additional = data.additionalData;
+
+        assert.deepEqual(additional.guarantees, ['Factura conformada por el pagador', 'Seguro de crédito']);
+        assert.equal(additional.purpose, 'Capital de trabajo');
+        assert.deepEqual(additional.scoring, [{ type: 'rating-box', value: 'A' }]);
+        assert.deepEqual(additional.dates, {
+            endDate: '2027-01-18T05:00:00.000Z',
+            publishDate: '2026-10-14T05:00:00.000Z'
+        });
+    });
+});
+
+describe('PrestamypeExtractor: fechas del modal en una sola línea', () => {
+    it('corta cada fecha en la etiqueta siguiente', () => {
+        const page = loadContentScript('opportunity-modal.html');
+        const modal = page.document.createElement('div');
+        // Sin saltos de línea el texto de cada etiqueta queda pegado al de la siguiente
+        modal.innerHTML = '<span>Inicio: 01/10/2026</span><span>Publicado: 14/10/2026</span><span>Vencimiento: 18 ene. 2027 10:00 am</span><span>Estado: Activa</span>';
+
+        assert.deepEqual(plain(page.extractor.extractDatesFromModal(modal)), {
+            startDate: '2026-10-01T05:00:00.000Z',
+            endDate: '2027-01-18T15:00:00.000Z',
+            publishDate: '2026-10-14T05:00:00.000Z'
+        });
+    });
+});
+
+describe('PrestamypeExtractor: detalle que no se puede leer', () => {
+    it('rechaza cuando la subasta no está en la página', async () => {
+        const { extractor } = loadContentScript('opportunities-grid.html');
+
+        await assert.rejects(
+            extractor.openModalAndExtract('no-existe', 'XX00Z999'),
+            /No se pudo acceder a detalles adicionales/
+        );
+    });
+
+    it('cuenta en el diagnóstico las subastas sin detalle', () => {
+        const page = loadContentScript('opportunities-grid.html');
+        const opportunities = page.extractor.extractTableData();
+        opportunities[1].deepAnalysisError = 'Timeout esperando modal';
+
+        const summary = page.ExtractionDiagnostics.summarize(opportunities);
+
+        assert.equal(summary.deepAnalysisFailed, 1);
+        assert.equal(summary.healthy, false);
+        assert.match(summary.warnings.at(-1), /no se pudo leer el detalle de 1 de 3 subastas/);
+    });
+});
+
+describe('PrestamypeExtractor: esquema que no se puede leer', () => {
+    it('usa el esquema incluido y responde igual', async () => {
+        const tab = createFixtureTab('opportunities-grid.html');
+        tab.page.chrome.storage.local.get = async () => { throw new Error('storage no disponible'); };
+
+        const extraction = await tab.onMessage({ action: 'extractData' });
+        assert.equal(extraction.success, true);
+        assert.equal(extraction.data.length, 3);
+        assert.equal(extraction.debug.schemaSource, 'default');
+
+        const overlay = await tab.onMessage({ action: 'showOverlay', items: [] });
+        assert.equal(overlay.success, true);
+    });
+});
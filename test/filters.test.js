@@ -0,0 +1,132 @@
+// Filtros, orden y búsqueda de la lista de oportunidades (filters.js y controles del popup)
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+const STORED_CONFIG = {
+    budgets: { PEN: 10000, USD: 2700 },
+    minReturn: 8,
+    maxRisk: 'B'
+};
+
+const ANDINAS = 'Inversiones Andinas S.A.C.';
+const AGRO = 'Agroexportadora del Norte S.A.';
+const LIMA_SUR = 'Comercial Lima Sur E.I.R.L.';
+
+function titles(document) {
+    return Array.from(document.querySelectorAll('.opportunity-card .opportunity-title'))
+        .map(title => title.textContent.trim());
+}
+
+function setControl(popup, id, value) {
+    const control = popup.document.getElementById(id);
+    control.value = value;
+    control.dispatchEvent(new popup.window.Event(control.tagName === 'SELECT' ? 'change' : 'input'));
+}
+
+describe('Filtros de la lista de oportunidades', () => {
+    let popup;
+
+    beforeEach(async () => {
+        popup = await loadPopup(new MemoryPlatform({
+            storage: { analyzer_config: STORED_CONFIG },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => titles(popup.document).length === 3);
+    });
+
+    it('busca por cliente o código de subasta', () => {
+        setControl(popup, 'filterSearch', 'cf24b');
+        assert.deepEqual(titles(popup.document), [AGRO]);
+
+        setControl(popup, 'filterSearch', 'lima sur');
+        assert.deepEqual(titles(popup.document), [LIMA_SUR]);
+        assert.equal(popup.document.getElementById('filterCount').textContent, 'Mostrando 1 de 3 oportunidades');
+    });
+
+    it('filtra por riesgo, moneda y tipo de inversión', () => {
+        setControl(popup, 'filterRisk', 'A');
+        assert.deepEqual(titles(popup.document), [ANDINAS]);
+
+        setControl(popup, 'filterRisk', '');
+        setControl(popup, 'filterCurrency', 'USD');
+        assert.deepEqual(titles(popup.document), [AGRO]);
+
+        setControl(popup, 'filterCurrency', '');
+        const categories = Array.from(popup.document.getElementById('filterCategory').options).map(option => option.value);
+        assert.deepEqual(categories, ['', 'confirming', 'factoring']);
+        setControl(popup, 'filterCategory', 'factoring');
+        assert.deepEqual(titles(popup.document), [ANDINAS, LIMA_SUR]);
+    });
+
+    it('filtra por retorno mínimo y días al pago', () => {
+        setControl(popup, 'filterMinReturn', '11');
+        assert.deepEqual(titles(popup.document), [ANDINAS, AGRO]);
+
+        setControl(popup, 'filterMaxDays', '100');
+        assert.deepEqual(titles(popup.document), [ANDINAS]);
+
+        setControl(popup, 'filterMaxDays', '30');
+        assert.deepEqual(titles(popup.document), []);
+        assert.match(popup.document.getElementById('opportunitiesList').textContent, /Ninguna oportunidad cumple los filtros/);
+    });
+
+    it('ordena por retorno, días al pago y monto disponible', () => {
+        setControl(popup, 'sortBy', 'return');
+        assert.deepEqual(titles(popup.document), [AGRO, ANDINAS, LIMA_SUR]);
+
+        setControl(popup, 'sortBy', 'days');
+        assert.deepEqual(titles(popup.document), [LIMA_SUR, ANDINAS, AGRO]);
+
+        setControl(popup, 'sortBy', 'remaining');
+        assert.deepEqual(titles(popup.document), [AGRO, ANDINAS, LIMA_SUR]);
+    });
+
+    it('quita los filtros y vuelve al orden por score', () => {
+        setControl(popup, 'filterRisk', 'C');
+        setControl(popup, 'sortBy', 'days');
+
+        popup.document.getElementById('resetFiltersBtn').click();
+
+        assert.deepEqual(titles(popup.document), [ANDINAS, LIMA_SUR, AGRO]);
+        assert.equal(popup.document.getElementById('sortBy').value, 'score');
+    });
+});
+
+describe('OpportunityFilter', () => {
+    const NOW = Date.parse('2026-10-19T15:00:00.000Z');
+    const OPPORTUNITIES = [
+        { id: 'a', title: 'Cierra mañana', score: 70, auctionClose: '2026-10-20T15:00:00.000Z' },
+        { id: 'b', title: 'Cierra en 3 horas', score: 60, auctionClose: '2026-10-19T18:00:00.000Z' },
+        { id: 'c', title: 'Sin fecha de cierre', score: 90, auctionClose: null },
+        { id: 'd', title: 'Ya cerró', score: 80, auctionClose: '2026-10-19T10:00:00.000Z' }
+    ];
+    let OpportunityFilter;
+
+    // filters.js usa YieldModel y SpanishDateParser como globales del popup
+    before(async () => {
+        ({ OpportunityFilter } = await loadPopup(new MemoryPlatform()));
+    });
+
+    it('filtra las subastas que cierran dentro de X horas', () => {
+        const ids = criteria => plain(OpportunityFilter.apply(OPPORTUNITIES, criteria, NOW).map(opp => opp.id));
+
+        assert.deepEqual(ids({ closesWithinHours: 6 }), ['b']);
+        assert.deepEqual(ids({ closesWithinHours: 24 }), ['a', 'b']);
+    });
+
+    it('ordena por cierre dejando al final las fechas desconocidas', () => {
+        const sorted = OpportunityFilter.apply(OPPORTUNITIES, { sortBy: 'closing' }, NOW).map(opp => opp.id);
+
+        assert.deepEqual(plain(sorted), ['d', 'b', 'a', 'c']);
+    });
+
+    it('no modifica la lista original', () => {
+        const ids = OPPORTUNITIES.map(opp => opp.id);
+        OpportunityFilter.apply(OPPORTUNITIES, { sortBy: 'closing', search: 'cierra' }, NOW);
+
+        assert.deepEqual(OPPORTUNITIES.map(opp => opp.id), ids);
+    });
+});
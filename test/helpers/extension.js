@@ -0,0 +1,154 @@
+// Carga los scripts de la extensión en un DOM simulado (jsdom) para probarlos sin Chrome
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+const FIXTURES = path.join(__dirname, '..', 'fixtures');
+
+// Mismo orden que el content script del manifest
+const CONTENT_SCRIPTS = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'))
+    .content_scripts[0].js;
+
+function readFixture(name) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+// chrome.storage.local en memoria y runtime sin popup
+function createChromeStub(storage = {}) {
+    const listeners = [];
+    return {
+        storage: {
+            local: {
+                get: async keys => {
+                    const result = {};
+                    [].concat(keys || Object.keys(storage)).forEach(key => {
+                        if (key in storage) result[key] = storage[key];
+                    });
+                    return result;
+                },
+                set: async items => { Object.assign(storage, items); },
+                remove: async keys => { [].concat(keys).forEach(key => delete storage[key]); }
+            }
+        },
+        runtime: {
+            onMessage: { addListener: listener => listeners.push(listener) },
+            sendMessage: async () => {}
+        },
+        _listeners: listeners
+    };
+}
+
+// Copia plana de un valor creado dentro de la página: los objetos de jsdom
+// pertenecen a otro contexto y assert.deepStrictEqual no los compara con los de Node
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+// Página con el HTML del fixture y el content script inyectado.
+// Devuelve { window, document, extractor, chrome } más las globales de los scripts.
+function loadContentScript(fixture, { storage = {}, silent = true } = {}) {
+    const dom = new JSDOM(readFixture(fixture), {
+        url: 'https://www.prestamype.com/inversionista/oportunidades',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    window.chrome = createChromeStub(storage);
+    if (silent) {
+        window.console = { ...console, log() {}, warn() {} };
+    }
+
+    // Las declaraciones const/class de un script clásico no quedan en window: se exponen al final
+    const source = CONTENT_SCRIPTS
+        .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+        .join('\n;\n');
+    window.eval(`${source}
+;window.__extension = { extractor, gridOverlay, gridWatcher, PrestamypeExtractor, ExtractionSchema, ExtractionDiagnostics, SpanishDateParser, FIELD_SOURCE };`);
+
+    return {
+        window,
+        document: window.document,
+        chrome: window.chrome,
+        ...window.__extension
+    };
+}
+
+// Pestaña falsa para MemoryPlatform: responde a los mensajes del popup con el content script
+// corriendo sobre el fixture. El progreso que emite se reenvía a onRuntimeMessage.
+function createFixtureTab(fixture, { onRuntimeMessage = () => {}, ...options } = {}) {
+    const page = loadContentScript(fixture, options);
+    const [listener] = page.chrome._listeners;
+
+    page.chrome.runtime.sendMessage = async message => onRuntimeMessage(plain(message));
+
+    return {
+        url: page.window.location.href,
+        page,
+        onMessage: message => new Promise(resolve => {
+            const keepsChannelOpen = listener(message, {}, resolve);
+            if (keepsChannelOpen !== true) resolve(undefined);
+        })
+    };
+}
+
+// Popup cargado desde popup.html con sus scripts (en el mismo orden) sobre la plataforma dada.
+// Resuelve { window, document, analyzer } más las globales de los scripts, ya inicializado.
+async function loadPopup(platform, { silent = true } = {}) {
+    const dom = new JSDOM(fs.readFileSync(path.join(ROOT, 'popup.html'), 'utf8'), {
+        url: 'chrome-extension://prestamype-analyzer/popup.html',
+        runScripts: 'outside-only'
+    });
+    const { window } = dom;
+
+    if (silent) {
+        window.console = { ...console, log() {}, warn() {}, error() {} };
+    }
+
+    // popup.js crea su propio PrestamypeAnalyzer (con Chrome real) en DOMContentLoaded:
+    // los scripts se cargan después de ese evento y el analizador se crea con `platform`
+    if (window.document.readyState === 'loading') {
+        await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+    }
+
+    const scripts = Array.from(window.document.querySelectorAll('script[src]'))
+        .map(script => script.getAttribute('src'));
+    const source = scripts
+        .map(file => fs.readFileSync(path.join(ROOT, file), 'utf8'))
+        .join('\n;\n');
+    window.eval(`${source}
+;window.__popup = { PrestamypeAnalyzer, ScoringEngine, OpportunityFilter, RiskModel, PortfolioSimulation, CashFlowProjection, DebtorExposure, CONSTANTS };`);
+
+    const analyzer = new window.__popup.PrestamypeAnalyzer(platform);
+    await analyzer.ready;
+
+    return {
+        window,
+        document: window.document,
+        analyzer,
+        ...window.__popup
+    };
+}
+
+// Esperar hasta que se cumpla una condición (el popup no expone promesas de sus clics)
+async function waitFor(condition, { timeoutMs = 5000, intervalMs = 10 } = {}) {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeoutMs) {
+            throw new Error(`La condición no se cumplió en ${timeoutMs} ms`);
+        }
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+module.exports = {
+    loadContentScript,
+    createFixtureTab,
+    loadPopup,
+    waitFor,
+    plain,
+    readFixture,
+    createChromeStub,
+    CONTENT_SCRIPTS,
+    ROOT
+};
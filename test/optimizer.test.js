@@ -0,0 +1,141 @@
+// Optimizador de la distribución del presupuesto (optimizer.js)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { PortfolioOptimizer, ALLOCATION_LIMITS } = require('../optimizer');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+// Ganancia esperada por sol invertido (rate) y monto aún no financiado (capacity)
+const CANDIDATES = [
+    { id: 'a1', rate: 0.04, capacity: 50000, risk: 'A', debtor: 'andinas', category: 'factoring' },
+    { id: 'a2', rate: 0.03, capacity: 50000, risk: 'A', debtor: 'andinas', category: 'factoring' },
+    { id: 'b1', rate: 0.05, capacity: 50000, risk: 'B', debtor: 'lima sur', category: 'confirming' },
+    { id: 'b2', rate: 0.02, capacity: 300, risk: 'B', debtor: 'norte', category: 'factoring' }
+];
+
+function amounts(result) {
+    return Object.fromEntries(result.allocations.map(allocation => [allocation.id, allocation.amount]));
+}
+
+function bindingTypes(result) {
+    return result.binding.map(constraint => constraint.key ? `${constraint.type}:${constraint.key}` : constraint.type);
+}
+
+describe('PortfolioOptimizer', () => {
+    it('reparte por ganancia esperada hasta el tope por subasta', () => {
+        const result = PortfolioOptimizer.optimize(CANDIDATES, 10000, 100, { maxPerAuctionPct: 40 });
+
+        assert.deepEqual(amounts(result), { a1: 4000, a2: 2000, b1: 4000 });
+        assert.equal(result.invested, 10000);
+        assert.equal(Math.round(result.expectedGain), 420);
+        assert.deepEqual(bindingTypes(result), ['budget', 'auction:b1', 'auction:a1']);
+    });
+
+    it('invierte solo en múltiplos del ticket mínimo', () => {
+        const result = PortfolioOptimizer.optimize(CANDIDATES, 1050, 100, { maxPerAuctionPct: 30 });
+
+        assert.deepEqual(amounts(result), { a1: 300, a2: 300, b1: 300, b2: 100 });
+        assert.equal(result.invested, 1000);
+        assert.ok(result.allocations.every(allocation => allocation.amount % 100 === 0));
+    });
+
+    it('no recomienda menos que la inversión mínima de cada subasta', () => {
+        const candidates = [
+            { ...CANDIDATES[2], minTicket: 250 },
+            { ...CANDIDATES[0], minTicket: 800 },
+            { ...CANDIDATES[1], minTicket: 50 }
+        ];
+
+        // Tras los 400 de b1 (tope del deudor) quedan 600: no alcanzan para abrir a1
+        const byBudget = PortfolioOptimizer.optimize(candidates, 1000, 100, { maxPerAuctionPct: 100 }, { debtor: { 'lima sur': 400 } });
+        assert.deepEqual(amounts(byBudget), { b1: 400, a2: 600 });
+
+        // El mínimo de a1 supera el tope por subasta (700): no se le asigna nada
+        const byAuctionCap = PortfolioOptimizer.optimize(candidates, 1000, 100, { maxPerAuctionPct: 70 });
+        assert.equal(amounts(byAuctionCap).a1, undefined);
+
+        // Las posiciones mínimas se abren con el monto mínimo de cada subasta (250 → 3 tickets)
+        const opened = PortfolioOptimizer.optimize(candidates, 2000, 100, { maxPerAuctionPct: 50, minPositions: 3 });
+        assert.deepEqual(amounts(opened), { b1: 1000, a1: 900, a2: 100 });
+    });
+
+    it('respeta el máximo por grado de riesgo, deudor y categoría', () => {
+        const byRisk = PortfolioOptimizer.optimize(CANDIDATES, 10000, 100, { maxPerAuctionPct: 100, maxPerRiskPct: 60 });
+        assert.deepEqual(amounts(byRisk), { a1: 4000, b1: 6000 });
+        assert.deepEqual(bindingTypes(byRisk), ['budget', 'risk:B']);
+
+        // El tope por deudor llega como monto: depende de lo que ya está en el portafolio
+        const byDebtor = PortfolioOptimizer.optimize(CANDIDATES, 10000, 100, { maxPerAuctionPct: 100 }, { debtor: { 'lima sur': 5000, andinas: 5000 } });
+        assert.deepEqual(amounts(byDebtor), { a1: 5000, b1: 5000 });
+        assert.deepEqual(bindingTypes(byDebtor), ['budget', 'debtor:lima sur', 'debtor:andinas']);
+
+        const exhausted = PortfolioOptimizer.optimize(CANDIDATES, 10000, 100, { maxPerAuctionPct: 100 }, { debtor: { 'lima sur': 0 } });
+        assert.equal(amounts(exhausted).b1, undefined);
+        assert.deepEqual(plain(exhausted.binding.find(constraint => constraint.type === 'debtor')), { type: 'debtor', key: 'lima sur', pct: null, limit: 0, used: 0 });
+
+        const byCategory = PortfolioOptimizer.optimize(CANDIDATES, 10000, 100, { maxPerAuctionPct: 100, maxPerCategoryPct: 30 });
+        assert.deepEqual(amounts(byCategory), { a1: 3000, b1: 3000 });
+        assert.deepEqual(bindingTypes(byCategory), ['category:confirming', 'category:factoring']);
+    });
+
+    it('abre el mínimo de posiciones e informa lo que cuesta', () => {
+        const result = PortfolioOptimizer.optimize(CANDIDATES, 1000, 100, { maxPerAuctionPct: 100, minPositions: 3 });
+
+        assert.deepEqual(amounts(result), { a1: 100, a2: 100, b1: 800 });
+        const minPositions = result.binding.find(constraint => constraint.type === 'minPositions');
+        assert.equal(minPositions.met, true);
+        assert.equal(Math.round(minPositions.cost * 100) / 100, 3);
+    });
+
+    it('avisa cuando el mínimo de posiciones no se puede cumplir', () => {
+        const result = PortfolioOptimizer.optimize(CANDIDATES, 200, 100, { minPositions: 4 });
+
+        const minPositions = result.binding.find(constraint => constraint.type === 'minPositions');
+        assert.deepEqual({ met: minPositions.met, used: minPositions.used }, { met: false, used: 2 });
+    });
+
+    it('no reporta como límite una subasta ya cubierta', () => {
+        const result = PortfolioOptimizer.optimize([CANDIDATES[3]], 10000, 100, { maxPerAuctionPct: 100 });
+
+        assert.deepEqual(amounts(result), { b2: 300 });
+        assert.deepEqual(result.binding, []);
+    });
+
+    it('normaliza los límites recibidos del formulario', () => {
+        assert.deepEqual(PortfolioOptimizer.normalizeLimits({ maxPerAuctionPct: '150', minPositions: '0', maxPerRiskPct: '' }), {
+            ...ALLOCATION_LIMITS,
+            maxPerAuctionPct: 100,
+            minPositions: 1
+        });
+    });
+});
+
+describe('Distribución del popup con el optimizador', () => {
+    it('reparte el presupuesto con los límites guardados e informa los activos', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: {
+                    budgets: { PEN: 10000, USD: 2700 },
+                    minReturn: 8,
+                    maxRisk: 'B',
+                    allocationLimits: { maxPerAuctionPct: 60 },
+                    maxDebtorExposurePct: 100
+                }
+            },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        const allocation = popup.analyzer.investmentCalculator.calculateInvestmentDistribution(popup.analyzer.opportunities);
+        const rows = allocation.PEN.distributions.map(row => [row.opportunity.auctionCode, row.investment]);
+        assert.deepEqual(plain(rows), [['FX24A001', 6000], ['FX24C003', 4000]]);
+
+        assert.equal(popup.document.getElementById('limitAuction').value, '60');
+        assert.match(
+            popup.document.getElementById('recommendations').textContent,
+            /🔒 Límites activos PEN: presupuesto \(S\/10,000 de S\/10,000\) · máx\. 60% por subasta en FX24A001/
+        );
+    });
+});
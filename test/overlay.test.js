@@ -0,0 +1,86 @@
+// Insignias del análisis sobre el grid de Prestamype (overlay.js)
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, waitFor, plain } = require('./helpers/extension');
+
+const ITEMS = [
+    { id: 'opp_FX24A001', score: 100, level: 'high', text: 'Muy recomendada', suggestedInvestment: 3500, currency: 'PEN' },
+    { id: 'opp_CF24B002', score: 59, level: 'low', text: 'No recomendada', suggestedInvestment: 0, currency: 'USD' }
+];
+
+function badges(document) {
+    return Array.from(document.querySelectorAll('.wct-grid-box-row')).map(row => {
+        const badge = row.querySelector('.pa-overlay-badge');
+        return badge ? badge.textContent : null;
+    });
+}
+
+describe('GridOverlay', () => {
+    let page;
+    let overlay;
+
+    beforeEach(() => {
+        page = loadContentScript('opportunities-grid.html');
+        overlay = page.gridOverlay;
+    });
+
+    it('genera IDs estables a partir del código de subasta', () => {
+        const ids = () => page.extractor.findOpportunityRows().map((row, index) => page.extractor.generateId(row, index));
+
+        assert.deepEqual(plain(ids()), ['opp_FX24A001', 'opp_CF24B002', 'opp_FX24C003']);
+        assert.deepEqual(ids(), ids());
+        assert.equal(page.extractor.extractTableData()[0].id, 'opp_FX24A001');
+    });
+
+    it('decora solo las filas analizadas', () => {
+        const decorated = overlay.show(ITEMS);
+
+        assert.equal(decorated, 2);
+        assert.deepEqual(badges(page.document), ['100Muy recomendadaSugerido: S/ 3,500', '59No recomendada', null]);
+        assert.ok(page.document.querySelector('.pa-overlay-badge.pa-overlay-high'));
+        assert.ok(page.document.getElementById('prestamype-analyzer-overlay-style'));
+    });
+
+    it('no toca el DOM si el resultado no cambió', () => {
+        overlay.show(ITEMS);
+        const badge = page.document.querySelector('.pa-overlay-badge');
+
+        overlay.render();
+        assert.equal(page.document.querySelector('.pa-overlay-badge'), badge);
+
+        overlay.show([{ ...ITEMS[0], score: 90 }]);
+        assert.notEqual(page.document.querySelector('.pa-overlay-badge'), badge);
+        assert.deepEqual(badges(page.document), ['90Muy recomendadaSugerido: S/ 3,500', null, null]);
+    });
+
+    it('vuelve a decorar cuando el grid se vuelve a pintar', async () => {
+        overlay.show(ITEMS);
+
+        const body = page.document.querySelector('.grid-table-body');
+        body.innerHTML = body.innerHTML.replace(/<div class="pa-overlay-badge[\s\S]*?<\/div>/g, '');
+        assert.deepEqual(badges(page.document), [null, null, null]);
+
+        await waitFor(() => badges(page.document)[0] !== null);
+        assert.deepEqual(badges(page.document), ['100Muy recomendadaSugerido: S/ 3,500', '59No recomendada', null]);
+    });
+
+    it('limpia las insignias y deja de observar', () => {
+        overlay.show(ITEMS);
+        overlay.clear();
+
+        assert.deepEqual(badges(page.document), [null, null, null]);
+        assert.equal(page.document.querySelectorAll('.pa-overlay-row').length, 0);
+        assert.equal(overlay.observer, null);
+    });
+
+    it('responde a los mensajes del popup', async () => {
+        const [listener] = page.chrome._listeners;
+        const response = await new Promise(resolve => listener({ action: 'showOverlay', items: ITEMS }, {}, resolve));
+
+        assert.equal(response.success, true);
+        assert.equal(response.decorated, 2);
+
+        await new Promise(resolve => listener({ action: 'clearOverlay' }, {}, resolve));
+        assert.deepEqual(badges(page.document), [null, null, null]);
+    });
+});
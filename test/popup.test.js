@@ -0,0 +1,242 @@
+// Flujo completo del popup sin Chrome: clic en Analizar → extracción en una pestaña falsa → tarjetas
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain, CONTENT_SCRIPTS } = require('./helpers/extension');
+
+const STORED_CONFIG = {
+    budgets: { PEN: 10000, USD: 2700 },
+    minReturn: 8,
+    maxRisk: 'B'
+};
+
+function renderedCards(document) {
+    return Array.from(document.querySelectorAll('.opportunity-card')).map(card => ({
+        title: card.querySelector('.opportunity-title').textContent.trim(),
+        score: parseInt(card.querySelector('.score-badge').textContent)
+    }));
+}
+
+async function analyze(popup) {
+    popup.document.getElementById('analyzeBtn').click();
+    await waitFor(() => popup.document.getElementById('loading').classList.contains('hidden') &&
+        (!popup.document.getElementById('results').classList.contains('hidden') ||
+         !popup.document.getElementById('error').classList.contains('hidden')));
+}
+
+describe('Popup con MemoryPlatform', () => {
+    it('analiza la pestaña activa y muestra las tarjetas ordenadas por score', async () => {
+        const platform = new MemoryPlatform({
+            storage: { analyzer_config: STORED_CONFIG },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        });
+        const popup = await loadPopup(platform);
+
+        await analyze(popup);
+
+        assert.ok(popup.document.getElementById('error').classList.contains('hidden'));
+        assert.deepEqual(renderedCards(popup.document), [
+            { title: 'Inversiones Andinas S.A.C.', score: 100 },
+            { title: 'Comercial Lima Sur E.I.R.L.', score: 83 },
+            { title: 'Agroexportadora del Norte S.A.', score: 59 }
+        ]);
+        assert.match(popup.document.getElementById('summary').textContent, /Total oportunidades:\s*3/);
+        assert.deepEqual(platform.tabs[0].injectedFiles, CONTENT_SCRIPTS);
+
+        const { last_analysis: lastAnalysis } = await platform.storage.get(['last_analysis']);
+        assert.deepEqual(lastAnalysis.summary, { total: 3, recommended: 2, withinBudget: 3 });
+        assert.equal(lastAnalysis.opportunities[0].auctionCode, 'FX24A001');
+    });
+
+    it('muestra el score sobre las filas del grid y lo quita al limpiar', async () => {
+        const tab = createFixtureTab('opportunities-grid.html');
+        const popup = await loadPopup(new MemoryPlatform({ storage: { analyzer_config: STORED_CONFIG }, tabs: [tab] }));
+
+        await analyze(popup);
+
+        const scores = () => Array.from(tab.page.document.querySelectorAll('.wct-grid-box-row'))
+            .map(row => row.querySelector('.pa-overlay-score')?.textContent || null);
+        assert.deepEqual(scores(), ['100', '59', '83']);
+
+        popup.document.getElementById('clearBtn').click();
+        await waitFor(() => scores().every(score => score === null));
+    });
+
+    it('vuelve a rankear con los cambios del modo vigilancia', async () => {
+        let platform;
+        const tab = createFixtureTab('opportunities-grid.html', {
+            onRuntimeMessage: message => platform.dispatchMessage(message, { tab: { id: 1 } })
+        });
+        platform = new MemoryPlatform({
+            storage: { analyzer_config: { ...STORED_CONFIG, watchEnabled: true } },
+            tabs: [tab]
+        });
+        const popup = await loadPopup(platform);
+
+        await analyze(popup);
+        await waitFor(() => /Vigilando 3 subastas/.test(popup.document.getElementById('watchStatus').textContent));
+        assert.equal(popup.document.getElementById('watchEnabled').checked, true);
+
+        // La primera subasta se financia por completo
+        tab.page.document.querySelector('.percentage-number').textContent = '100%';
+
+        await waitFor(() => renderedCards(popup.document).length === 2, { timeoutMs: 3000 });
+        assert.deepEqual(renderedCards(popup.document).map(card => card.title), [
+            'Comercial Lima Sur E.I.R.L.',
+            'Agroexportadora del Norte S.A.'
+        ]);
+        assert.match(popup.document.getElementById('watchStatus').textContent, /1 cerrada\(s\)/);
+
+        popup.document.getElementById('clearBtn').click();
+        await waitFor(() => !tab.page.gridWatcher.isWatching());
+    });
+
+    it('no cruza el detalle de otra subasta tras recorrer varias páginas', async () => {
+        const tab = createFixtureTab('opportunities-grid.html');
+        const { document, extractor } = tab.page;
+        // Sin código de subasta (ni RUC, que también tiene 8 caracteres) el ID es la posición en la página
+        document.querySelectorAll('[data-name="Código"], .subtitle').forEach(element => element.remove());
+        const clients = () => Array.from(document.querySelectorAll('[data-name="Cliente"] .title'));
+        const firstPage = clients().map(title => title.textContent);
+
+        // Dos páginas con las mismas posiciones y otras subastas; el recorrido vuelve a la 1
+        let page = 1;
+        extractor.getCurrentPageNumber = () => page;
+        extractor._hasNextPage = () => page < 2;
+        extractor._navigateToPage = async pageNumber => {
+            page = pageNumber;
+            clients().forEach((title, index) => {
+                title.textContent = page === 1 ? firstPage[index] : `Cliente de la página 2 n.º ${index}`;
+            });
+            return true;
+        };
+
+        // jsdom no tiene layout: la fila abre un modal de prueba con el nombre de su cliente
+        extractor.findModal = () => document.querySelector('.test-modal');
+        extractor.closeModal = async () => extractor.findModal()?.remove();
+        extractor.findOpportunityRows().forEach(row => row.addEventListener('click', () => {
+            const modal = document.createElement('div');
+            modal.className = 'test-modal';
+            modal.innerHTML = `<div class="description">Detalle de ${row.querySelector('[data-name="Cliente"] .title').textContent}, abierto desde su propia fila del grid</div>`;
+            document.body.appendChild(modal);
+        }));
+
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: { analyzer_config: { ...STORED_CONFIG, fullMarketplace: true, deepAnalysis: true } },
+            tabs: [tab]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 6, { timeoutMs: 15000 });
+
+        const opportunities = popup.analyzer.opportunities;
+        assert.equal(new Set(opportunities.map(opp => opp.id)).size, 6);
+        opportunities.filter(opp => opp.id.startsWith('opp_1_')).forEach(opp => {
+            assert.equal(opp.deepAnalyzed, true);
+            assert.equal(opp.description, `Detalle de ${opp.title}, abierto desde su propia fila del grid`);
+        });
+        const secondPage = opportunities.filter(opp => opp.id.startsWith('opp_2_'));
+        assert.equal(secondPage.length, 3);
+        secondPage.forEach(opp => {
+            assert.equal(opp.deepAnalyzed, undefined);
+            assert.match(opp.deepAnalysisError, /está en la página 2 del marketplace/);
+        });
+    });
+
+    it('los cambios del grid solo agregan snapshots de las subastas que cambiaron', async () => {
+        const tab = createFixtureTab('opportunities-grid.html');
+        const popup = await loadPopup(new MemoryPlatform({ storage: { analyzer_config: STORED_CONFIG }, tabs: [tab] }));
+        const recorded = [];
+        popup.analyzer.historyStore = {
+            recordSnapshots: async opportunities => {
+                recorded.push(opportunities.map(opp => opp.auctionCode));
+                return {};
+            },
+            getTrend: () => null
+        };
+
+        await analyze(popup);
+        popup.analyzer.opportunities.find(opp => opp.auctionCode === 'CF24B002').deepAnalysisError = 'Timeout esperando modal';
+
+        const [first, second] = tab.page.extractor.extractTableData();
+        await popup.analyzer.applyGridChanges([
+            { type: 'progress', id: first.id, opportunity: { ...first, progress: 60 } },
+            { type: 'progress', id: second.id, opportunity: { ...second, progress: 40 } }
+        ]);
+
+        assert.deepEqual(plain(recorded), [['FX24A001', 'FX24C003', 'CF24B002'], ['FX24A001', 'CF24B002']]);
+        const updated = popup.analyzer.opportunities.find(opp => opp.auctionCode === 'CF24B002');
+        assert.equal(updated.progress, 40);
+        assert.equal(updated.deepAnalysisError, 'Timeout esperando modal');
+    });
+
+    it('simula cada tarjeta con el presupuesto que queda tras el portafolio', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: STORED_CONFIG,
+                portfolio_investments: [{
+                    id: 'inv_1',
+                    title: 'Otro Deudor S.A.',
+                    currency: 'PEN',
+                    amount: 6000,
+                    rate: 12,
+                    investedAt: Date.now(),
+                    expectedPaymentDate: '2099-06-30',
+                    status: 'vigente'
+                }]
+            },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        await analyze(popup);
+
+        // S/10,000 − S/6,000 invertidos: el 15% de S/4,000
+        const andinas = Array.from(popup.document.querySelectorAll('.opportunity-card'))
+            .find(card => card.querySelector('.opportunity-title').textContent.includes('Andinas'));
+        assert.equal(andinas.querySelector('.primary-metric .metric-value').textContent.trim(), 'S/600');
+        assert.equal(popup.analyzer.investmentCalculator.getAvailableBudget('PEN'), 4000);
+    });
+
+    it('carga la configuración guardada en el formulario', async () => {
+        const popup = await loadPopup(new MemoryPlatform({ storage: { analyzer_config: STORED_CONFIG } }));
+
+        assert.equal(popup.document.getElementById('budgetPEN').value, '10000');
+        assert.equal(popup.document.getElementById('budgetUSD').value, '2700');
+        assert.equal(popup.document.getElementById('maxRisk').value, 'B');
+    });
+
+    it('rechaza pestañas fuera de Prestamype', async () => {
+        const platform = new MemoryPlatform({
+            tabs: [{ url: 'https://example.com/', onMessage: () => assert.fail('no debe enviar mensajes') }]
+        });
+        const popup = await loadPopup(platform);
+
+        await analyze(popup);
+
+        const error = popup.document.getElementById('error');
+        assert.ok(!error.classList.contains('hidden'));
+        assert.match(error.textContent, /solo funciona en Prestamype\.com/);
+        assert.deepEqual(platform.tabs[0].injectedFiles, []);
+    });
+
+    it('muestra el progreso que envía el content script', async () => {
+        const platform = new MemoryPlatform();
+        const popup = await loadPopup(platform);
+
+        platform.dispatchMessage({ action: 'extractionProgress', page: 2, totalOpportunities: 20 });
+
+        assert.equal(
+            popup.document.getElementById('loadingText').textContent,
+            'Extrayendo página 2... (20 oportunidades)'
+        );
+    });
+
+    it('abre la página de opciones a través de la plataforma', async () => {
+        const platform = new MemoryPlatform();
+        const popup = await loadPopup(platform);
+
+        popup.document.getElementById('openOptionsBtn').click();
+
+        assert.equal(platform.optionsPageOpened, true);
+    });
+});
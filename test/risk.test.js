@@ -0,0 +1,175 @@
+// Modelo de pérdida esperada por grado de riesgo (risk.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-10-19T17:00:00.000Z');
+
+function investment(overrides) {
+    return {
+        risk: 'B',
+        currency: 'PEN',
+        amount: 1000,
+        rate: 12,
+        status: 'pagado',
+        expectedPaymentDate: '2026-06-30',
+        paidAt: Date.parse('2026-06-30T17:00:00.000Z'),
+        paidAmount: 1030,
+        ...overrides
+    };
+}
+
+describe('RiskModel', () => {
+    let RiskModel;
+
+    // risk.js usa YieldModel, SpanishDateParser y PORTFOLIO_STATUS como globales del popup
+    before(async () => {
+        ({ RiskModel } = await loadPopup(new MemoryPlatform()));
+    });
+
+    it('una subasta E al 22% rinde menos que una A al 14% una vez descontada la pérdida', () => {
+        const gradeA = RiskModel.evaluate({ risk: 'A', return: 14, term: 90 });
+        const gradeE = RiskModel.evaluate({ risk: 'E', return: 22, term: 90 });
+
+        assert.equal(gradeA.expectedNetReturn.toFixed(2), '11.43');
+        assert.equal(gradeA.expectedLossRate.toFixed(4), '0.0040');
+        assert.equal(gradeE.expectedNetReturn.toFixed(2), '-14.17');
+        assert.ok(gradeE.netPeriodRate < 0);
+    });
+
+    it('usa el grado C para riesgos desconocidos', () => {
+        assert.equal(RiskModel.evaluate({ risk: 'Z', return: 12, term: 60 }).grade, 'C');
+    });
+
+    it('acota y completa los valores editados por el usuario', () => {
+        const model = RiskModel.normalize({ A: { pd: '150', lgd: '', delayDays: '-4' }, E: { pd: '20' } });
+
+        assert.deepEqual(plain(model.A), { pd: 100, lgd: 40, delayDays: 0 });
+        assert.deepEqual(plain(model.E), { pd: 20, lgd: 70, delayDays: 60 });
+        assert.deepEqual(plain(model.C), { pd: 5, lgd: 50, delayDays: 20 });
+    });
+
+    it('sin inversiones resueltas deja los valores del usuario', () => {
+        const calibration = RiskModel.calibrate({ B: { pd: 3, lgd: 50, delayDays: 7 } }, [
+            investment({ status: 'vigente', paidAt: null, paidAmount: null, expectedPaymentDate: '2026-12-01' })
+        ], NOW);
+
+        assert.equal(calibration.resolved, 0);
+        assert.deepEqual(plain(calibration.grades.B), { pd: 3, lgd: 50, delayDays: 7, observations: { resolved: 0, defaults: 0 } });
+    });
+
+    it('ajusta incumplimiento, pérdida y atraso con los resultados del portafolio', () => {
+        const calibration = RiskModel.calibrate({}, [
+            investment({}),
+            investment({}),
+            investment({ paidAt: Date.parse('2026-06-30T17:00:00.000Z') + 10 * DAY }),
+            investment({ paidAmount: 600 }),
+            investment({ status: 'atrasado', paidAt: null, paidAmount: null, expectedPaymentDate: '2026-06-01' }),
+            // 30 días de atraso todavía no cuentan como incumplimiento
+            investment({ status: 'atrasado', paidAt: null, paidAmount: null, expectedPaymentDate: '2026-09-19' }),
+            investment({ risk: 'A' })
+        ], NOW);
+
+        const gradeB = calibration.grades.B;
+        assert.equal(calibration.resolved, 6);
+        assert.deepEqual(plain(gradeB.observations), { resolved: 5, defaults: 2 });
+        assert.equal(gradeB.pd.toFixed(2), '10.00');
+        assert.equal(gradeB.lgd.toFixed(2), '52.14');
+        assert.equal(gradeB.delayDays.toFixed(2), '8.46');
+        assert.equal(calibration.grades.A.pd.toFixed(3), '0.952');
+    });
+});
+
+describe('Retorno neto esperado en el popup', () => {
+    it('muestra el retorno neto y no asigna presupuesto a subastas con pérdida esperada', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: {
+                    budgets: { PEN: 10000, USD: 2700 },
+                    minReturn: 8,
+                    maxRisk: 'E',
+                    riskModel: { C: { pd: 30, lgd: 80, delayDays: 30 } }
+                }
+            },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        const agro = popup.analyzer.opportunities.find(opp => opp.auctionCode === 'CF24B002');
+        assert.ok(agro.expectedNetReturn < 0);
+        assert.equal(popup.document.querySelectorAll('.net-return-negative').length, 1);
+
+        const allocation = popup.analyzer.investmentCalculator.calculateInvestmentDistribution(popup.analyzer.opportunities);
+        assert.equal(allocation.USD.distributions.length, 0);
+        assert.equal(allocation.PEN.distributions.length, 2);
+        assert.ok(allocation.PEN.totalNetReturn < allocation.PEN.totalReturn);
+
+        const sortBy = popup.document.getElementById('sortBy');
+        sortBy.value = 'netReturn';
+        sortBy.dispatchEvent(new popup.window.Event('change'));
+        const codes = Array.from(popup.document.querySelectorAll('.opportunity-title')).map(title => title.textContent.trim());
+        assert.equal(codes[2], 'Agroexportadora del Norte S.A.');
+
+        assert.equal(popup.document.querySelector('[data-risk-grade="C"][data-risk-field="pd"]').value, '30');
+        assert.match(popup.document.getElementById('riskModelInfo').textContent, /Sin inversiones resueltas/);
+    });
+
+    it('reparte por retorno neto anual: una subasta corta que rinde más gana a una larga', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: {
+                analyzer_config: {
+                    budgets: { PEN: 1000, USD: 0 },
+                    minReturn: 8,
+                    maxRisk: 'B',
+                    allocationLimits: { maxPerAuctionPct: 100 },
+                    maxDebtorExposurePct: 100
+                }
+            }
+        }));
+        const auction = overrides => ({ risk: 'A', currency: 'PEN', amount: 20000, progress: 0, category: 'factoring', score: 70, ...overrides });
+        const short = auction({ title: 'Corta', return: 20, term: 30 });
+        const long = auction({ title: 'Larga', return: 12, term: 120 });
+        const { investmentCalculator } = popup.analyzer;
+
+        // Al plazo la larga gana más por sol invertido; al año la corta rinde más
+        assert.ok(investmentCalculator._calculateNetReturn(long, 1) > investmentCalculator._calculateNetReturn(short, 1));
+        assert.ok(popup.RiskModel.evaluate(short).expectedNetReturn > popup.RiskModel.evaluate(long).expectedNetReturn);
+
+        const allocation = investmentCalculator.calculateInvestmentDistribution([long, short]);
+        const rows = allocation.PEN.distributions.map(row => [row.opportunity.title, row.investment]);
+        assert.deepEqual(plain(rows), [['Corta', 1000]]);
+    });
+
+    it('registra el monto cobrado al marcar una inversión como pagada', async () => {
+        const platform = new MemoryPlatform({
+            storage: {
+                portfolio_investments: [
+                    investment({ id: 'inv_1', title: 'Deudor Parcial S.A.', amount: 500, status: 'vigente', investedAt: Date.parse('2026-03-30T17:00:00.000Z'), paidAt: null, paidAmount: null }),
+                    investment({ id: 'inv_2', title: 'Deudor Completo S.A.', amount: 500, status: 'vigente', investedAt: Date.parse('2026-03-30T17:00:00.000Z'), paidAt: null, paidAmount: null })
+                ]
+            }
+        });
+        const popup = await loadPopup(platform);
+        const markPaid = id => popup.document.querySelector(`[data-action="mark-paid"][data-investment-id="${id}"]`).click();
+
+        // El monto por defecto es capital + ganancia esperada
+        assert.ok(parseFloat(popup.document.querySelector('[data-paid-amount-for="inv_2"]').value) > 500);
+        popup.document.querySelector('[data-paid-amount-for="inv_1"]').value = '200';
+        markPaid('inv_1');
+        await waitFor(() => popup.document.querySelectorAll('[data-action="mark-paid"]').length === 1);
+        markPaid('inv_2');
+        await waitFor(() => popup.document.querySelectorAll('[data-action="mark-paid"]').length === 0);
+
+        const { portfolio_investments: stored } = await platform.storage.get(['portfolio_investments']);
+        assert.equal(stored[0].paidAmount, 200);
+        assert.ok(stored[1].paidAmount > 500);
+
+        const calibration = popup.RiskModel.calibrate({}, stored);
+        assert.deepEqual(plain(calibration.grades.B.observations), { resolved: 2, defaults: 1 });
+        assert.ok(calibration.grades.B.lgd > 45);
+    });
+});
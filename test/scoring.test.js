@@ -0,0 +1,102 @@
+// Scoring y rendimiento de las oportunidades extraídas de los fixtures
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringEngine } = require('../scoring');
+const { YieldModel } = require('../yield');
+const { loadContentScript, plain } = require('./helpers/extension');
+
+const CONFIG = {
+    budgets: { PEN: 10000, USD: 2700 },
+    minReturn: 8,
+    maxRisk: 'B'
+};
+
+function factorValues(result) {
+    return Object.fromEntries(result.factors.map(factor => [factor.key, factor.value]));
+}
+
+describe('ScoringEngine sobre el grid de oportunidades', () => {
+    let opportunities;
+
+    before(() => {
+        const page = loadContentScript('opportunities-grid.html');
+        opportunities = plain(page.extractor.extractTableData());
+    });
+
+    it('puntúa una oportunidad que cumple todos los criterios', () => {
+        const result = ScoringEngine.scoreOpportunity(opportunities[0], CONFIG);
+
+        assert.deepEqual(factorValues(result), {
+            return: 78.125,
+            risk: 100,
+            term: 100,
+            progress: 100,
+            accessibility: 100
+        });
+        assert.ok(Math.abs(result.baseScore - 91.25) < 1e-9);
+        assert.equal(result.fitsBudget, true);
+        assert.equal(result.meetsReturn, true);
+        assert.equal(result.acceptableRisk, true);
+        assert.deepEqual(result.adjustments.map(adj => adj.key), ['allCriteria']);
+        assert.equal(result.score, 100);
+    });
+
+    it('penaliza el riesgo sobre el máximo', () => {
+        const result = ScoringEngine.scoreOpportunity(opportunities[1], CONFIG);
+
+        assert.deepEqual(factorValues(result), {
+            return: 100,
+            risk: 50,
+            term: 85,
+            progress: 100,
+            accessibility: 100
+        });
+        assert.equal(result.acceptableRisk, false);
+        assert.deepEqual(result.adjustments.map(adj => adj.key), ['riskAboveMax']);
+        assert.equal(result.score, 60);
+    });
+
+    it('puntúa una fila con valores por defecto', () => {
+        const result = ScoringEngine.scoreOpportunity(opportunities[2], CONFIG);
+
+        assert.deepEqual(factorValues(result), {
+            return: 62.5,
+            risk: 85,
+            term: 100,
+            progress: 40,
+            accessibility: 100
+        });
+        assert.equal(result.score, 83);
+    });
+
+    it('calcula la ganancia esperada con TEA y año de 360 días', () => {
+        const gain = YieldModel.opportunityGain(opportunities[0], 1000);
+
+        assert.ok(Math.abs(gain - 1000 * (Math.pow(1.125, 90 / 360) - 1)) < 1e-9);
+        assert.ok(Math.abs(gain - 29.884) < 0.001);
+    });
+});
+
+describe('ScoringEngine: factores individuales', () => {
+    it('puntúa el plazo en días', () => {
+        assert.equal(ScoringEngine.calculateTermScore(90), 100);
+        assert.equal(ScoringEngine.calculateTermScore(365), 85);
+        assert.equal(ScoringEngine.calculateTermScore(700), 70);
+        assert.equal(ScoringEngine.calculateTermScore(1000), 55);
+        assert.equal(ScoringEngine.calculateTermScore(1500), 40);
+        assert.equal(ScoringEngine.calculateTermScore(null), 50);
+    });
+
+    it('compara el riesgo con el máximo aceptable', () => {
+        assert.equal(ScoringEngine.isAcceptableRisk('B', 'B'), true);
+        assert.equal(ScoringEngine.isAcceptableRisk('D', 'B'), false);
+        assert.equal(ScoringEngine.calculateRiskScore('E', { maxRisk: 'C' }), 0);
+    });
+
+    it('usa el presupuesto en la moneda de la oportunidad', () => {
+        const opportunity = { currency: 'USD', minInvestment: 3000, return: 12, risk: 'A' };
+
+        assert.equal(ScoringEngine.evaluateCriteria(opportunity, CONFIG).fitsBudget, false);
+        assert.equal(ScoringEngine.evaluateCriteria({ ...opportunity, currency: 'PEN' }, CONFIG).fitsBudget, true);
+    });
+});
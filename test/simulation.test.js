@@ -0,0 +1,97 @@
+// Simulación Monte Carlo de la distribución recomendada (simulation.js)
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { MemoryPlatform } = require('../platform');
+const { createFixtureTab, loadPopup, waitFor, plain } = require('./helpers/extension');
+
+function position(overrides) {
+    return { investment: 1000, grossPeriodRate: 0.05, pd: 10, lgd: 100, delayDays: 0, termDays: 90, ...overrides };
+}
+
+describe('PortfolioSimulation', () => {
+    let PortfolioSimulation;
+
+    // simulation.js anualiza con RiskModel (risk.js), global del popup
+    before(async () => {
+        ({ PortfolioSimulation } = await loadPopup(new MemoryPlatform()));
+    });
+
+    it('con la misma semilla da el mismo resultado', () => {
+        const positions = [position({}), position({ pd: 3, lgd: 50, grossPeriodRate: 0.03 })];
+
+        assert.deepEqual(
+            plain(PortfolioSimulation.run(positions, { trials: 300, seed: 7 })),
+            plain(PortfolioSimulation.run(positions, { trials: 300, seed: 7 }))
+        );
+    });
+
+    it('sin incumplimientos todos los escenarios cobran la ganancia al plazo', () => {
+        const result = PortfolioSimulation.run([position({ pd: 0 }), position({ pd: 0, investment: 3000 })], { trials: 200 });
+
+        assert.equal(result.invested, 4000);
+        assert.equal(result.lossProbability, 0);
+        [5, 50, 95].forEach(p => {
+            assert.equal(Math.round(result.percentiles[p].gain), 200);
+            assert.equal(result.percentiles[p].returnPct.toFixed(2), '5.00');
+        });
+    });
+
+    it('refleja la probabilidad de incumplimiento en la cola de pérdidas', () => {
+        const result = PortfolioSimulation.run([position({})], { trials: 4000 });
+
+        assert.ok(Math.abs(result.lossProbability - 0.1) < 0.02, `probabilidad de pérdida ${result.lossProbability}`);
+        assert.equal(result.percentiles[5].gain, -1000);
+        assert.equal(Math.round(result.percentiles[50].gain), 50);
+        assert.equal(Math.round(result.percentiles[95].gain), 50);
+        assert.ok(Math.abs(result.meanGain - (-55)) < 20, `ganancia media ${result.meanGain}`);
+    });
+
+    it('el atraso alarga el plazo y baja el retorno anualizado', () => {
+        const onTime = PortfolioSimulation.run([position({ pd: 0 })], { trials: 500 });
+        const late = PortfolioSimulation.run([position({ pd: 0, delayDays: 60 })], { trials: 500 });
+
+        assert.equal(onTime.percentiles[50].returnPct, late.percentiles[50].returnPct);
+        assert.ok(late.percentiles[50].annualPct < onTime.percentiles[50].annualPct);
+    });
+
+    it('arma el histograma con todos los escenarios', () => {
+        const result = PortfolioSimulation.run([position({}), position({ pd: 20, lgd: 40 })], { trials: 1000, bins: 8 });
+
+        assert.equal(result.histogram.length, 8);
+        assert.equal(result.histogram.reduce((sum, bucket) => sum + bucket.count, 0), 1000);
+        // Del peor escenario (ambas incumplen: −70%) al mejor (ambas pagan: +5%)
+        assert.equal(result.histogram[0].from, -70);
+        assert.equal(result.histogram[7].to.toFixed(2), '5.00');
+    });
+
+    it('interpola percentiles y no simula una distribución vacía', () => {
+        assert.equal(PortfolioSimulation.percentile([0, 10], 50), 5);
+        assert.equal(PortfolioSimulation.percentile([1, 2, 3, 4, 5], 95), 4.8);
+        assert.equal(PortfolioSimulation.run([]), null);
+    });
+});
+
+describe('Simulación en el popup', () => {
+    it('muestra percentiles, probabilidad de pérdida e histograma de la distribución', async () => {
+        const popup = await loadPopup(new MemoryPlatform({
+            storage: { analyzer_config: { budgets: { PEN: 10000, USD: 2700 }, minReturn: 8, maxRisk: 'B' } },
+            tabs: [createFixtureTab('opportunities-grid.html')]
+        }));
+
+        popup.document.getElementById('analyzeBtn').click();
+        await waitFor(() => popup.document.querySelectorAll('.opportunity-card').length === 3);
+
+        const simulation = popup.document.getElementById('simulation');
+        assert.ok(!simulation.classList.contains('hidden'));
+        assert.deepEqual(
+            Array.from(simulation.querySelectorAll('.simulation-stat-label')).map(label => label.textContent),
+            ['P5', 'P50', 'P95']
+        );
+        assert.match(simulation.textContent, /2000 escenarios, S\/6,000 invertidos/);
+        assert.match(simulation.textContent, /Probabilidad de perder dinero: \d+\.\d%/);
+        assert.equal(simulation.querySelectorAll('.simulation-bar').length, 12);
+
+        popup.document.getElementById('clearBtn').click();
+        assert.ok(simulation.classList.contains('hidden'));
+    });
+});
@@ -0,0 +1,104 @@
+// Modo vigilancia: cambios del grid de Prestamype reportados por watcher.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadContentScript, waitFor, plain } = require('./helpers/extension');
+
+function summarize(changes) {
+    return changes.map(({ type, id, reason, previousProgress }) => ({ type, id, reason, previousProgress }));
+}
+
+function setProgress(document, rowIndex, percentage) {
+    const rows = document.querySelectorAll('.wct-grid-box-row');
+    rows[rowIndex].querySelector('.percentage-number').textContent = `${percentage}%`;
+}
+
+describe('GridWatcher', () => {
+    let page;
+    let watcher;
+    let messages;
+
+    beforeEach(() => {
+        page = loadContentScript('opportunities-grid.html');
+        watcher = page.gridWatcher;
+        messages = [];
+        page.chrome.runtime.sendMessage = async message => { messages.push(plain(message)); };
+    });
+
+    afterEach(() => watcher.stop());
+
+    async function nextChanges() {
+        await waitFor(() => messages.length > 0);
+        const [message] = messages.splice(0, 1);
+        assert.equal(message.action, 'gridChanges');
+        return message.changes;
+    }
+
+    it('toma el grid actual como referencia', () => {
+        assert.equal(watcher.start(), 3);
+        assert.equal(watcher.isWatching(), true);
+        assert.deepEqual(Array.from(watcher.snapshot.keys()), ['opp_FX24A001', 'opp_CF24B002', 'opp_FX24C003']);
+    });
+
+    it('reporta saltos de progreso y acumula los pequeños', async () => {
+        watcher.start();
+
+        setProgress(page.document, 0, 38);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.deepEqual(plain(watcher.flush()), []);
+
+        setProgress(page.document, 0, 41);
+        const changes = await nextChanges();
+        assert.deepEqual(summarize(changes), [
+            { type: 'progress', id: 'opp_FX24A001', reason: undefined, previousProgress: 35 }
+        ]);
+        assert.equal(changes[0].opportunity.progress, 41);
+    });
+
+    it('cierra las subastas financiadas o retiradas y detecta las nuevas', async () => {
+        watcher.start();
+        const body = page.document.querySelector('.grid-table-body');
+        const rows = page.document.querySelectorAll('.wct-grid-box-row');
+
+        setProgress(page.document, 1, 100);
+        const newRow = rows[2].cloneNode(true);
+        newRow.querySelector('[data-name="Código"]').textContent = 'FX24D004';
+        rows[2].remove();
+        body.appendChild(newRow);
+
+        assert.deepEqual(summarize(await nextChanges()), [
+            { type: 'closed', id: 'opp_CF24B002', reason: 'funded', previousProgress: undefined },
+            { type: 'new', id: 'opp_FX24D004', reason: undefined, previousProgress: undefined },
+            { type: 'closed', id: 'opp_FX24C003', reason: 'removed', previousProgress: undefined }
+        ]);
+    });
+
+    it('ignora las insignias del overlay', async () => {
+        watcher.start();
+        page.gridOverlay.show([{ id: 'opp_FX24A001', score: 100, level: 'high', text: 'Muy recomendada', currency: 'PEN' }]);
+
+        await new Promise(resolve => setTimeout(resolve, 0));
+        assert.equal(watcher.pendingRows.size, 0);
+        assert.equal(watcher.flushTimer, null);
+        page.gridOverlay.clear();
+    });
+
+    it('toma una nueva referencia al cambiar de página', () => {
+        watcher.start();
+        const pagination = page.document.querySelector('.pagination .active');
+        pagination.textContent = '2';
+        setProgress(page.document, 0, 90);
+
+        assert.deepEqual(plain(watcher.flush()), []);
+        assert.equal(watcher.page, 2);
+        assert.equal(watcher.snapshot.get('opp_FX24A001').progress, 90);
+    });
+
+    it('responde a los mensajes de inicio y fin', async () => {
+        const [listener] = page.chrome._listeners;
+        const started = await new Promise(resolve => listener({ action: 'startWatch' }, {}, resolve));
+        assert.deepEqual(plain(started), { success: true, watching: true, rows: 3 });
+
+        await new Promise(resolve => listener({ action: 'stopWatch' }, {}, resolve));
+        assert.equal(watcher.isWatching(), false);
+    });
+});
@@ -0,0 +1,178 @@
+// Modo vigilancia: detectar cambios del grid de Prestamype sin volver a analizar a mano
+// Lo usa el content script; los cambios se envían al popup y al background (ver content.js)
+const GRID_CHANGE = {
+    NEW: 'new',           // Subasta que no estaba en el grid
+    PROGRESS: 'progress', // Salto de progreso de financiación
+    CLOSED: 'closed'      // Subasta financiada al 100% o que salió del grid
+};
+
+const WATCH_DEFAULTS = {
+    DEBOUNCE_MS: 500,      // Agrupar las mutaciones de una misma actualización del grid
+    PROGRESS_JUMP: 5,      // Puntos de progreso que cuentan como cambio
+    CLOSED_PROGRESS: 100
+};
+
+class GridWatcher {
+    constructor(extractor, onChanges) {
+        this.extractor = extractor;
+        this.onChanges = onChanges;
+        this.observer = null;
+        this.snapshot = new Map(); // ID de la oportunidad → último estado reportado
+        this.page = null;
+        this.pendingRows = new Set();
+        this.flushTimer = null;
+    }
+
+    isWatching() {
+        return this.observer !== null;
+    }
+
+    // Tomar el estado actual como referencia y empezar a observar el grid
+    start() {
+        if (this.isWatching()) {
+            return this.snapshot.size;
+        }
+
+        const gridBody = ExtractionSchema.queryFirst(document, this.extractor.schema.page.gridBody);
+        if (!gridBody) {
+            throw new Error('No se encontró el grid de oportunidades para vigilar');
+        }
+
+        this._rebaseline();
+
+        // Se observa todo el documento: el framework de Prestamype puede reemplazar el grid completo
+        this.observer = new MutationObserver(mutations => this._collect(mutations));
+        this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+
+        console.log(`👀 Vigilando el grid (${this.snapshot.size} subastas)`);
+        return this.snapshot.size;
+    }
+
+    stop() {
+        clearTimeout(this.flushTimer);
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.snapshot = new Map();
+        this.pendingRows.clear();
+    }
+
+    // Comparar las filas tocadas con la referencia y reportar las diferencias
+    flush() {
+        const touchedRows = this.pendingRows;
+        this.pendingRows = new Set();
+
+        // La extracción multipágina y la paginación del usuario no son cambios de las subastas
+        if (this.extractor.isExtracting) return [];
+        if (this.extractor.getCurrentPageNumber() !== this.page) {
+            this._rebaseline();
+            return [];
+        }
+
+        const changes = [];
+        const current = new Map();
+
+        this.extractor.findOpportunityRows().forEach((row, index) => {
+            const id = String(this.extractor.generateId(row, index));
+            const previous = this.snapshot.get(id);
+
+            if (previous && !touchedRows.has(row)) {
+                current.set(id, previous);
+                return;
+            }
+
+            const opportunity = this.extractor.extractRowData(row, index);
+            if (!opportunity) return;
+
+            const change = this._compare(id, previous, opportunity);
+            if (change) changes.push(change);
+
+            // Sin cambio reportable se conserva la referencia: los saltos chicos se acumulan
+            current.set(id, change || !previous ? opportunity : previous);
+        });
+
+        this.snapshot.forEach((opportunity, id) => {
+            if (!current.has(id)) {
+                changes.push({ type: GRID_CHANGE.CLOSED, id, reason: 'removed', opportunity });
+            }
+        });
+
+        this.snapshot = current;
+
+        if (changes.length > 0) {
+            console.log(`🔔 ${changes.length} cambios en el grid`, changes);
+            this.onChanges(changes);
+        }
+        return changes;
+    }
+
+    _compare(id, previous, opportunity) {
+        if (!previous) {
+            return { type: GRID_CHANGE.NEW, id, opportunity };
+        }
+
+        const progress = opportunity.progress || 0;
+        const previousProgress = previous.progress || 0;
+
+        if (progress >= WATCH_DEFAULTS.CLOSED_PROGRESS && previousProgress < WATCH_DEFAULTS.CLOSED_PROGRESS) {
+            return { type: GRID_CHANGE.CLOSED, id, reason: 'funded', opportunity };
+        }
+
+        if (Math.abs(progress - previousProgress) >= WATCH_DEFAULTS.PROGRESS_JUMP) {
+            return { type: GRID_CHANGE.PROGRESS, id, previousProgress, opportunity };
+        }
+
+        return null;
+    }
+
+    // Filas afectadas por las mutaciones, ignorando las insignias del overlay (overlay.js)
+    _collect(mutations) {
+        const rowSelector = this.extractor.schema.page.rows.join(', ');
+        let relevant = false;
+
+        mutations.forEach(mutation => {
+            const addedOrRemoved = [...mutation.addedNodes, ...mutation.removedNodes];
+            if (addedOrRemoved.length > 0 && addedOrRemoved.every(node => this._isOverlayNode(node))) return;
+
+            const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+            if (!target || this._isOverlayNode(target)) return;
+
+            relevant = true;
+            const row = target.closest(rowSelector);
+            if (row) {
+                this.pendingRows.add(row);
+            }
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+                if (node.matches(rowSelector)) this.pendingRows.add(node);
+                node.querySelectorAll(rowSelector).forEach(added => this.pendingRows.add(added));
+            });
+        });
+
+        if (!relevant) return;
+
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), WATCH_DEFAULTS.DEBOUNCE_MS);
+    }
+
+    _isOverlayNode(node) {
+        const element = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return Boolean(element && element.closest(`.${OVERLAY_DEFAULTS.BADGE_CLASS}, #${OVERLAY_DEFAULTS.STYLE_ID}`));
+    }
+
+    _rebaseline() {
+        this.page = this.extractor.getCurrentPageNumber();
+        this.snapshot = new Map();
+        this.extractor.findOpportunityRows().forEach((row, index) => {
+            const opportunity = this.extractor.extractRowData(row, index);
+            if (opportunity) {
+                this.snapshot.set(String(opportunity.id), opportunity);
+            }
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GridWatcher, GRID_CHANGE, WATCH_DEFAULTS };
+}
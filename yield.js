@@ -0,0 +1,49 @@
+// Modelo único de plazo y rendimiento
+//
+// Plazo: `opportunity.term` está en DÍAS, desde el cierre de la subasta hasta el
+// pago estimado (lo calcula el extractor). Si falta, se asume DEFAULT_TERM_DAYS.
+//
+// Rendimiento: el "Retorno anualizado" de Prestamype se trata como una tasa
+// efectiva anual (TEA). Por defecto la ganancia de un periodo se calcula con
+// capitalización compuesta y año de 360 días, la convención usual en Perú:
+//     ganancia = inversión × ((1 + TEA) ^ (días / 360) − 1)
+// También se soporta interés simple (inversión × TEA × días / base) y base 365.
+const YIELD_CONVENTION = {
+    compounding: 'compound', // 'compound' | 'simple'
+    dayCount: 360            // 360 | 365
+};
+
+const YieldModel = {
+    DEFAULT_TERM_DAYS: 90,
+
+    // Plazo en días de una oportunidad
+    termDays(opportunity) {
+        const days = parseFloat(opportunity && opportunity.term);
+        return days > 0 ? days : this.DEFAULT_TERM_DAYS;
+    },
+
+    // Tasa del periodo (fracción) para una tasa anual en % y un plazo en días
+    periodRate(annualRatePercent, days, convention = YIELD_CONVENTION) {
+        const annualRate = (parseFloat(annualRatePercent) || 0) / 100;
+        const years = Math.max(0, parseFloat(days) || 0) / convention.dayCount;
+
+        if (convention.compounding === 'simple') {
+            return annualRate * years;
+        }
+        return Math.pow(1 + annualRate, years) - 1;
+    },
+
+    // Ganancia esperada de una inversión al plazo indicado
+    expectedGain(investment, annualRatePercent, days, convention = YIELD_CONVENTION) {
+        return (parseFloat(investment) || 0) * this.periodRate(annualRatePercent, days, convention);
+    },
+
+    // Ganancia esperada de invertir en una oportunidad hasta su pago
+    opportunityGain(opportunity, investment, convention = YIELD_CONVENTION) {
+        return this.expectedGain(investment, opportunity.return, this.termDays(opportunity), convention);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { YieldModel, YIELD_CONVENTION };
+}